@@ -0,0 +1,125 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Stroke } from '../src/core/types';
+import { ZoomFloor } from '../src/canvas/zoom';
+import { Geometry, ViewRect, tessellateStroke } from '../src/renderer/tessellation';
+
+/**
+ * Tessellates a fixed set of strokes and compares the geometry with the
+ * expected output committed next to this script, so tessellation changes
+ * show up without a browser or GPU.
+ *
+ *   npm run check:tessellation            compare against the expected output
+ *   npm run check:tessellation -- --update  rewrite it after an intended change
+ */
+
+const EXPECTED_PATH = new URL('./tessellation.expected.json', import.meta.url);
+/** Vertex coordinates and colours are stored rounded to this many decimals */
+const DECIMALS = 6;
+const TOLERANCE = 1e-5;
+
+interface Fixture {
+    name: string;
+    stroke: Stroke;
+    cameraFloor: ZoomFloor;
+    cameraScale: number;
+    viewRect: ViewRect | null;
+}
+
+// Fixed ids, so nothing depends on getUniqueId(); the child registers itself in the root's tree as floor 1
+const root = new ZoomFloor(0);
+new ZoomFloor(1, { x: 40, y: 25 }, root, 1);
+
+const stroke = (fields: Partial<Stroke>): Stroke => ({
+    id: 1, type: 'pen', points: [], color: '#388BFD', opacity: 100, floorIndex: 0, floorId: 0, lineWidth: 4, ...fields,
+});
+
+const FIXTURES: Fixture[] = [
+    {
+        name: 'pen without pressure',
+        stroke: stroke({ points: [{ x: 0, y: 0 }, { x: 12, y: 4 }, { x: 20, y: 18 }, { x: 8, y: 26 }] }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+    {
+        name: 'pen with pressure and curve',
+        stroke: stroke({
+            color: '#f43f5e', lineWidth: 6, pressureCurve: 2,
+            points: [{ x: 0, y: 0, pressure: 0.2 }, { x: 10, y: 0, pressure: 0.9 }, { x: 20, y: 10, pressure: 0.5 }],
+        }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+    {
+        name: 'pen zoomed in, partly off screen',
+        stroke: stroke({ points: [{ x: -30, y: 0 }, { x: 0, y: 5 }, { x: 30, y: 0 }] }),
+        cameraFloor: root, cameraScale: 3, viewRect: { minX: -10, minY: -10, maxX: 10, maxY: 10 },
+    },
+    {
+        name: 'highlighter',
+        stroke: stroke({ type: 'highlighter', color: '#ec4899', opacity: 40, lineWidth: 10, points: [{ x: 0, y: 0 }, { x: 15, y: 0 }] }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+    {
+        name: 'pen on a child floor seen from its parent',
+        stroke: stroke({ floorIndex: 1, floorId: 1, worldWidth: 2000, points: [{ x: 0, y: 0 }, { x: 3000, y: 1000 }] }),
+        cameraFloor: root, cameraScale: 200, viewRect: null,
+    },
+    {
+        name: 'filled rectangle',
+        stroke: stroke({ type: 'rectangle', x: 0, y: 0, width: 20, height: 10, fillMode: 'fill' }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+    {
+        name: 'outlined circle',
+        stroke: stroke({ type: 'circle', x: -5, y: -5, width: 10, height: 10, fillMode: 'stroke', lineWidth: 2 }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+    {
+        name: 'rotated triangle, filled and outlined',
+        stroke: stroke({ type: 'triangle', color: '#8b5cf6', x: 0, y: 0, width: 16, height: 12, fillMode: 'both', rotation: Math.PI / 6 }),
+        cameraFloor: root, cameraScale: 1, viewRect: null,
+    },
+];
+
+const round = (value: number) => Number(value.toFixed(DECIMALS));
+
+function tessellateFixtures(): Record<string, Geometry> {
+    const results: Record<string, Geometry> = {};
+    FIXTURES.forEach(fixture => {
+        const geometry = tessellateStroke(fixture.stroke, fixture.cameraFloor, fixture.cameraScale, fixture.viewRect);
+        results[fixture.name] = { vertices: geometry.vertices.map(round), indices: geometry.indices };
+    });
+    return results;
+}
+
+/** What differs between two geometries, or null when they match */
+function describeDifference(actual: Geometry, expected: Geometry): string | null {
+    if (actual.indices.length !== expected.indices.length) return `${actual.indices.length} indices, expected ${expected.indices.length}`;
+    if (actual.vertices.length !== expected.vertices.length) return `${actual.vertices.length} vertex floats, expected ${expected.vertices.length}`;
+    const index = actual.indices.findIndex((value, i) => value !== expected.indices[i]);
+    if (index >= 0) return `index ${index} is ${actual.indices[index]}, expected ${expected.indices[index]}`;
+    const vertex = actual.vertices.findIndex((value, i) => Math.abs(value - expected.vertices[i]) > TOLERANCE);
+    if (vertex >= 0) return `vertex float ${vertex} is ${actual.vertices[vertex]}, expected ${expected.vertices[vertex]}`;
+    return null;
+}
+
+const actual = tessellateFixtures();
+
+if (process.argv.includes('--update')) {
+    writeFileSync(EXPECTED_PATH, JSON.stringify(actual) + '\n');
+    console.log(`Wrote expected geometry for ${FIXTURES.length} strokes.`);
+} else {
+    const expected: Record<string, Geometry> = JSON.parse(readFileSync(EXPECTED_PATH, 'utf8'));
+    let failures = 0;
+    FIXTURES.forEach(({ name }) => {
+        const difference = expected[name] ? describeDifference(actual[name], expected[name]) : 'no expected geometry';
+        if (difference) {
+            failures++;
+            console.error(`✗ ${name}: ${difference}`);
+        } else {
+            console.log(`✓ ${name}`);
+        }
+    });
+    if (failures > 0) {
+        console.error(`${failures} of ${FIXTURES.length} strokes changed. Run with --update if the change is intended.`);
+        process.exit(1);
+    }
+}
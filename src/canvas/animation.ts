@@ -1,13 +1,32 @@
-import { canvasState, getActiveCardCanvasState, requestRedraw, isRedrawRequested, clearRedrawRequest, viewState } from '../core/store';
+import { CanvasData, Stroke } from '../core/types';
+import { canvasState, getActiveCardCanvasState, getDisplayedLayers, requestRedraw, isRedrawRequested, clearRedrawRequest, viewState } from '../core/store';
 import { getStrokeBounds } from '../utils/math';
 import { lerp } from '../utils/math';
 import { FLOOR_BASE } from '../core/constants';
 import { $ } from '../utils/dom';
+import { ZoomFloor } from './zoom';
+import { isStrokeOnFloor, projectStrokeToFloor } from './hitTest';
 
 // Wait, WebGPURenderer is imported here. We have to be careful with initialization.
 // We will expose a method to pass the renderer instance or we will store the renderer globally.
 import { getRenderer } from '../renderer/RendererInstance.ts'; 
 
+/** Shows the total zoom (floor depth included) in the bottom controls */
+export function updateZoomDisplay() {
+    const totalZoom = Math.pow(FLOOR_BASE, viewState.currentFloor.index) * viewState.scale;
+    const zoomDisplay = $('#zoom-level-display');
+    if (!zoomDisplay) return;
+    if (totalZoom >= 1e9) {
+        zoomDisplay.textContent = `${(totalZoom / 1e9).toFixed(1)}B%`;
+    } else if (totalZoom >= 1e6) {
+        zoomDisplay.textContent = `${(totalZoom / 1e6).toFixed(1)}M%`;
+    } else if (totalZoom >= 1e4) {
+        zoomDisplay.textContent = `${(totalZoom / 1e3).toFixed(1)}K%`;
+    } else {
+        zoomDisplay.textContent = `${Math.round(totalZoom * 100)}%`;
+    }
+}
+
 export function animateView() {
     let needsRedraw = isRedrawRequested();
     clearRedrawRequest();
@@ -20,20 +39,7 @@ export function animateView() {
         viewState.panOffset.y = lerp(viewState.panOffset.y, viewState.targetPanOffset.y, 0.25);
         viewState.scale = lerp(viewState.scale, viewState.targetScale, 0.25);
         
-        const totalZoom = Math.pow(FLOOR_BASE, viewState.currentFloor.index) * viewState.scale;
-        
-        const zoomDisplay = $('#zoom-level-display');
-        if (zoomDisplay) {
-            if (totalZoom >= 1e9) {
-                zoomDisplay.textContent = `${(totalZoom / 1e9).toFixed(1)}B%`;
-            } else if (totalZoom >= 1e6) {
-                zoomDisplay.textContent = `${(totalZoom / 1e6).toFixed(1)}M%`;
-            } else if (totalZoom >= 1e4) {
-                zoomDisplay.textContent = `${(totalZoom / 1e3).toFixed(1)}K%`;
-            } else {
-                zoomDisplay.textContent = `${Math.round(totalZoom * 100)}%`;
-            }
-        }
+        updateZoomDisplay();
         needsRedraw = true;
     }
 
@@ -47,7 +53,7 @@ export function animateView() {
     const renderer = getRenderer();
     if (needsRedraw && renderer) {
         const canvasData = getActiveCardCanvasState();
-        const layers = (canvasData && canvasData.layers) ? canvasData.layers : [];
+        const layers = (canvasData && canvasData.layers) ? getDisplayedLayers(canvasData) : [];
 
         renderer.render(
             viewState,
@@ -62,15 +68,18 @@ export function animateView() {
     requestAnimationFrame(animateView);
 }
 
-export function centerCanvasContent() {
-    const canvasData = getActiveCardCanvasState();
-    if (!canvasData) return;
-    
-    const allStrokes = canvasData.layers.flatMap(l => l.isVisible ? l.strokes : []);
-    if (allStrokes.length === 0) return;
+/** Bounds, in `floor` coordinates, of every stroke on visible layers that the floor draws; null when there is nothing to frame */
+export function getContentBounds(canvasData: CanvasData, floor: ZoomFloor): { minX: number; minY: number; maxX: number; maxY: number } | null {
+    return getStrokesBounds(canvasData.layers.flatMap(l => l.isVisible ? l.strokes : []), floor);
+}
+
+/** Bounds on `floor` of those strokes that show on it, or null if none do */
+export function getStrokesBounds(strokes: Stroke[], floor: ZoomFloor): { minX: number; minY: number; maxX: number; maxY: number } | null {
+    const allStrokes = strokes.filter(s => isStrokeOnFloor(s, floor));
+    if (allStrokes.length === 0) return null;
 
-    const bounds = allStrokes.reduce((acc, s) => {
-        const b = getStrokeBounds(s);
+    return allStrokes.reduce((acc, s) => {
+        const b = getStrokeBounds(projectStrokeToFloor(s, floor));
         return { 
             minX: Math.min(acc.minX, b.minX), 
             minY: Math.min(acc.minY, b.minY), 
@@ -78,6 +87,14 @@ export function centerCanvasContent() {
             maxY: Math.max(acc.maxY, b.maxY) 
         };
     }, { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+}
+
+export function centerCanvasContent() {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData) return;
+    
+    const bounds = getContentBounds(canvasData, viewState.currentFloor);
+    if (!bounds) return;
 
     const contentWidth = bounds.maxX - bounds.minX;
     const contentHeight = bounds.maxY - bounds.minY;
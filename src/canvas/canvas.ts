@@ -3,20 +3,26 @@ import { getRenderer, initRenderer } from '../renderer/RendererInstance';
 import { handleCanvasPointerDown, handleCanvasPointerMove, handleCanvasPointerUp, handleWheel } from './events';
 import { switchView } from '../ui/View';
 import { setActiveTool } from './tools';
-import { initRadialToolbar } from '../ui/RadialMenu';
+import { initRadialToolbar, updateSettingsUI } from '../ui/RadialMenu';
+import { initSelectionLayerPicker } from '../ui/Toolbar';
 import { initColorPickers } from '../ui/ColorPicker';
-import { renderLayersPanel, addLayersEventListeners } from '../ui/LayersPanel';
-import { brushSettings, canvasState, viewState, getActiveCardCanvasState, requestRedraw, getActiveLayer, saveData } from '../core/store';
+import { renderLayersPanel, addLayersEventListeners, scheduleLayerThumbnails } from '../ui/LayersPanel';
+import { initExportPanel } from '../ui/ExportPanel';
+import { initShortcutsPanel } from '../ui/ShortcutsPanel';
+import { brushSettings, canvasState, viewState, getActiveCardCanvasState, requestRedraw } from '../core/store';
 import { Modal } from '../ui/Modal';
 import { ZoomFloor, transitionFloor } from './zoom';
-import { FLOOR_BASE } from '../core/constants';
-import { animateView } from './animation';
-import { hideSelectionToolbar } from '../ui/Toolbar';
-import { addHistoryAction } from './history';
-
-export function checkFloorTransitions() {
+import { FLOOR_BASE, ZOOM_STEP } from '../core/constants';
+import { EraserMode, Point } from '../core/types';
+import { animateView, updateZoomDisplay } from './animation';
+import { calculateSelectionBox, deleteSelection } from './selection';
+import { duplicateSelection, initClipboard } from './clipboard';
+
+/** Moves the camera between floors once the zoom leaves this one's range; a deeper floor is entered at `focus` (canvas CSS pixels) */
+export function checkFloorTransitions(focus?: Point) {
+    const floorBefore = viewState.currentFloor;
     while (viewState.targetScale >= FLOOR_BASE) {
-        transitionFloor(viewState, 'up');
+        transitionFloor(viewState, 'up', focus);
     }
     while (viewState.targetScale < 1.0 && viewState.currentFloor.parent) {
         transitionFloor(viewState, 'down');
@@ -24,6 +30,30 @@ export function checkFloorTransitions() {
     if (!viewState.currentFloor.parent) {
         viewState.targetScale = Math.max(0.01, viewState.targetScale);
     }
+    // The selection box is kept in camera-floor coordinates
+    if (viewState.currentFloor !== floorBefore && canvasState.selectionBox) calculateSelectionBox();
+    // Thumbnails show the current floor
+    if (viewState.currentFloor !== floorBefore) scheduleLayerThumbnails();
+}
+
+/** Zooms the camera by `factor`, keeping `screenPoint` (canvas CSS pixels) fixed */
+export function zoomAt(screenPoint: Point, factor: number) {
+    const oldScale = viewState.targetScale;
+    const newTargetScale = Math.max(0.01, oldScale * factor);
+    const worldPos = { x: (screenPoint.x - viewState.targetPanOffset.x) / oldScale, y: (screenPoint.y - viewState.targetPanOffset.y) / oldScale };
+
+    viewState.targetPanOffset = { x: screenPoint.x - worldPos.x * newTargetScale, y: screenPoint.y - worldPos.y * newTargetScale };
+    viewState.targetScale = newTargetScale;
+
+    checkFloorTransitions(screenPoint);
+    requestRedraw();
+}
+
+/** Zooms about the middle of the canvas, as the zoom buttons and keys do */
+export function zoomAtCenter(factor: number) {
+    const canvas = $<HTMLCanvasElement>('#canvas');
+    if (!canvas) return;
+    zoomAt({ x: canvas.clientWidth / 2, y: canvas.clientHeight / 2 }, factor);
 }
 
 export async function initCanvas() {
@@ -34,11 +64,10 @@ export async function initCanvas() {
     let renderer = getRenderer();
     if (!renderer) {
         try {
-            renderer = initRenderer(canvas);
-            await renderer.init();
+            renderer = await initRenderer(canvas);
         } catch (err) {
-            console.error("Failed to initialize WebGPU:", err);
-            Modal.confirm("Rendering Error", "Could not initialize WebGPU. Your browser might not support it, or it might be disabled. The canvas will not work.")
+            console.error("Failed to initialize a renderer:", err);
+            Modal.confirm("Rendering Error", "Could not initialize WebGPU or the Canvas 2D fallback. The canvas will not work.")
                 .then(() => { });
             return;
         }
@@ -62,9 +91,11 @@ export async function initCanvas() {
             e.stopPropagation(); 
             $('#layers-panel')?.classList.toggle('hidden'); 
             $('#layers-panel')?.classList.toggle('flex'); 
+            // Thumbnails are only kept up to date while the panel is open
+            renderLayersPanel();
         });
 
-        type GenericBrush = { lineWidth?: number; opacity?: number; smoothness?: number; color?: string };
+        type GenericBrush = { lineWidth?: number; opacity?: number; smoothness?: number; pressureCurve?: number; color?: string };
         
         $('#pen-size-slider')?.addEventListener('input', (e: Event) => {
             const val = (e.target as HTMLInputElement).value;
@@ -84,19 +115,22 @@ export async function initCanvas() {
             const smoothVal = $('#smoothness-value');
             if(smoothVal) smoothVal.textContent = val;
         });
+        $('#pressure-curve-slider')?.addEventListener('input', (e: Event) => {
+            const val = +(e.target as HTMLInputElement).value;
+            (brushSettings as Record<string, GenericBrush>)[canvasState.activeTool].pressureCurve = val;
+            const curveVal = $('#pressure-curve-value');
+            if(curveVal) curveVal.textContent = val.toFixed(2);
+        });
+
+        $('#eraser-mode-setting')?.addEventListener('click', (e: Event) => {
+            const btn = (e.target as HTMLElement).closest<HTMLElement>('.eraser-mode-btn');
+            if (!btn?.dataset.eraserMode) return;
+            brushSettings.eraser.eraserMode = btn.dataset.eraserMode as EraserMode;
+            updateSettingsUI();
+        });
 
         document.querySelectorAll<HTMLElement>('.zoom-btn').forEach(btn => btn.addEventListener('click', () => {
-            const zoomFactor = btn.dataset.zoom === 'in' ? 1.4 : 1 / 1.4;
-            const center = { x: canvas.clientWidth / 2, y: canvas.clientHeight / 2 };
-            const oldScale = viewState.targetScale;
-            const newTargetScale = Math.max(0.01, oldScale * zoomFactor);
-            const worldPos = { x: (center.x - viewState.targetPanOffset.x) / oldScale, y: (center.y - viewState.targetPanOffset.y) / oldScale };
-            
-            viewState.targetPanOffset = { x: center.x - worldPos.x * newTargetScale, y: center.y - worldPos.y * newTargetScale };
-            viewState.targetScale = newTargetScale;
-            
-            checkFloorTransitions();
-            requestRedraw();
+            zoomAtCenter(btn.dataset.zoom === 'in' ? ZOOM_STEP : 1 / ZOOM_STEP);
         }));
 
         window.addEventListener('resize', () => {
@@ -108,36 +142,14 @@ export async function initCanvas() {
 
         initColorPickers();
 
-        $('#selection-delete-btn')?.addEventListener('click', () => {
-            const activeLayer = getActiveLayer();
-            if (!activeLayer || canvasState.selectedStrokes.size === 0) return;
-
-            const strokesToDelete = JSON.parse(JSON.stringify(
-                activeLayer.strokes.filter(s => canvasState.selectedStrokes.has(s.id))
-            ));
-
-            if (strokesToDelete.length > 0) {
-                addHistoryAction({ type: 'REMOVE', strokes: strokesToDelete, layerId: activeLayer.id });
-                
-                // Cleanup GPU buffers before removal
-                activeLayer.strokes.forEach(s => { 
-                    if (canvasState.selectedStrokes.has(s.id) && s.gpuData) { 
-                        s.gpuData.vertexBuffer.destroy(); 
-                        s.gpuData.indexBuffer.destroy(); 
-                    } 
-                });
-
-                activeLayer.strokes = activeLayer.strokes.filter(s => !canvasState.selectedStrokes.has(s.id));
-
-                canvasState.selectedStrokes.clear();
-                canvasState.selectionBox = null;
-                hideSelectionToolbar();
-                saveData();
-                requestRedraw();
-            }
-        });
+        $('#selection-delete-btn')?.addEventListener('click', deleteSelection);
+        $('#selection-duplicate-btn')?.addEventListener('click', duplicateSelection);
+        initSelectionLayerPicker();
+        initClipboard();
 
         addLayersEventListeners();
+        initExportPanel();
+        initShortcutsPanel();
         initRadialToolbar();
 
         animateView();
@@ -153,26 +165,13 @@ export async function initCanvas() {
         
         // Restore floor tree
         if (canvasData.floorTree) {
-            const rootFloor = ZoomFloor.fromJSON(canvasData.floorTree);
-            const targetIndex = canvasData.currentFloorIndex || 0;
-            let floor = rootFloor;
-            while (floor && floor.index < targetIndex && floor.child) floor = floor.child;
-            viewState.currentFloor = floor || new ZoomFloor(0);
+            const rootFloor = ZoomFloor.fromJSON(canvasData.floorTree) || new ZoomFloor(0);
+            viewState.currentFloor = rootFloor.findById(canvasData.currentFloorId || 0) || rootFloor;
         } else {
             viewState.currentFloor = new ZoomFloor(0);
         }
         
-        const totalZoom = Math.pow(FLOOR_BASE, viewState.currentFloor.index) * viewState.scale;
-        const zoomDisplay = $('#zoom-level-display');
-        if(zoomDisplay) {
-            if (totalZoom >= 1e6) {
-                zoomDisplay.textContent = `${(totalZoom / 1e6).toFixed(1)}M%`;
-            } else if (totalZoom >= 1e4) {
-                zoomDisplay.textContent = `${(totalZoom / 1e3).toFixed(1)}K%`;
-            } else {
-                zoomDisplay.textContent = `${Math.round(totalZoom * 100)}%`;
-            }
-        }
+        updateZoomDisplay();
         renderLayersPanel();
     }
     setActiveTool('pen');
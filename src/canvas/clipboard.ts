@@ -0,0 +1,221 @@
+import { Point, Stroke, StrokePoint } from '../core/types';
+import { canvasState, getActiveLayer, getActiveCardCanvasState, isLayerLocked, persistenceReplacer, requestRedraw, saveData, syncFloorState, viewState } from '../core/store';
+import { getFloorScale } from '../renderer/tessellation';
+import { strokeGroupsToSvg } from '../export/svg';
+import { getUniqueId } from '../utils/math';
+import { $ } from '../utils/dom';
+import { projectStrokeToFloor } from './hitTest';
+import { addHistoryAction } from './history';
+import { calculateSelectionBox, deleteSelection } from './selection';
+import { isCanvasKeyTarget } from './shortcuts';
+
+/** Tags clipboard text as strokes from this app */
+const CLIPBOARD_FORMAT = 'dalim-infinite-canvas/strokes';
+/** Duplicates land this many screen pixels right of and below the original */
+const DUPLICATE_OFFSET = 20;
+/** Deepest floor pasted text may claim to come from; far deeper ones scale coordinates past what a number holds */
+const MAX_PASTE_FLOOR_INDEX = 64;
+/** Stroke fields that must be finite numbers whenever they are present */
+const NUMERIC_STROKE_FIELDS = ['x', 'y', 'width', 'height', 'worldWidth', 'lineWidth', 'opacity', 'rotation', 'pressureCurve'] as const;
+
+/**
+ * Strokes on the clipboard, independent of any card's floor tree: they are
+ * projected onto the floor they were copied on, relative to the selection's
+ * centre, and only that floor's depth is kept so a paste keeps their true size.
+ */
+interface ClipboardPayload {
+    format: typeof CLIPBOARD_FORMAT;
+    floorIndex: number;
+    strokes: Stroke[];
+}
+
+// Last copy or cut; used when the system clipboard can't be read
+let internalClipboard: ClipboardPayload | null = null;
+// Pointer position over the canvas in CSS pixels, or null once it leaves
+let hoverPoint: Point | null = null;
+
+function getSelectedStrokes(): Stroke[] {
+    const activeLayer = getActiveLayer();
+    if (!activeLayer) return [];
+    return activeLayer.strokes.filter(s => canvasState.selectedStrokes.has(s.id));
+}
+
+function createPayload(strokes: Stroke[]): ClipboardPayload | null {
+    const box = canvasState.selectionBox;
+    if (strokes.length === 0 || !box) return null;
+
+    const floor = viewState.currentFloor;
+    const anchor = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    const relative = (p: StrokePoint): StrokePoint => ({ ...p, x: p.x - anchor.x, y: p.y - anchor.y });
+
+    return {
+        format: CLIPBOARD_FORMAT,
+        floorIndex: floor.index,
+        strokes: strokes.map(stroke => {
+            const projected = projectStrokeToFloor(stroke, floor);
+            const copy: Stroke = { ...projected, points: (projected.points || []).map(relative) };
+            if (copy.x !== undefined && copy.y !== undefined) {
+                copy.x -= anchor.x;
+                copy.y -= anchor.y;
+            }
+            delete copy.gpuData;
+            delete copy.isErasing;
+            delete copy.rawPoints;
+            return copy;
+        }),
+    };
+}
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const isValidPoint = (p: StrokePoint): boolean =>
+    !!p && isFiniteNumber(p.x) && isFiniteNumber(p.y) && (p.pressure === undefined || isFiniteNumber(p.pressure));
+
+/** Whether pasted text describes a stroke that tessellates to real numbers */
+function isValidStroke(s: Stroke): boolean {
+    if (!s || typeof s !== 'object' || typeof s.type !== 'string' || typeof s.color !== 'string') return false;
+    if (s.points !== undefined && !(Array.isArray(s.points) && s.points.every(isValidPoint))) return false;
+    return NUMERIC_STROKE_FIELDS.every(key => s[key] === undefined || isFiniteNumber(s[key]));
+}
+
+/** Reads clipboard text as a payload, or null if it isn't one; strokes that wouldn't draw are dropped */
+function parsePayload(text: string): ClipboardPayload | null {
+    try {
+        const data = JSON.parse(text);
+        if (data?.format !== CLIPBOARD_FORMAT || !Array.isArray(data.strokes)) return null;
+        const floorIndex = data.floorIndex;
+        if (!Number.isInteger(floorIndex) || floorIndex < 0 || floorIndex > MAX_PASTE_FLOOR_INDEX) return null;
+        return {
+            format: CLIPBOARD_FORMAT,
+            floorIndex,
+            strokes: data.strokes
+                .filter(isValidStroke)
+                .map((s: Stroke) => ({ ...s, points: s.points ?? [] })),
+        };
+    } catch {
+        return null;
+    }
+}
+
+/** Where a paste goes on the current floor: under the pointer, or the middle of the view */
+function getPasteTarget(): Point {
+    const canvas = $<HTMLCanvasElement>('#canvas');
+    const screen = hoverPoint ?? { x: (canvas?.clientWidth || 0) / 2, y: (canvas?.clientHeight || 0) / 2 };
+    return {
+        x: (screen.x - viewState.panOffset.x) / viewState.scale,
+        y: (screen.y - viewState.panOffset.y) / viewState.scale,
+    };
+}
+
+/** Adds the payload's strokes to the active layer around `at` (current-floor coordinates), selected, as one undoable step */
+function pastePayload(payload: ClipboardPayload, at: Point) {
+    const activeLayer = getActiveLayer();
+    if (!activeLayer || isLayerLocked(activeLayer) || payload.strokes.length === 0) return;
+
+    const floor = viewState.currentFloor;
+    // Copied-floor units → current-floor units
+    const k = getFloorScale(payload.floorIndex, floor);
+    const place = (p: StrokePoint): StrokePoint => ({ ...p, x: at.x + p.x * k, y: at.y + p.y * k });
+
+    const pasted: Stroke[] = payload.strokes.map(stroke => {
+        const copy: Stroke = {
+            ...stroke,
+            id: getUniqueId(),
+            floorId: floor.id,
+            floorIndex: floor.index,
+            points: stroke.points.map(place),
+            gpuData: null,
+        };
+        if (stroke.worldWidth !== undefined) copy.worldWidth = stroke.worldWidth * k;
+        if (stroke.x !== undefined && stroke.y !== undefined) {
+            const origin = place({ x: stroke.x, y: stroke.y });
+            copy.x = origin.x;
+            copy.y = origin.y;
+            copy.width = (stroke.width || 0) * k;
+            copy.height = (stroke.height || 0) * k;
+        }
+        return copy;
+    });
+
+    activeLayer.strokes.push(...pasted);
+    floor._hasStrokes = true;
+    addHistoryAction({ type: 'ADD', strokes: JSON.parse(JSON.stringify(pasted, persistenceReplacer)), layerId: activeLayer.id });
+
+    canvasState.selectedStrokes = new Set(pasted.map(s => s.id));
+    calculateSelectionBox();
+
+    const canvasData = getActiveCardCanvasState();
+    if (canvasData) syncFloorState(canvasData);
+    saveData();
+    requestRedraw();
+}
+
+/** Puts the selection on the internal clipboard; returns what was copied */
+export function copySelection(): ClipboardPayload | null {
+    const payload = createPayload(getSelectedStrokes());
+    if (payload) internalClipboard = payload;
+    return payload;
+}
+
+export function cutSelection(): ClipboardPayload | null {
+    const payload = copySelection();
+    if (payload) deleteSelection();
+    return payload;
+}
+
+export function pasteClipboard() {
+    if (internalClipboard) pastePayload(internalClipboard, getPasteTarget());
+}
+
+/** Copies the selection in place, nudged down and right, leaving the clipboard alone */
+export function duplicateSelection() {
+    const box = canvasState.selectionBox;
+    const payload = createPayload(getSelectedStrokes());
+    if (!payload || !box) return;
+    const offset = DUPLICATE_OFFSET / viewState.scale;
+    pastePayload(payload, { x: box.x + box.width / 2 + offset, y: box.y + box.height / 2 + offset });
+}
+
+function writeToSystemClipboard(e: ClipboardEvent, payload: ClipboardPayload, strokes: Stroke[]) {
+    if (!e.clipboardData) return;
+    e.clipboardData.setData('text/plain', JSON.stringify(payload, persistenceReplacer));
+    // Browsers only hand text and HTML on to other apps, so the picture goes as HTML holding the SVG inline
+    const svg = strokeGroupsToSvg([{ name: 'Selection', strokes }], viewState.currentFloor, { background: null });
+    if (svg) e.clipboardData.setData('text/html', svg.replace(/^<\?xml[^>]*>\s*/, ''));
+    e.preventDefault();
+}
+
+/** Wires copy, cut and paste (system clipboard events) to the canvas selection */
+export function initClipboard() {
+    const canvas = $<HTMLCanvasElement>('#canvas');
+    canvas?.addEventListener('pointermove', (e: PointerEvent) => {
+        const rect = canvas.getBoundingClientRect();
+        hoverPoint = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    });
+    canvas?.addEventListener('pointerleave', () => { hoverPoint = null; });
+
+    document.addEventListener('copy', (e: ClipboardEvent) => {
+        if (!isCanvasKeyTarget(e)) return;
+        const strokes = getSelectedStrokes();
+        const payload = copySelection();
+        if (payload) writeToSystemClipboard(e, payload, strokes);
+    });
+
+    document.addEventListener('cut', (e: ClipboardEvent) => {
+        if (!isCanvasKeyTarget(e)) return;
+        const strokes = getSelectedStrokes();
+        const payload = cutSelection();
+        if (payload) writeToSystemClipboard(e, payload, strokes);
+    });
+
+    document.addEventListener('paste', (e: ClipboardEvent) => {
+        if (!isCanvasKeyTarget(e)) return;
+        const text = e.clipboardData?.getData('text/plain') || '';
+        // Text from elsewhere isn't ours to paste; an unreadable clipboard falls back to the last internal copy
+        const payload = text ? parsePayload(text) : internalClipboard;
+        if (!payload) return;
+        e.preventDefault();
+        internalClipboard = payload;
+        pastePayload(payload, getPasteTarget());
+    });
+}
@@ -0,0 +1,164 @@
+import { Command, registerCommandProvider, registerCommands } from '../core/commands';
+import { ZOOM_STEP } from '../core/constants';
+import { canvasState, getActiveCardCanvasState, getHistoryLimit, isReviewMaskingOn, setHistoryLimit, viewState } from '../core/store';
+import { undo, redo, getActiveCardHistory } from './history';
+import { setActiveTool, updateCursor } from './tools';
+import { clearSelection, deleteSelection, moveSelectionToLayer, selectAll } from './selection';
+import { copySelection, cutSelection, duplicateSelection, pasteClipboard } from './clipboard';
+import { centerCanvasContent } from './animation';
+import { zoomAtCenter } from './canvas';
+import { getFloorLabel, getSavedViews, goToFloor, goToSavedView } from './views';
+import { toggleSettingWedge, toggleShapesPopup } from '../ui/RadialMenu';
+import { addLayer, deleteLayer, duplicateLayer, mergeLayerDown, moveLayer, renameLayer, setActiveLayer, toggleLayerLock, toggleLayerReviewHiding, toggleLayerSolo, toggleLayerVisibility } from '../ui/LayersPanel';
+import { handleExportPdf, handleExportPng, handleExportSvg, handleSaveView } from '../ui/ExportPanel';
+import { switchView } from '../ui/View';
+import { Modal } from '../ui/Modal';
+
+const hasSelection = () => canvasState.selectedStrokes.size > 0;
+const activeLayerId = () => getActiveCardCanvasState()?.activeLayerId ?? null;
+// Merging down needs a layer after the active one in the list
+const hasLayerBelow = () => {
+    const canvasData = getActiveCardCanvasState();
+    return !!canvasData && canvasData.layers.findIndex(l => l.id === canvasData.activeLayerId) < canvasData.layers.length - 1;
+};
+
+const canUndo = () => (getActiveCardHistory()?.historyIndex ?? -1) >= 0;
+const canRedo = () => {
+    const history = getActiveCardHistory();
+    return !!history && history.historyIndex < history.history.length - 1;
+};
+
+async function promptHistoryLimit() {
+    const value = await Modal.prompt('Undo steps to keep per card:', String(getHistoryLimit()));
+    if (value === null) return;
+    const limit = Number(value.trim());
+    if (!Number.isInteger(limit) || limit < 1) {
+        await Modal.confirm('Invalid Limit', 'Enter a whole number of at least 1.');
+        return;
+    }
+    setHistoryLimit(limit);
+}
+
+const tool = (id: string, label: string, icon: string, keys: string[]): Command =>
+    ({ id: `tool-${id}`, label, group: 'Tools', view: 'canvas', icon, defaultKeys: keys, run: () => setActiveTool(id) });
+
+/** Adds every canvas command to the registry; call once at start-up */
+export function registerCanvasCommands() {
+    registerCommands([
+        tool('pen', 'Pen', 'edit-3', ['1', 'P']),
+        tool('highlighter', 'Highlighter', 'edit', ['2', 'H']),
+        tool('rectangle', 'Rectangle', 'square', ['3', 'R']),
+        tool('circle', 'Circle', 'circle', ['4', 'C']),
+        tool('triangle', 'Triangle', 'triangle', ['5', 'T']),
+        tool('eraser', 'Eraser', 'trash', ['6', 'E']),
+        tool('lasso', 'Lasso', 'crop', ['7', 'L']),
+        tool('laser', 'Laser Pointer', 'radio', ['8', 'K']),
+        tool('pan', 'Pan Tool', 'move', ['9', 'M']),
+        { id: 'tool-shapes', label: 'Shapes', group: 'Tools', view: 'canvas', icon: 'shapes', run: toggleShapesPopup },
+        {
+            id: 'pan-hold', label: 'Pan While Held', group: 'Tools', view: 'canvas', icon: 'hand', defaultKeys: ['Space'],
+            run: () => { canvasState.isPanKeyHeld = true; updateCursor(); },
+            release: () => { canvasState.isPanKeyHeld = false; updateCursor(); },
+        },
+
+        { id: 'brush-size', label: 'Brush Size', group: 'Brush', view: 'canvas', icon: 'git-commit', run: () => toggleSettingWedge('size-setting') },
+        { id: 'brush-opacity', label: 'Brush Opacity', group: 'Brush', view: 'canvas', icon: 'droplet', run: () => toggleSettingWedge('opacity-setting') },
+        { id: 'brush-smoothness', label: 'Brush Smoothness', group: 'Brush', view: 'canvas', icon: 'wind', run: () => toggleSettingWedge('smoothness-setting') },
+
+        { id: 'undo', label: 'Undo', group: 'Edit', view: 'canvas', icon: 'corner-up-left', defaultKeys: ['Mod+Z'], run: undo, isEnabled: canUndo },
+        { id: 'redo', label: 'Redo', group: 'Edit', view: 'canvas', icon: 'corner-up-right', defaultKeys: ['Mod+Shift+Z', 'Mod+Y'], run: redo, isEnabled: canRedo },
+        { id: 'history-limit', label: 'Set Undo History Limit', group: 'Edit', icon: 'history', run: promptHistoryLimit },
+        // Copy, cut and paste keys go through the browser's clipboard events, see clipboard.ts
+        { id: 'copy-selection', label: 'Copy', group: 'Edit', view: 'canvas', icon: 'copy', run: copySelection, isEnabled: hasSelection },
+        { id: 'cut-selection', label: 'Cut', group: 'Edit', view: 'canvas', icon: 'scissors', run: cutSelection, isEnabled: hasSelection },
+        { id: 'paste', label: 'Paste', group: 'Edit', view: 'canvas', icon: 'clipboard', run: pasteClipboard },
+        { id: 'duplicate-selection', label: 'Duplicate Selection', group: 'Edit', view: 'canvas', icon: 'copy-plus', defaultKeys: ['Mod+D'], run: duplicateSelection, isEnabled: hasSelection },
+        { id: 'delete-selection', label: 'Delete Selection', group: 'Edit', view: 'canvas', icon: 'trash-2', defaultKeys: ['Delete', 'Backspace'], run: deleteSelection, isEnabled: hasSelection },
+        { id: 'select-all', label: 'Select All', group: 'Edit', view: 'canvas', icon: 'box-select', defaultKeys: ['Mod+A'], run: selectAll },
+        { id: 'clear-selection', label: 'Clear Selection', group: 'Edit', view: 'canvas', icon: 'x', defaultKeys: ['Escape'], run: clearSelection, isEnabled: hasSelection },
+
+        { id: 'zoom-in', label: 'Zoom In', group: 'View', view: 'canvas', icon: 'zoom-in', defaultKeys: ['+', '='], run: () => zoomAtCenter(ZOOM_STEP) },
+        { id: 'zoom-out', label: 'Zoom Out', group: 'View', view: 'canvas', icon: 'zoom-out', defaultKeys: ['-'], run: () => zoomAtCenter(1 / ZOOM_STEP) },
+        // 100% of the current floor: strokes drawn here at their drawn size
+        { id: 'zoom-reset', label: 'Reset Zoom', group: 'View', view: 'canvas', icon: 'scan', defaultKeys: ['0'], run: () => zoomAtCenter(1 / viewState.targetScale) },
+        { id: 'find-content', label: 'Find Content', group: 'View', view: 'canvas', icon: 'compass', defaultKeys: ['F'], run: centerCanvasContent },
+        { id: 'save-view', label: 'Save Current View', group: 'View', view: 'canvas', icon: 'bookmark-plus', run: handleSaveView },
+
+        { id: 'layer-add', label: 'New Layer', group: 'Layers', view: 'canvas', icon: 'plus', run: addLayer },
+        {
+            id: 'layer-rename', label: 'Rename Current Layer', group: 'Layers', view: 'canvas', icon: 'edit-2',
+            run: () => { const id = activeLayerId(); if (id !== null) renameLayer(id); },
+        },
+        {
+            id: 'layer-toggle-visibility', label: 'Show/Hide Current Layer', group: 'Layers', view: 'canvas', icon: 'eye',
+            run: () => { const id = activeLayerId(); if (id !== null) toggleLayerVisibility(id); },
+        },
+        {
+            id: 'layer-toggle-lock', label: 'Lock/Unlock Current Layer', group: 'Layers', view: 'canvas', icon: 'lock',
+            run: () => { const id = activeLayerId(); if (id !== null) toggleLayerLock(id); },
+        },
+        {
+            id: 'layer-toggle-solo', label: 'Solo/Unsolo Current Layer', group: 'Layers', view: 'canvas', icon: 'focus',
+            run: () => { const id = activeLayerId(); if (id !== null) toggleLayerSolo(id); },
+        },
+        {
+            id: 'layer-toggle-review-hiding', label: 'Hide/Show Current Layer During Review', group: 'Layers', view: 'canvas', icon: 'graduation-cap',
+            run: () => { const id = activeLayerId(); if (id !== null) toggleLayerReviewHiding(id); },
+            isEnabled: () => !isReviewMaskingOn(),
+        },
+        {
+            id: 'layer-duplicate', label: 'Duplicate Current Layer', group: 'Layers', view: 'canvas', icon: 'copy',
+            run: () => { const id = activeLayerId(); if (id !== null) duplicateLayer(id); },
+        },
+        {
+            id: 'layer-merge-down', label: 'Merge Current Layer Down', group: 'Layers', view: 'canvas', icon: 'merge',
+            run: () => { const id = activeLayerId(); if (id !== null) mergeLayerDown(id); },
+            isEnabled: hasLayerBelow,
+        },
+        {
+            id: 'layer-move-up', label: 'Move Current Layer Up', group: 'Layers', view: 'canvas', icon: 'arrow-up',
+            run: () => { const id = activeLayerId(); if (id !== null) moveLayer(id, -1); },
+        },
+        {
+            id: 'layer-move-down', label: 'Move Current Layer Down', group: 'Layers', view: 'canvas', icon: 'arrow-down',
+            run: () => { const id = activeLayerId(); if (id !== null) moveLayer(id, 1); },
+        },
+        {
+            id: 'layer-delete', label: 'Delete Current Layer', group: 'Layers', view: 'canvas', icon: 'trash',
+            run: () => { const id = activeLayerId(); if (id !== null) deleteLayer(id); },
+        },
+
+        { id: 'export-png', label: 'Export PNG', group: 'Export', view: 'canvas', icon: 'image', run: handleExportPng },
+        { id: 'export-svg', label: 'Export SVG of Current Floor', group: 'Export', view: 'canvas', icon: 'file-code', run: handleExportSvg },
+        { id: 'export-pdf', label: 'Export PDF', group: 'Export', view: 'canvas', icon: 'file-text', run: handleExportPdf },
+
+        { id: 'back-to-board', label: 'Back to Revisions', group: 'Navigation', view: 'canvas', icon: 'arrow-left', run: () => switchView('revisions') },
+    ]);
+
+    // One entry per layer (two with a selection to move), floor and saved view of the open card
+    registerCommandProvider(() => {
+        const canvasData = getActiveCardCanvasState();
+        if (!canvasData) return [];
+        const layers: Command[] = canvasData.layers
+            .filter(layer => layer.id !== canvasData.activeLayerId)
+            .flatMap(layer => [
+                {
+                    id: `layer-select:${layer.id}`, label: `Switch to Layer: ${layer.name}`, group: 'Layers', view: 'canvas', icon: 'layers',
+                    run: () => setActiveLayer(layer.id),
+                },
+                ...(hasSelection() ? [{
+                    id: `selection-move-to:${layer.id}`, label: `Move Selection to Layer: ${layer.name}`, group: 'Layers', view: 'canvas', icon: 'move-right',
+                    run: () => moveSelectionToLayer(layer.id),
+                }] : []),
+            ] as Command[]);
+        const floors: Command[] = viewState.currentFloor.getAllFloors().map(floor => ({
+            id: `floor-go:${floor.id}`, label: `Zoom to ${getFloorLabel(floor)}`, group: 'View', view: 'canvas', icon: 'layers-3',
+            run: () => goToFloor(floor),
+        }));
+        const views: Command[] = getSavedViews().map(view => ({
+            id: `view-go:${view.id}`, label: `Go to View: ${view.name}`, group: 'View', view: 'canvas', icon: 'bookmark',
+            run: () => goToSavedView(view),
+        }));
+        return [...layers, ...floors, ...views];
+    });
+}
@@ -1,10 +1,11 @@
-import { Point, TempShape, Stroke, LaserPoint } from '../core/types';
-import { canvasState, getActiveLayer, requestRedraw, viewState, getActiveCardCanvasState, saveData, brushSettings } from '../core/store';
+import { Point, TempShape, Stroke, StrokePoint, LaserPoint } from '../core/types';
+import { canvasState, getActiveLayer, isActiveLayerLocked, requestRedraw, viewState, getActiveCardCanvasState, saveData, brushSettings, syncFloorState } from '../core/store';
 import { getUniqueId, isPointInBox } from '../utils/math';
-import { checkFloorTransitions } from './canvas.ts';
-import { eraseAt, applySmoothing, updateCursor, setActiveTool } from './tools';
-import { getResizeHandleUnderCursor, resizeSelection, moveSelection, selectStrokesInLasso } from './selection';
+import { zoomAt } from './canvas.ts';
+import { eraseAt, endPartialErase, applySmoothing, updateCursor, setActiveTool } from './tools';
+import { beginRotation, getResizeHandleUnderCursor, resizeSelection, moveSelection, selectStrokesInLasso } from './selection';
 import { hideSelectionToolbar } from '../ui/Toolbar';
+import { updateStrokeInIndex } from './spatialIndex';
 import { storePreModificationState, addHistoryAction, preModificationStrokes, clearPreModificationState } from './history';
 
 const activePointers = new Map<number, PointerEvent>();
@@ -19,6 +20,11 @@ function getCanvasPos(e: PointerEvent): Point {
     };
 }
 
+// Only a stylus reports meaningful pressure; mice and touch screens send a constant
+function toStrokePoint(pos: Point, e: PointerEvent): StrokePoint {
+    return e.pointerType === 'pen' ? { ...pos, pressure: e.pressure } : pos;
+}
+
 export function handleCanvasPointerDown(e: PointerEvent) {
     const activeLayer = getActiveLayer();
     if (!activeLayer) return;
@@ -37,12 +43,18 @@ export function handleCanvasPointerDown(e: PointerEvent) {
     canvasState.lastPos = getCanvasPos(e);
     canvasState.panStart = { x: e.clientX, y: e.clientY };
 
-    if (canvasState.activeTool === 'pan' || e.button === 2 || (e.button === 0 && e.altKey)) {
+    if (canvasState.activeTool === 'pan' || canvasState.isPanKeyHeld || e.button === 2 || (e.button === 0 && e.altKey)) {
         canvasState.isPanning = true;
         if(canvas) canvas.style.cursor = 'grabbing';
         return;
     }
 
+    // A locked layer can't be drawn on, erased or selected from; only the laser pointer still works
+    if (isActiveLayerLocked() && (e.button === 1 || canvasState.activeTool !== 'laser')) {
+        if (e.button === 1) e.preventDefault();
+        return;
+    }
+
     if (e.button === 1) {
         e.preventDefault();
         setActiveTool('lasso');
@@ -57,6 +69,7 @@ export function handleCanvasPointerDown(e: PointerEvent) {
             if (handle) {
                 canvasState.isResizingSelection = true;
                 canvasState.resizeHandle = handle;
+                if (handle.type === 'rotate') beginRotation(canvasState.lastPos);
                 storePreModificationState();
                 return;
             }
@@ -77,13 +90,15 @@ export function handleCanvasPointerDown(e: PointerEvent) {
 
         switch (canvasState.activeTool) {
             case 'pen': case 'highlighter':
+                const firstPoint = toStrokePoint(canvasState.lastPos, e);
                 const newStroke: Stroke = { 
                     ...options, 
                     type: canvasState.activeTool, 
                     floorIndex: viewState.currentFloor.index, 
+                    floorId: viewState.currentFloor.id, 
                     worldWidth: options.lineWidth / viewState.scale, 
-                    points: [canvasState.lastPos], 
-                    rawPoints: [canvasState.lastPos], 
+                    points: [firstPoint], 
+                    rawPoints: [firstPoint], 
                     color: options.color || '#FFFFFF', 
                     opacity: options.opacity ?? 100 
                 };
@@ -95,6 +110,8 @@ export function handleCanvasPointerDown(e: PointerEvent) {
                     ...options, 
                     type: canvasState.activeTool, 
                     floorIndex: viewState.currentFloor.index, 
+                    floorId: viewState.currentFloor.id, 
+                    worldWidth: options.lineWidth / viewState.scale, 
                     x: canvasState.lastPos.x, 
                     y: canvasState.lastPos.y, 
                     width: 0, 
@@ -132,16 +149,7 @@ export function handleCanvasPointerMove(e: PointerEvent) {
         const rect = canvas!.getBoundingClientRect();
         const center = { x: (p1.clientX + p2.clientX) / 2 - rect.left, y: (p1.clientY + p2.clientY) / 2 - rect.top };
         
-        const scaleMultiplier = newDist / pinchState.startDistance;
-        const oldScale = viewState.targetScale;
-        const newTargetScale = Math.max(0.01, oldScale * scaleMultiplier);
-        
-        const worldPos = { x: (center.x - viewState.targetPanOffset.x) / oldScale, y: (center.y - viewState.targetPanOffset.y) / oldScale };
-        
-        viewState.targetPanOffset = { x: center.x - worldPos.x * newTargetScale, y: center.y - worldPos.y * newTargetScale };
-        viewState.targetScale = newTargetScale;
-        
-        checkFloorTransitions();
+        zoomAt(center, newDist / pinchState.startDistance);
         pinchState.startDistance = newDist;
         requestRedraw();
         return;
@@ -161,7 +169,7 @@ export function handleCanvasPointerMove(e: PointerEvent) {
         viewState.targetPanOffset.y += e.clientY - canvasState.panStart.y;
         canvasState.panStart = { x: e.clientX, y: e.clientY };
     } else if (canvasState.isResizingSelection) {
-        resizeSelection(dx, dy);
+        resizeSelection(dx, dy, e.shiftKey);
     } else if (canvasState.isMovingSelection) {
         moveSelection(dx, dy);
     } else if (canvasState.isLassoing) {
@@ -171,11 +179,12 @@ export function handleCanvasPointerMove(e: PointerEvent) {
             case 'pen': case 'highlighter':
                 const currentStroke = activeLayer.strokes[activeLayer.strokes.length - 1];
                 if (currentStroke && currentStroke.rawPoints) {
-                    currentStroke.rawPoints.push(pos);
+                    currentStroke.rawPoints.push(toStrokePoint(pos, e));
                     const settings = brushSettings[canvasState.activeTool];
                     const smoothness = settings.smoothness ?? 0;
                     currentStroke.points = (smoothness > 1) ? applySmoothing(currentStroke.rawPoints, smoothness) : [...currentStroke.rawPoints];
                     if(currentStroke.gpuData){ currentStroke.gpuData.vertexBuffer.destroy(); currentStroke.gpuData.indexBuffer.destroy(); currentStroke.gpuData = null; }
+                    updateStrokeInIndex(activeLayer, currentStroke);
                 }
                 break;
             case 'rectangle': case 'circle': case 'triangle':
@@ -205,8 +214,7 @@ export function handleCanvasPointerUp(e: PointerEvent) {
         if (canvasData) {
             canvasData.panOffset = { ...viewState.panOffset };
             canvasData.scale = viewState.scale;
-            canvasData.floorTree = viewState.currentFloor.getRoot().toJSON();
-            canvasData.currentFloorIndex = viewState.currentFloor.index;
+            syncFloorState(canvasData);
             saveData();
         }
     }
@@ -240,12 +248,20 @@ export function handleCanvasPointerUp(e: PointerEvent) {
     }
     activeLayer.strokes.forEach((s: Stroke) => delete s.isErasing);
 
+    const partialErase = endPartialErase(activeLayer);
+    if (partialErase) {
+        addHistoryAction({ type: 'MODIFY', ...partialErase, layerId: activeLayer.id });
+        saveData();
+    }
+
     if (canvasState.isDrawing && canvasState.tempShape) {
         if (Math.abs(canvasState.tempShape.width) > 2 || Math.abs(canvasState.tempShape.height) > 2) {
             const shapeToAdd = JSON.parse(JSON.stringify(canvasState.tempShape));
             activeLayer.strokes.push(shapeToAdd);
             viewState.currentFloor._hasStrokes = true;
             addHistoryAction({ type: 'ADD', strokes: [shapeToAdd], layerId: activeLayer.id });
+            const canvasData = getActiveCardCanvasState();
+            if (canvasData) syncFloorState(canvasData);
             saveData();
         }
         if (canvasState.tempShape.gpuData) {
@@ -262,6 +278,9 @@ export function handleCanvasPointerUp(e: PointerEvent) {
             delete strokeForHistory.rawPoints;
             addHistoryAction({ type: 'ADD', strokes: [strokeForHistory], layerId: activeLayer.id });
             delete currentStroke.rawPoints;
+            // The stroke's floor may be new, so the tree has to be saved alongside it
+            const canvasData = getActiveCardCanvasState();
+            if (canvasData) syncFloorState(canvasData);
             saveData();
         }
     }
@@ -309,14 +328,7 @@ export function handleWheel(e: WheelEvent) {
         const zoomFactor = Math.exp(-e.deltaY * zoomIntensity);
         const mousePoint = { x: e.clientX - rect.left, y: e.clientY - rect.top };
         
-        const oldScale = viewState.targetScale;
-        const newTargetScale = Math.max(0.01, oldScale * zoomFactor);
-        const worldPos = { x: (mousePoint.x - viewState.targetPanOffset.x) / oldScale, y: (mousePoint.y - viewState.targetPanOffset.y) / oldScale };
-        
-        viewState.targetPanOffset = { x: mousePoint.x - worldPos.x * newTargetScale, y: mousePoint.y - worldPos.y * newTargetScale };
-        viewState.targetScale = newTargetScale;
-
-        checkFloorTransitions();
+        zoomAt(mousePoint, zoomFactor);
     } else { // Panning
         viewState.targetPanOffset.x -= e.deltaX;
         viewState.targetPanOffset.y -= e.deltaY;
@@ -1,9 +1,10 @@
-import { HistoryAction, Stroke } from '../core/types';
-import { canvasState, getSessionHistory, getCurrentOpenCardId, getActiveCardCanvasState, getActiveLayer, requestRedraw } from '../core/store';
+import { CanvasData, HistoryAction, Layer, Stroke } from '../core/types';
+import { canvasState, getSessionHistory, getCurrentOpenCardId, getActiveCardCanvasState, getActiveLayer, requestRedraw, saveData, trimHistory } from '../core/store';
 // Note: We need a dynamic import or function to hide selection toolbar to prevent circular dependencies.
 // We will export a hook system or handle it safely. 
 // For now, let's assume `hideSelectionToolbar` will be explicitly passed or located in UI.
 import { hideSelectionToolbar } from '../ui/Toolbar';
+import { renderLayersPanel, scheduleLayerThumbnails } from '../ui/LayersPanel';
 
 export let preModificationStrokes: Stroke[] | null = null;
 
@@ -35,99 +36,126 @@ export function addHistoryAction(action: HistoryAction) {
   cardHistory.history.splice(cardHistory.historyIndex + 1);
   cardHistory.history.push(action);
   cardHistory.historyIndex++;
-  
-  if (cardHistory.history.length > 100) {
-      cardHistory.history.shift();
-      cardHistory.historyIndex--;
+  trimHistory(cardHistory);
+  scheduleLayerThumbnails();
+}
+
+function destroyStrokeBuffers(strokes: Stroke[]) {
+  strokes.forEach((s: Stroke) => {
+      if (s.gpuData) {
+          s.gpuData.vertexBuffer.destroy();
+          s.gpuData.indexBuffer.destroy();
+      }
+  });
+}
+
+function removeStrokes(layer: Layer, ids: Set<string | number>) {
+  destroyStrokeBuffers(layer.strokes.filter((s: Stroke) => ids.has(s.id)));
+  layer.strokes = layer.strokes.filter((s: Stroke) => !ids.has(s.id));
+}
+
+function insertLayer(canvasData: CanvasData, layer: Layer, index: number) {
+  canvasData.layers.splice(Math.min(Math.max(0, index), canvasData.layers.length), 0, JSON.parse(JSON.stringify(layer)));
+}
+
+function removeLayer(canvasData: CanvasData, layerId: number) {
+  const layer = canvasData.layers.find(l => l.id === layerId);
+  if (!layer) return;
+  destroyStrokeBuffers(layer.strokes);
+  canvasData.layers = canvasData.layers.filter(l => l.id !== layerId);
+  if (canvasData.activeLayerId === layerId && canvasData.layers.length > 0) {
+      canvasData.activeLayerId = canvasData.layers[canvasData.layers.length - 1].id;
   }
 }
 
-export function undo() {
-  const canvasData = getActiveCardCanvasState();
-  const cardHistory = getActiveCardHistory();
-  
-  if (!canvasData || !cardHistory || cardHistory.historyIndex < 0) return;
+function restoreActiveLayer(canvasData: CanvasData, layerId: number | undefined) {
+  if (layerId !== undefined && canvasData.layers.some(l => l.id === layerId)) canvasData.activeLayerId = layerId;
+}
+
+/** Redoes (`forward`) or undoes an action on the card's canvas */
+function applyAction(canvasData: CanvasData, action: HistoryAction, forward: boolean) {
+  if (action.type === 'COMPOSITE') {
+      const steps = action.actions || [];
+      (forward ? steps : [...steps].reverse()).forEach(step => applyAction(canvasData, step, forward));
+      return;
+  }
+
+  if (action.type === 'ADD_LAYER' || action.type === 'DELETE_LAYER') {
+      if (!action.layer) return;
+      if (forward === (action.type === 'ADD_LAYER')) insertLayer(canvasData, action.layer, action.index ?? canvasData.layers.length);
+      else removeLayer(canvasData, action.layer.id);
+
+      if (!forward) restoreActiveLayer(canvasData, action.previousActiveLayerId);
+      else if (action.type === 'ADD_LAYER') canvasData.activeLayerId = action.layer.id;
+      return;
+  }
 
-  const actionToUndo = cardHistory.history[cardHistory.historyIndex];
-  const layer = canvasData.layers.find(l => l.id === actionToUndo.layerId);
+  if (action.type === 'SOLO_LAYER') {
+      canvasData.soloLayerId = (forward ? action.toSoloLayerId : action.fromSoloLayerId) ?? null;
+      return;
+  }
+
+  const layer = canvasData.layers.find(l => l.id === action.layerId);
   if (!layer) return;
 
-  switch (actionToUndo.type) {
-      case 'ADD':
-          const addedIds = new Set(actionToUndo.strokes?.map((s: Stroke) => s.id) || []);
-          layer.strokes.forEach((s: Stroke) => { 
-              if (addedIds.has(s.id) && s.gpuData) { 
-                  s.gpuData.vertexBuffer.destroy(); 
-                  s.gpuData.indexBuffer.destroy(); 
-              } 
-          });
-          layer.strokes = layer.strokes.filter((s: Stroke) => !addedIds.has(s.id));
+  switch (action.type) {
+      case 'RENAME_LAYER':
+          layer.name = (forward ? action.toName : action.fromName) ?? layer.name;
+          break;
+      case 'REORDER_LAYER':
+          const toIndex = forward ? action.toIndex : action.fromIndex;
+          if (toIndex === undefined) break;
+          canvasData.layers.splice(canvasData.layers.indexOf(layer), 1);
+          canvasData.layers.splice(Math.min(Math.max(0, toIndex), canvasData.layers.length), 0, layer);
           break;
+      case 'LAYER_VISIBILITY':
+          layer.isVisible = forward ? !!action.isVisible : !action.isVisible;
+          break;
+      case 'ADD':
       case 'REMOVE':
-          layer.strokes.push(...JSON.parse(JSON.stringify(actionToUndo.strokes)));
+          if (forward === (action.type === 'ADD')) {
+              layer.strokes.push(...JSON.parse(JSON.stringify(action.strokes || [])));
+          } else {
+              removeStrokes(layer, new Set(action.strokes?.map((s: Stroke) => s.id) || []));
+          }
           break;
       case 'MODIFY':
-          const modifiedIds = new Set(actionToUndo.before?.map((s: Stroke) => s.id) || []);
-          layer.strokes.forEach((s: Stroke) => { 
-              if (modifiedIds.has(s.id) && s.gpuData) { 
-                  s.gpuData.vertexBuffer.destroy(); 
-                  s.gpuData.indexBuffer.destroy(); 
-              } 
-          });
-          layer.strokes = layer.strokes.filter((s: Stroke) => !modifiedIds.has(s.id));
-          layer.strokes.push(...JSON.parse(JSON.stringify(actionToUndo.before)));
+          // Ids from both sides: a partial erase replaces strokes with fragments under new ids
+          removeStrokes(layer, new Set([...(action.before || []), ...(action.after || [])].map((s: Stroke) => s.id)));
+          layer.strokes.push(...JSON.parse(JSON.stringify((forward ? action.after : action.before) || [])));
           break;
   }
+}
 
-  cardHistory.historyIndex--;
+/** Clears the selection and refreshes everything an undo or redo may have changed */
+function afterHistoryStep() {
   canvasState.selectedStrokes.clear();
   canvasState.selectionBox = null;
-  
+
   hideSelectionToolbar?.();
+  renderLayersPanel();
+  saveData();
   requestRedraw();
 }
 
-export function redo() {
+export function undo() {
   const canvasData = getActiveCardCanvasState();
   const cardHistory = getActiveCardHistory();
   
-  if (!canvasData || !cardHistory || cardHistory.historyIndex >= cardHistory.history.length - 1) return;
+  if (!canvasData || !cardHistory || cardHistory.historyIndex < 0) return;
 
-  const actionToRedo = cardHistory.history[cardHistory.historyIndex + 1];
-  const layer = canvasData.layers.find(l => l.id === actionToRedo.layerId);
-  if (!layer) return;
+  applyAction(canvasData, cardHistory.history[cardHistory.historyIndex], false);
+  cardHistory.historyIndex--;
+  afterHistoryStep();
+}
 
-  switch (actionToRedo.type) {
-      case 'ADD':
-          layer.strokes.push(...JSON.parse(JSON.stringify(actionToRedo.strokes)));
-          break;
-      case 'REMOVE':
-          const removedIds = new Set(actionToRedo.strokes?.map((s: Stroke) => s.id) || []);
-          layer.strokes.forEach((s: Stroke) => { 
-              if (removedIds.has(s.id) && s.gpuData) { 
-                  s.gpuData.vertexBuffer.destroy(); 
-                  s.gpuData.indexBuffer.destroy(); 
-              } 
-          });
-          layer.strokes = layer.strokes.filter((s: Stroke) => !removedIds.has(s.id));
-          break;
-      case 'MODIFY':
-          const modifiedIds = new Set(actionToRedo.after?.map((s: Stroke) => s.id) || []);
-          layer.strokes.forEach((s: Stroke) => { 
-              if (modifiedIds.has(s.id) && s.gpuData) { 
-                  s.gpuData.vertexBuffer.destroy(); 
-                  s.gpuData.indexBuffer.destroy(); 
-              } 
-          });
-          layer.strokes = layer.strokes.filter((s: Stroke) => !modifiedIds.has(s.id));
-          layer.strokes.push(...JSON.parse(JSON.stringify(actionToRedo.after)));
-          break;
-  }
+export function redo() {
+  const canvasData = getActiveCardCanvasState();
+  const cardHistory = getActiveCardHistory();
+  
+  if (!canvasData || !cardHistory || cardHistory.historyIndex >= cardHistory.history.length - 1) return;
 
+  applyAction(canvasData, cardHistory.history[cardHistory.historyIndex + 1], true);
   cardHistory.historyIndex++;
-  canvasState.selectedStrokes.clear();
-  canvasState.selectionBox = null;
-  
-  hideSelectionToolbar?.();
-  requestRedraw();
+  afterHistoryStep();
 }
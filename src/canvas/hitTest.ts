@@ -0,0 +1,59 @@
+import { Point, Stroke, StrokePoint } from '../core/types';
+import { ViewRect, getFloorScale, getPressureWidthFactor } from '../renderer/tessellation';
+import { getStrokeBounds } from '../utils/math';
+import { ZoomFloor, transformPointToFloor } from './zoom';
+
+/** Strokes the renderers cull on this floor (more than two floors deeper) can't be hit either */
+export const isStrokeOnFloor = (stroke: Stroke, floor: ZoomFloor): boolean =>
+    (stroke.floorIndex || 0) - floor.index <= 2;
+
+/**
+ * Copy of a stroke's geometry in `floor` coordinates: points, shape box and
+ * width go through the same transforms the tessellators use. Pointer
+ * positions can be tested against the result directly.
+ */
+export function projectStrokeToFloor(stroke: Stroke, floor: ZoomFloor): Stroke {
+    const scale = getFloorScale(stroke.floorIndex || 0, floor);
+    const projected: Stroke = {
+        ...stroke,
+        gpuData: null,
+        worldWidth: (stroke.worldWidth ?? stroke.lineWidth ?? 0) * scale,
+    };
+
+    if (stroke.points && stroke.points.length > 0) {
+        projected.points = stroke.points.map((pt: StrokePoint): StrokePoint => {
+            const p = transformPointToFloor(pt, stroke.floorId, floor);
+            return pt.pressure === undefined ? p : { x: p.x, y: p.y, pressure: pt.pressure };
+        });
+    } else {
+        const sx = stroke.x || 0, sy = stroke.y || 0, sw = stroke.width || 0, sh = stroke.height || 0;
+        const p1 = transformPointToFloor({ x: sx, y: sy }, stroke.floorId, floor);
+        const p2 = transformPointToFloor({ x: sx + sw, y: sy + sh }, stroke.floorId, floor);
+        projected.x = p1.x;
+        projected.y = p1.y;
+        projected.width = p2.x - p1.x;
+        projected.height = p2.y - p1.y;
+    }
+    return projected;
+}
+
+/** Maps a point given in `floor` coordinates back onto the stroke's own floor */
+export function pointToStrokeFloor(pt: Point, stroke: Stroke, floor: ZoomFloor): Point {
+    const strokeFloor = floor.findById(stroke.floorId);
+    return strokeFloor ? transformPointToFloor(pt, floor.id, strokeFloor) : { x: pt.x, y: pt.y };
+}
+
+/** Bounds of a projected stroke as drawn, pressure-widened samples included */
+export function getProjectedBounds(projected: Stroke): ViewRect {
+    const points = projected.points;
+    if (!points || points.length === 0) return getStrokeBounds(projected);
+
+    const halfWidth = (projected.worldWidth || 0) / 2;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach((p: StrokePoint) => {
+        const r = halfWidth * getPressureWidthFactor(p.pressure, projected.pressureCurve);
+        minX = Math.min(minX, p.x - r); minY = Math.min(minY, p.y - r);
+        maxX = Math.max(maxX, p.x + r); maxY = Math.max(maxY, p.y + r);
+    });
+    return { minX, minY, maxX, maxY };
+}
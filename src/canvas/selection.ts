@@ -1,26 +1,34 @@
-import { Point, Stroke, Box } from '../core/types';
-import { canvasState, getActiveLayer } from '../core/store';
-import { isPointInPolygon, getStrokeBounds } from '../utils/math';
+import { Point, Stroke, StrokePoint, Box, ResizeHandle } from '../core/types';
+import { ROTATE_HANDLE_RADIUS, ROTATE_SNAP_ANGLE } from '../core/constants';
+import { canvasState, getActiveCardCanvasState, getActiveLayer, isLayerLocked, persistenceReplacer, requestRedraw, saveData, viewState } from '../core/store';
+import { addHistoryAction } from './history';
+import { isPointInPolygon, getRotateHandlePosition, getShapeCorners, rotatePoint } from '../utils/math';
+import { getFloorScale } from '../renderer/tessellation';
+import { isStrokeOnFloor, pointToStrokeFloor, projectStrokeToFloor } from './hitTest';
+import { getIndexedBounds, queryStrokes, updateStrokeInIndex } from './spatialIndex';
+import { transformPointToFloor } from './zoom';
 import { showSelectionToolbar, hideSelectionToolbar } from '../ui/Toolbar';
+import { renderLayersPanel } from '../ui/LayersPanel';
 
 export function selectStrokesInLasso() {
     const activeLayer = getActiveLayer(); 
     if (!activeLayer) return;
 
+    const floor = viewState.currentFloor;
     canvasState.selectedStrokes.clear();
-    activeLayer.strokes.forEach((stroke: Stroke) => {
-        if (stroke.points && stroke.points.length > 0) {
-            if (stroke.points.some((p: Point) => isPointInPolygon(p, canvasState.lassoPoints))) {
+    const lassoBounds = canvasState.lassoPoints.reduce((b, p) => ({
+        minX: Math.min(b.minX, p.x), minY: Math.min(b.minY, p.y),
+        maxX: Math.max(b.maxX, p.x), maxY: Math.max(b.maxY, p.y),
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+    queryStrokes(activeLayer, floor, lassoBounds).forEach((stroke: Stroke) => {
+        const projected = projectStrokeToFloor(stroke, floor);
+        if (projected.points && projected.points.length > 0) {
+            if (projected.points.some((p: Point) => isPointInPolygon(p, canvasState.lassoPoints))) {
                 canvasState.selectedStrokes.add(stroke.id);
             }
         } else {
-            const bounds = getStrokeBounds(stroke);
-            const corners = [
-                { x: bounds.minX, y: bounds.minY }, 
-                { x: bounds.maxX, y: bounds.minY }, 
-                { x: bounds.maxX, y: bounds.maxY }, 
-                { x: bounds.minX, y: bounds.maxY }
-            ];
+            const corners = getShapeCorners(projected);
             if (corners.some(p => isPointInPolygon(p, canvasState.lassoPoints))) {
                 canvasState.selectedStrokes.add(stroke.id);
             }
@@ -31,6 +39,25 @@ export function selectStrokesInLasso() {
     calculateSelectionBox();
 }
 
+/** Selects every stroke of the active layer that is drawn on the current floor */
+export function selectAll() {
+    const activeLayer = getActiveLayer();
+    if (!activeLayer || isLayerLocked(activeLayer)) return;
+    const floor = viewState.currentFloor;
+    canvasState.selectedStrokes = new Set(activeLayer.strokes.filter(s => isStrokeOnFloor(s, floor)).map(s => s.id));
+    calculateSelectionBox();
+    requestRedraw();
+}
+
+/** Drops the selection without touching the strokes */
+export function clearSelection() {
+    if (canvasState.selectedStrokes.size === 0 && !canvasState.selectionBox) return;
+    canvasState.selectedStrokes.clear();
+    calculateSelectionBox();
+    requestRedraw();
+}
+
+/** Selection bounds in the camera floor's coordinates, where the box is drawn and dragged */
 export function calculateSelectionBox() {
     const activeLayer = getActiveLayer();
     if (!activeLayer || canvasState.selectedStrokes.size === 0) {
@@ -42,7 +69,8 @@ export function calculateSelectionBox() {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     activeLayer.strokes.forEach((stroke: Stroke) => {
         if (canvasState.selectedStrokes.has(stroke.id)) {
-            const b = getStrokeBounds(stroke);
+            const b = getIndexedBounds(activeLayer, viewState.currentFloor, stroke);
+            if (!b) return;
             minX = Math.min(minX, b.minX); 
             minY = Math.min(minY, b.minY);
             maxX = Math.max(maxX, b.maxX); 
@@ -50,6 +78,13 @@ export function calculateSelectionBox() {
         }
     });
 
+    // Everything selected may be culled on this floor
+    if (!isFinite(minX)) {
+        canvasState.selectionBox = null;
+        hideSelectionToolbar();
+        return;
+    }
+
     canvasState.selectionBox = { 
         x: minX, 
         y: minY, 
@@ -59,38 +94,118 @@ export function calculateSelectionBox() {
     showSelectionToolbar();
 }
 
-export function getResizeHandles(box: Box | null) {
+/** Removes the selected strokes from the active layer as one undoable step */
+export function deleteSelection() {
+    const activeLayer = getActiveLayer();
+    if (!activeLayer || canvasState.selectedStrokes.size === 0) return;
+
+    const strokesToDelete = JSON.parse(JSON.stringify(
+        activeLayer.strokes.filter(s => canvasState.selectedStrokes.has(s.id))
+    ));
+
+    if (strokesToDelete.length > 0) {
+        addHistoryAction({ type: 'REMOVE', strokes: strokesToDelete, layerId: activeLayer.id });
+        
+        // Cleanup GPU buffers before removal
+        activeLayer.strokes.forEach(s => { 
+            if (canvasState.selectedStrokes.has(s.id) && s.gpuData) { 
+                s.gpuData.vertexBuffer.destroy(); 
+                s.gpuData.indexBuffer.destroy(); 
+            } 
+        });
+
+        activeLayer.strokes = activeLayer.strokes.filter(s => !canvasState.selectedStrokes.has(s.id));
+
+        canvasState.selectedStrokes.clear();
+        canvasState.selectionBox = null;
+        hideSelectionToolbar();
+        saveData();
+        requestRedraw();
+    }
+}
+
+/**
+ * Moves the selected strokes onto another layer as one undoable step. That
+ * layer becomes the active one, so the strokes stay selected.
+ */
+export function moveSelectionToLayer(targetLayerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    const activeLayer = getActiveLayer();
+    const targetLayer = canvasData?.layers.find(l => l.id === targetLayerId);
+    if (!canvasData || !activeLayer || !targetLayer || targetLayer === activeLayer || isLayerLocked(targetLayer)) return;
+
+    const strokesToMove = activeLayer.strokes.filter(s => canvasState.selectedStrokes.has(s.id));
+    if (strokesToMove.length === 0) return;
+
+    const strokesCopy: Stroke[] = JSON.parse(JSON.stringify(strokesToMove, persistenceReplacer));
+    addHistoryAction({
+        type: 'COMPOSITE', layerId: activeLayer.id, actions: [
+            { type: 'REMOVE', strokes: strokesCopy, layerId: activeLayer.id },
+            { type: 'ADD', strokes: strokesCopy, layerId: targetLayer.id },
+        ],
+    });
+
+    // The stroke objects move as they are, GPU buffers included
+    activeLayer.strokes = activeLayer.strokes.filter(s => !canvasState.selectedStrokes.has(s.id));
+    targetLayer.strokes.push(...strokesToMove);
+    canvasData.activeLayerId = targetLayer.id;
+
+    renderLayersPanel();
+    saveData();
+    requestRedraw();
+}
+
+export function getResizeHandles(box: Box | null): ResizeHandle[] {
     if (!box) return [];
+    const rotateHandle = getRotateHandlePosition(box, viewState.scale);
     return [
         { x: box.x, y: box.y, cursor: 'nwse-resize', type: 'tl' },
         { x: box.x + box.width, y: box.y, cursor: 'nesw-resize', type: 'tr' },
         { x: box.x, y: box.y + box.height, cursor: 'nesw-resize', type: 'bl' },
         { x: box.x + box.width, y: box.y + box.height, cursor: 'nwse-resize', type: 'br' },
+        { x: rotateHandle.x, y: rotateHandle.y, cursor: 'grab', type: 'rotate' },
     ];
 }
 
 export function getResizeHandleUnderCursor(pos: Point) {
     const handleSize = 1.5;
+    const rotateRadius = ROTATE_HANDLE_RADIUS / viewState.scale;
     if (!canvasState.selectionBox) return null;
-    return getResizeHandles(canvasState.selectionBox).find(h =>
-        pos.x >= h.x - handleSize / 2 && pos.x <= h.x + handleSize / 2 &&
-        pos.y >= h.y - handleSize / 2 && pos.y <= h.y + handleSize / 2
+    return getResizeHandles(canvasState.selectionBox).find(h => h.type === 'rotate'
+        ? Math.hypot(pos.x - h.x, pos.y - h.y) <= rotateRadius
+        : pos.x >= h.x - handleSize / 2 && pos.x <= h.x + handleSize / 2 &&
+          pos.y >= h.y - handleSize / 2 && pos.y <= h.y + handleSize / 2
     );
 }
 
+// Rotation drag in progress: the fixed pivot, the pointer angle it started from and the turn applied so far
+let rotationDrag: { pivot: Point; startAngle: number; applied: number } | null = null;
+
+/** Starts a drag on the rotation handle from `pos`, turning about the selection's centre */
+export function beginRotation(pos: Point) {
+    const box = canvasState.selectionBox;
+    if (!box) return;
+    const pivot = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    rotationDrag = { pivot, startAngle: Math.atan2(pos.y - pivot.y, pos.x - pivot.x), applied: 0 };
+}
+
 export function moveSelection(dx: number, dy: number) {
     const activeLayer = getActiveLayer(); 
     if (!activeLayer) return;
 
     activeLayer.strokes.forEach((stroke: Stroke) => {
         if (canvasState.selectedStrokes.has(stroke.id)) {
+            // dx/dy are camera-floor units; the stroke's own floor may be magnified or shrunk relative to it
+            const scale = getFloorScale(stroke.floorIndex || 0, viewState.currentFloor);
+            const sdx = dx / scale, sdy = dy / scale;
             if (stroke.points && stroke.points.length > 0) { 
-                stroke.points.forEach((p: Point) => { p.x += dx; p.y += dy; }); 
+                stroke.points.forEach((p: Point) => { p.x += sdx; p.y += sdy; }); 
             } else if (stroke.x !== undefined && stroke.y !== undefined) { 
-                stroke.x += dx; 
-                stroke.y += dy; 
+                stroke.x += sdx; 
+                stroke.y += sdy; 
             }
             if(stroke.gpuData){ stroke.gpuData.vertexBuffer.destroy(); stroke.gpuData.indexBuffer.destroy(); stroke.gpuData = null; }
+            updateStrokeInIndex(activeLayer, stroke);
         }
     });
 
@@ -100,12 +215,17 @@ export function moveSelection(dx: number, dy: number) {
     }
 }
 
-export function resizeSelection(dx: number, dy: number) {
+/** Drags the active handle: corners scale the selection, the rotation handle turns it (`snap` rounds the turn to 15°) */
+export function resizeSelection(dx: number, dy: number, snap: boolean = false) {
     const activeLayer = getActiveLayer(); 
     if (!activeLayer) return;
 
     const box = canvasState.selectionBox!;
     const handleType = canvasState.resizeHandle!.type;
+    if (handleType === 'rotate') {
+        rotateSelection(snap);
+        return;
+    }
     const originalBox = { ...box };
     let scaleX = 1, scaleY = 1, originX = 0, originY = 0;
 
@@ -117,24 +237,78 @@ export function resizeSelection(dx: number, dy: number) {
     if (Math.abs(originalBox.width) > 0.001) scaleX = box.width / originalBox.width;
     if (Math.abs(originalBox.height) > 0.001) scaleY = box.height / originalBox.height;
 
+    const floor = viewState.currentFloor;
     activeLayer.strokes.forEach((stroke: Stroke) => {
         if (canvasState.selectedStrokes.has(stroke.id)) {
-            const transformFn = (p: Point) => ({ 
-                x: originX + (p.x - originX) * scaleX, 
-                y: originY + (p.y - originY) * scaleY 
-            });
+            // Scale in camera-floor space, where the box lives, then map back onto the stroke's floor
+            const transformFn = (p: Point): Point => {
+                const q = transformPointToFloor(p, stroke.floorId, floor);
+                return pointToStrokeFloor({ 
+                    x: originX + (q.x - originX) * scaleX, 
+                    y: originY + (q.y - originY) * scaleY 
+                }, stroke, floor);
+            };
 
             if (stroke.points && stroke.points.length > 0) { 
-                stroke.points = stroke.points.map(transformFn); 
+                stroke.points = stroke.points.map((p: StrokePoint) => ({ ...p, ...transformFn(p) })); 
+            } else if (stroke.x !== undefined && stroke.y !== undefined && stroke.rotation) {
+                // A turned box can't take a different scale per screen axis, so each side takes the stretch along its own direction
+                const w = stroke.width || 0, h = stroke.height || 0;
+                const cos = Math.cos(stroke.rotation), sin = Math.sin(stroke.rotation);
+                const center = transformFn({ x: stroke.x + w / 2, y: stroke.y + h / 2 });
+                const newWidth = w * Math.hypot(scaleX * cos, scaleY * sin);
+                const newHeight = h * Math.hypot(scaleX * sin, scaleY * cos);
+                stroke.x = center.x - newWidth / 2;
+                stroke.y = center.y - newHeight / 2;
+                stroke.width = newWidth;
+                stroke.height = newHeight;
+            } else if (stroke.x !== undefined && stroke.y !== undefined) {
+                const topLeft = transformFn({ x: stroke.x, y: stroke.y });
+                const bottomRight = transformFn({ x: stroke.x + (stroke.width || 0), y: stroke.y + (stroke.height || 0) });
+                stroke.x = topLeft.x; 
+                stroke.y = topLeft.y;
+                if (stroke.width) stroke.width = bottomRight.x - topLeft.x;
+                if (stroke.height) stroke.height = bottomRight.y - topLeft.y;
+            }
+            if(stroke.gpuData){ stroke.gpuData.vertexBuffer.destroy(); stroke.gpuData.indexBuffer.destroy(); stroke.gpuData = null; }
+            updateStrokeInIndex(activeLayer, stroke);
+        }
+    });
+}
+
+function rotateSelection(snap: boolean) {
+    const activeLayer = getActiveLayer();
+    if (!activeLayer || !rotationDrag) return;
+
+    const { pivot } = rotationDrag;
+    const pos = canvasState.lastPos;
+    let angle = Math.atan2(pos.y - pivot.y, pos.x - pivot.x) - rotationDrag.startAngle;
+    if (snap) angle = Math.round(angle / ROTATE_SNAP_ANGLE) * ROTATE_SNAP_ANGLE;
+    const delta = angle - rotationDrag.applied;
+    if (delta === 0) return;
+    rotationDrag.applied = angle;
+
+    const floor = viewState.currentFloor;
+    activeLayer.strokes.forEach((stroke: Stroke) => {
+        if (canvasState.selectedStrokes.has(stroke.id)) {
+            // Turn in camera-floor space about the fixed pivot, then map back onto the stroke's floor
+            const transformFn = (p: Point): Point =>
+                pointToStrokeFloor(rotatePoint(transformPointToFloor(p, stroke.floorId, floor), pivot, delta), stroke, floor);
+
+            if (stroke.points && stroke.points.length > 0) {
+                stroke.points = stroke.points.map((p: StrokePoint) => ({ ...p, ...transformFn(p) }));
             } else if (stroke.x !== undefined && stroke.y !== undefined) {
-                const newCoords = transformFn({ x: stroke.x, y: stroke.y });
-                stroke.x = newCoords.x; 
-                stroke.y = newCoords.y;
-                if (stroke.width) stroke.width *= scaleX;
-                if (stroke.height) stroke.height *= scaleY;
+                const w = stroke.width || 0, h = stroke.height || 0;
+                const center = transformFn({ x: stroke.x + w / 2, y: stroke.y + h / 2 });
+                stroke.x = center.x - w / 2;
+                stroke.y = center.y - h / 2;
+                const turned = ((stroke.rotation || 0) + delta) % (2 * Math.PI);
+                stroke.rotation = Math.abs(turned) < 1e-9 ? undefined : turned;
             }
-            if (stroke.lineWidth) stroke.lineWidth *= Math.min(Math.abs(scaleX), Math.abs(scaleY));
             if(stroke.gpuData){ stroke.gpuData.vertexBuffer.destroy(); stroke.gpuData.indexBuffer.destroy(); stroke.gpuData = null; }
+            updateStrokeInIndex(activeLayer, stroke);
         }
     });
+
+    calculateSelectionBox();
 }
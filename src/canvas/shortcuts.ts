@@ -0,0 +1,137 @@
+import { canvasState, getAppData, saveData } from '../core/store';
+import { Command, getCommands, isCommandEnabled, isCommandInView } from '../core/commands';
+import { $ } from '../utils/dom';
+import { getCurrentView } from '../ui/View';
+
+/*
+ * Keys for the commands in core/commands. Key combos are written as
+ * modifiers then the key, joined by '+': "Mod+Shift+Z", "Delete", "+". Mod is
+ * Ctrl, or Cmd on a Mac; Shift only counts with letters and named keys, since
+ * it is part of typing symbols such as '+'.
+ */
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.userAgent);
+
+/** The combo a key event stands for, or null for a lone modifier */
+export function eventToCombo(e: KeyboardEvent): string | null {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+    const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const countsShift = e.shiftKey && (key.length > 1 || /^[A-Z]$/.test(key));
+    return [
+        (IS_MAC ? e.metaKey : e.ctrlKey) ? 'Mod' : '',
+        e.altKey ? 'Alt' : '',
+        countsShift ? 'Shift' : '',
+        key,
+    ].filter(Boolean).join('+');
+}
+
+/** The key part of a combo, without its modifiers */
+const comboKey = (combo: string): string => combo.endsWith('+') ? '+' : combo.slice(combo.lastIndexOf('+') + 1);
+
+/** A combo as shown to the user: Mod becomes Ctrl, or ⌘ on a Mac */
+export const formatCombo = (combo: string): string =>
+    combo.replace(/^Mod\+/, IS_MAC ? '⌘' : 'Ctrl+').replace(/^(⌘?)Alt\+/, IS_MAC ? '$1⌥' : '$1Alt+');
+
+/** Keys currently bound to a command: the user's override, else its defaults */
+export function getShortcutKeys(commandId: string): string[] {
+    const command = getCommands().find(c => c.id === commandId);
+    return getAppData().settings?.shortcuts?.[commandId] ?? command?.defaultKeys ?? [];
+}
+
+export function isShortcutCustomized(commandId: string): boolean {
+    return getAppData().settings?.shortcuts?.[commandId] !== undefined;
+}
+
+// A combo can only do one thing, so binding keys takes them off any other command that had them
+function takeKeysFromOthers(shortcuts: Record<string, string[]>, commandId: string, keys: string[]) {
+    getCommands().forEach(command => {
+        if (command.id === commandId) return;
+        const current = shortcuts[command.id] ?? command.defaultKeys ?? [];
+        if (current.some(k => keys.includes(k))) shortcuts[command.id] = current.filter(k => !keys.includes(k));
+    });
+}
+
+/** Binds `keys` to a command in place of its current keys */
+export function setShortcutKeys(commandId: string, keys: string[]) {
+    const appData = getAppData();
+    const shortcuts = { ...appData.settings?.shortcuts };
+    takeKeysFromOthers(shortcuts, commandId, keys);
+    shortcuts[commandId] = keys;
+    appData.settings = { ...appData.settings, shortcuts };
+    saveData();
+}
+
+/** Restores the defaults of one command, or of all of them */
+export function resetShortcuts(commandId?: string) {
+    const appData = getAppData();
+    if (!appData.settings?.shortcuts) return;
+    let shortcuts: Record<string, string[]> | undefined;
+    const command = getCommands().find(c => c.id === commandId);
+    if (command) {
+        shortcuts = { ...appData.settings.shortcuts };
+        delete shortcuts[command.id];
+        takeKeysFromOthers(shortcuts, command.id, command.defaultKeys ?? []);
+    }
+    appData.settings = { ...appData.settings, shortcuts };
+    saveData();
+}
+
+function findCommand(combo: string): Command | undefined {
+    const view = getCurrentView();
+    return getCommands().find(command => isCommandInView(command, view) && getShortcutKeys(command.id).includes(combo));
+}
+
+/** Shortcuts stay out of text fields (layer names included) and open dialogs */
+function isShortcutTarget(e: Event): boolean {
+    const target = e.target as HTMLElement | null;
+    if (target?.closest?.('input, textarea, select, [contenteditable="true"]')) return false;
+    return !$('#custom-modal')?.classList.contains('pointer-events-auto');
+}
+
+/** Clipboard keys act on the canvas selection, so they also need the canvas to be showing */
+export const isCanvasKeyTarget = (e: Event): boolean => isShortcutTarget(e) && getCurrentView() === 'canvas';
+
+const isGestureActive = () =>
+    canvasState.isDrawing || canvasState.isLassoing || canvasState.isMovingSelection || canvasState.isResizingSelection;
+
+// Held commands that are down, by the combo that started them
+const heldCommands = new Map<string, Command>();
+
+function releaseHeldCommands() {
+    heldCommands.forEach(command => command.release?.());
+    heldCommands.clear();
+}
+
+export function initShortcuts() {
+    document.addEventListener('keydown', (e: KeyboardEvent) => {
+        if (!isShortcutTarget(e)) return;
+        const combo = eventToCombo(e);
+        const command = combo ? findCommand(combo) : undefined;
+        if (!combo || !command || !isCommandEnabled(command)) return;
+        e.preventDefault();
+
+        if (command.release) {
+            if (e.repeat || heldCommands.has(combo)) return;
+            heldCommands.set(combo, command);
+            command.run();
+            return;
+        }
+        // Undoing or switching tools mid-stroke would leave the gesture half applied
+        if (isGestureActive()) return;
+        command.run();
+    });
+
+    document.addEventListener('keyup', (e: KeyboardEvent) => {
+        // Modifiers may have changed since the press, so match held keys on the key alone
+        const combo = eventToCombo(e);
+        if (!combo) return;
+        heldCommands.forEach((command, heldCombo) => {
+            if (comboKey(heldCombo) !== comboKey(combo)) return;
+            heldCommands.delete(heldCombo);
+            command.release?.();
+        });
+    });
+
+    // A key released while the window is in the background never sends keyup
+    window.addEventListener('blur', releaseHeldCommands);
+}
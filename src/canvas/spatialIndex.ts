@@ -0,0 +1,186 @@
+import { Layer, Stroke } from '../core/types';
+import { ViewRect } from '../renderer/tessellation';
+import { ZoomFloor } from './zoom';
+import { getProjectedBounds, isStrokeOnFloor, projectStrokeToFloor } from './hitTest';
+
+/** Items a quadtree node holds before it splits */
+const NODE_CAPACITY = 8;
+/** Nodes this far below the root stop splitting, so piles of identical bounds can't recurse forever */
+const MAX_DEPTH = 16;
+/** Edge of the first root cell when the first item is a point */
+const MIN_ROOT_SIZE = 64;
+
+const intersects = (a: ViewRect, b: ViewRect): boolean =>
+    a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+interface QuadNode<T> {
+    // Square cell: top-left corner and edge length
+    x: number;
+    y: number;
+    size: number;
+    items: T[];
+    children: QuadNode<T>[] | null;
+}
+
+const createNode = <T>(x: number, y: number, size: number): QuadNode<T> => ({ x, y, size, items: [], children: null });
+
+const nodeContains = (node: QuadNode<unknown>, b: ViewRect): boolean =>
+    b.minX >= node.x && b.maxX <= node.x + node.size && b.minY >= node.y && b.maxY <= node.y + node.size;
+
+const nodeRect = (node: QuadNode<unknown>): ViewRect =>
+    ({ minX: node.x, minY: node.y, maxX: node.x + node.size, maxY: node.y + node.size });
+
+/**
+ * Quadtree of rectangles on an unbounded plane. Each item lives in the
+ * smallest cell that fully contains it; the root doubles outwards whenever
+ * an item lands outside it.
+ */
+class QuadTree<T> {
+    private root: QuadNode<T> | null = null;
+    private bounds = new Map<T, ViewRect>();
+    private owners = new Map<T, QuadNode<T>>();
+
+    getBounds(item: T): ViewRect | undefined {
+        return this.bounds.get(item);
+    }
+
+    insert(item: T, b: ViewRect) {
+        this.remove(item);
+        this.bounds.set(item, b);
+        if (!this.root) {
+            const size = Math.max(b.maxX - b.minX, b.maxY - b.minY, MIN_ROOT_SIZE) * 2;
+            this.root = createNode((b.minX + b.maxX - size) / 2, (b.minY + b.maxY - size) / 2, size);
+        }
+        while (!nodeContains(this.root, b)) this.grow(b);
+        this.insertInto(this.root, item, b, 0);
+    }
+
+    remove(item: T) {
+        const owner = this.owners.get(item);
+        if (owner) owner.items.splice(owner.items.indexOf(item), 1);
+        this.owners.delete(item);
+        this.bounds.delete(item);
+    }
+
+    query(rect: ViewRect, fn: (item: T) => void) {
+        if (this.root) this.queryNode(this.root, rect, fn);
+    }
+
+    // Doubles the root towards `b`, keeping the old root as one of the new quadrants
+    private grow(b: ViewRect) {
+        const old = this.root!;
+        const left = b.minX < old.x;
+        const up = b.minY < old.y;
+        const root = createNode<T>(left ? old.x - old.size : old.x, up ? old.y - old.size : old.y, old.size * 2);
+        // Pick the old root's quadrant by index; recomputed corners can be off by a rounding error
+        const oldQuadrant = (left ? 1 : 0) + (up ? 2 : 0);
+        root.children = [0, 1, 2, 3].map(q => q === oldQuadrant
+            ? old
+            : createNode<T>(root.x + (q % 2) * old.size, root.y + Math.floor(q / 2) * old.size, old.size));
+        this.root = root;
+    }
+
+    private insertInto(node: QuadNode<T>, item: T, b: ViewRect, depth: number) {
+        if (node.children) {
+            const child = node.children.find(c => nodeContains(c, b));
+            if (child) {
+                this.insertInto(child, item, b, depth + 1);
+                return;
+            }
+        }
+        node.items.push(item);
+        this.owners.set(item, node);
+
+        if (!node.children && node.items.length > NODE_CAPACITY && depth < MAX_DEPTH) {
+            const half = node.size / 2;
+            node.children = [0, 1, 2, 3].map(q => createNode<T>(node.x + (q % 2) * half, node.y + Math.floor(q / 2) * half, half));
+            const items = node.items;
+            node.items = [];
+            items.forEach(it => this.insertInto(node, it, this.bounds.get(it)!, depth));
+        }
+    }
+
+    private queryNode(node: QuadNode<T>, rect: ViewRect, fn: (item: T) => void) {
+        if (!intersects(nodeRect(node), rect)) return;
+        node.items.forEach(item => {
+            if (intersects(this.bounds.get(item)!, rect)) fn(item);
+        });
+        node.children?.forEach(child => this.queryNode(child, rect, fn));
+    }
+}
+
+// --- Per-layer, per-floor stroke index ---
+
+interface FloorIndex {
+    floor: ZoomFloor;
+    // The strokes array last synced against, and each stroke's position in it
+    strokes: Stroke[];
+    order: Map<Stroke, number>;
+    tree: QuadTree<Stroke>;
+}
+
+// Bounds depend on the floor they're projected onto, so each floor a layer is viewed from gets its own tree
+const layerIndexes = new WeakMap<Layer, Map<number, FloorIndex>>();
+
+function indexStroke(index: FloorIndex, stroke: Stroke) {
+    if (isStrokeOnFloor(stroke, index.floor)) {
+        index.tree.insert(stroke, getProjectedBounds(projectStrokeToFloor(stroke, index.floor)));
+    } else {
+        index.tree.remove(stroke);
+    }
+}
+
+/**
+ * The layer's index for `floor`, brought up to date with `layer.strokes`.
+ * Adding and removing strokes (push, or replacing the array) is picked up
+ * here; strokes edited in place must be reported with updateStrokeInIndex.
+ */
+function syncFloorIndex(layer: Layer, floor: ZoomFloor): FloorIndex {
+    let floors = layerIndexes.get(layer);
+    if (!floors) {
+        floors = new Map();
+        layerIndexes.set(layer, floors);
+    }
+
+    let index = floors.get(floor.id);
+    // A reloaded card rebuilds its floor tree, so an index for an older instance of the floor is dropped
+    if (!index || index.floor !== floor) {
+        index = { floor, strokes: [], order: new Map(), tree: new QuadTree() };
+        floors.set(floor.id, index);
+    }
+
+    if (index.strokes !== layer.strokes || index.order.size !== layer.strokes.length) {
+        const previous = index.order;
+        const order = new Map<Stroke, number>();
+        layer.strokes.forEach((stroke, i) => {
+            order.set(stroke, i);
+            if (!previous.has(stroke)) indexStroke(index!, stroke);
+        });
+        previous.forEach((_, stroke) => {
+            if (!order.has(stroke)) index!.tree.remove(stroke);
+        });
+        index.strokes = layer.strokes;
+        index.order = order;
+    }
+    return index;
+}
+
+/** Strokes of the layer whose bounds on `floor` touch `rect`, in drawing order */
+export function queryStrokes(layer: Layer, floor: ZoomFloor, rect: ViewRect): Stroke[] {
+    const index = syncFloorIndex(layer, floor);
+    const found: Stroke[] = [];
+    index.tree.query(rect, stroke => found.push(stroke));
+    return found.sort((a, b) => index.order.get(a)! - index.order.get(b)!);
+}
+
+/** Cached bounds of a stroke on `floor` (as drawn), or null when the floor doesn't draw it */
+export function getIndexedBounds(layer: Layer, floor: ZoomFloor, stroke: Stroke): ViewRect | null {
+    return syncFloorIndex(layer, floor).tree.getBounds(stroke) ?? null;
+}
+
+/** Re-reads the geometry of a stroke that was moved, resized or extended in place */
+export function updateStrokeInIndex(layer: Layer, stroke: Stroke) {
+    layerIndexes.get(layer)?.forEach(index => {
+        if (index.order.has(stroke)) indexStroke(index, stroke);
+    });
+}
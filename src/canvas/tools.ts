@@ -1,5 +1,9 @@
-import { Point, Stroke } from '../core/types';
-import { canvasState, brushSettings, getActiveLayer, requestRedraw } from '../core/store';
+import { Layer, Point, Stroke, StrokePoint } from '../core/types';
+import { canvasState, brushSettings, getActiveLayer, isActiveLayerLocked, requestRedraw, viewState } from '../core/store';
+import { getFloorScale, getPressureWidthFactor } from '../renderer/tessellation';
+import { cutPolylineByCircle, distanceToSegment, getShapeCorners, getStrokeBounds, getUniqueId, isPointInPolygon } from '../utils/math';
+import { pointToStrokeFloor, projectStrokeToFloor } from './hitTest';
+import { queryStrokes } from './spatialIndex';
 import { updateSettingsUI } from '../ui/RadialMenu.ts'; // we'll build this soon
 import { $ } from '../utils/dom';
 
@@ -7,72 +11,135 @@ export function eraseAt(pos: Point) {
     const activeLayer = getActiveLayer(); 
     if (!activeLayer) return;
 
+    if (brushSettings.eraser.eraserMode === 'partial') {
+        cutStrokesAt(activeLayer, pos);
+        return;
+    }
+
     const eraseRadius = brushSettings.eraser.lineWidth / 2;
+    const floor = viewState.currentFloor;
+    const reach = getEraserReach(pos);
     let changed = false;
 
-    activeLayer.strokes.forEach((stroke: Stroke) => {
-        // Quick bounds check
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        if (stroke.points && stroke.points.length > 0) {
-            stroke.points.forEach((p: Point) => { 
-                minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); 
-                maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); 
-            });
-        } else {
-            const sx = stroke.x || 0, sy = stroke.y || 0, sw = stroke.width || 0, sh = stroke.height || 0;
-            minX = Math.min(sx, sx + sw); minY = Math.min(sy, sy + sh);
-            maxX = Math.max(sx, sx + sw); maxY = Math.max(sy, sy + sh);
-        }
-        const padding = (stroke.lineWidth || 0) / 2;
-        minX -= padding; minY -= padding; maxX += padding; maxY += padding;
-
-        if (pos.x < minX - eraseRadius || pos.x > maxX + eraseRadius || 
-            pos.y < minY - eraseRadius || pos.y > maxY + eraseRadius) return;
-
-        const wasErasing = stroke.isErasing;
-        stroke.isErasing = false;
-
-        if (stroke.points && stroke.points.length > 0) {
-            if (stroke.points.some((p: Point) => Math.hypot(p.x - pos.x, p.y - pos.y) < eraseRadius + ((stroke.lineWidth || 0) / 2))) {
-                stroke.isErasing = true;
-            }
-        } else {
-            if (pos.x >= minX && pos.x <= maxX && pos.y >= minY && pos.y <= maxY) {
-                stroke.isErasing = true;
-            }
+    // Marks accumulate over the gesture; pointer up removes everything marked
+    queryStrokes(activeLayer, floor, reach).forEach((stroke: Stroke) => {
+        if (stroke.isErasing || !isStrokeUnderEraser(projectStrokeToFloor(stroke, floor), pos, eraseRadius)) return;
+        stroke.isErasing = true;
+        changed = true;
+        if (stroke.gpuData) {
+            stroke.gpuData.vertexBuffer.destroy();
+            stroke.gpuData.indexBuffer.destroy();
+            stroke.gpuData = null; // Invalidate GPU buffers
         }
+    });
+
+    if (changed) requestRedraw();
+}
+
+const getEraserReach = (pos: Point) => {
+    const eraseRadius = brushSettings.eraser.lineWidth / 2;
+    return { minX: pos.x - eraseRadius, minY: pos.y - eraseRadius, maxX: pos.x + eraseRadius, maxY: pos.y + eraseRadius };
+};
 
-        if (wasErasing !== stroke.isErasing) {
-            changed = true;
-            if (stroke.gpuData) {
-                stroke.gpuData.vertexBuffer.destroy();
-                stroke.gpuData.indexBuffer.destroy();
-                stroke.gpuData = null; // Invalidate GPU buffers
-            }
+// `stroke` is already projected onto the camera floor, like `pos`
+function isStrokeUnderEraser(stroke: Stroke, pos: Point, eraseRadius: number): boolean {
+    const points = stroke.points;
+    if (!points || points.length === 0) {
+        if (stroke.rotation) return isPointInPolygon(pos, getShapeCorners(stroke));
+        const bounds = getStrokeBounds(stroke);
+        return pos.x >= bounds.minX && pos.x <= bounds.maxX && pos.y >= bounds.minY && pos.y <= bounds.maxY;
+    }
+
+    // Test the segments rather than the samples: strokes from shallower floors are magnified and their samples far apart
+    const halfWidth = (stroke.worldWidth || 0) / 2;
+    const reach = (p: StrokePoint) => eraseRadius + halfWidth * getPressureWidthFactor(p.pressure, stroke.pressureCurve);
+    if (points.length === 1) return Math.hypot(points[0].x - pos.x, points[0].y - pos.y) < reach(points[0]);
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        if (distanceToSegment(pos, a, b) < Math.max(reach(a), reach(b))) return true;
+    }
+    return false;
+}
+
+// --- Partial eraser ---
+const CUTTABLE_TYPES = ['pen', 'highlighter'];
+// Strokes cut during the current gesture, as they were before it, and the ids of the fragments now standing in for them
+let cutOriginals: Stroke[] = [];
+let cutFragmentIds = new Set<string | number>();
+
+/** Cuts the pen strokes under the eraser into the fragments left outside it */
+function cutStrokesAt(layer: Layer, pos: Point) {
+    const floor = viewState.currentFloor;
+    const eraseRadius = brushSettings.eraser.lineWidth / 2;
+    const replacements = new Map<Stroke, Stroke[]>();
+
+    queryStrokes(layer, floor, getEraserReach(pos)).forEach((stroke: Stroke) => {
+        if (!CUTTABLE_TYPES.includes(stroke.type)) return;
+        // Work in the stroke's own floor. Widening by the half width makes the cut ends' round caps stop at the eraser's edge
+        const scale = getFloorScale(stroke.floorIndex || 0, floor);
+        const halfWidth = (stroke.worldWidth !== undefined ? stroke.worldWidth : (stroke.lineWidth || 1)) / 2;
+        const widthAt = (p: StrokePoint) => halfWidth * getPressureWidthFactor(p.pressure, stroke.pressureCurve);
+        const runs = cutPolylineByCircle(stroke.points, pointToStrokeFloor(pos, stroke, floor),
+            (a, b) => eraseRadius / scale + Math.max(widthAt(a), widthAt(b)));
+        if (!runs) return;
+        replacements.set(stroke, runs.map(points => ({ ...stroke, id: getUniqueId(), points, gpuData: null })));
+    });
+    if (replacements.size === 0) return;
+
+    replacements.forEach((fragments, stroke) => {
+        // A fragment cut again is simply replaced; only strokes from before the gesture go into history
+        if (cutFragmentIds.has(stroke.id)) cutFragmentIds.delete(stroke.id);
+        else cutOriginals.push(JSON.parse(JSON.stringify(stroke)));
+        fragments.forEach(fragment => cutFragmentIds.add(fragment.id));
+        if (stroke.gpuData) {
+            stroke.gpuData.vertexBuffer.destroy();
+            stroke.gpuData.indexBuffer.destroy();
+            stroke.gpuData = null;
         }
     });
+    // Fragments take their stroke's place so the stacking order is kept
+    layer.strokes = layer.strokes.flatMap(s => replacements.get(s) ?? [s]);
+    requestRedraw();
+}
 
-    if (changed) requestRedraw();
+/**
+ * Ends a partial-erase gesture: the strokes it cut and the fragments left of
+ * them, for a single MODIFY history entry. Null when nothing was cut.
+ */
+export function endPartialErase(layer: Layer): { before: Stroke[]; after: Stroke[] } | null {
+    if (cutOriginals.length === 0) return null;
+    const before = cutOriginals;
+    const after = layer.strokes.filter(s => cutFragmentIds.has(s.id));
+    cutOriginals = [];
+    cutFragmentIds = new Set();
+    return { before, after: JSON.parse(JSON.stringify(after)) };
 }
 
-export function applySmoothing(points: Point[], factor: number): Point[] {
+/** Averages pressure the same way as the coordinates; only present when every sample has it */
+const blendPressure = (points: StrokePoint[], weights: number[]): number | undefined =>
+    points.every(p => p.pressure !== undefined) ? points.reduce((sum, p, i) => sum + p.pressure! * weights[i], 0) : undefined;
+
+const withPressure = (point: Point, pressure: number | undefined): StrokePoint =>
+    pressure === undefined ? point : { ...point, pressure };
+
+export function applySmoothing(points: StrokePoint[], factor: number): StrokePoint[] {
     const normalizedFactor = ((factor - 1) / 99) * 0.95;
     if (normalizedFactor <= 0 || points.length < 3) return points;
     
     const smoothed = [points[0]];
     for (let i = 1; i < points.length - 1; i++) {
         const p0 = points[i - 1], p1 = points[i], p2 = points[i + 1];
-        smoothed.push({
+        smoothed.push(withPressure({
             x: p1.x * (1 - normalizedFactor) + (p0.x + p2.x) / 2 * normalizedFactor,
             y: p1.y * (1 - normalizedFactor) + (p0.y + p2.y) / 2 * normalizedFactor
-        });
+        }, blendPressure([p0, p1, p2], [normalizedFactor / 2, 1 - normalizedFactor, normalizedFactor / 2])));
     }
     smoothed.push(points[points.length - 1]);
     
     const finalSmoothed = [smoothed[0]];
     for (let i = 1; i < smoothed.length - 1; i++) {
         const p1 = smoothed[i], p2 = smoothed[i + 1];
-        finalSmoothed.push({ x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 });
+        finalSmoothed.push(withPressure({ x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 }, blendPressure([p1, p2], [0.5, 0.5])));
     }
     finalSmoothed.push(smoothed[smoothed.length - 1]);
     
@@ -85,7 +152,8 @@ export function updateCursor() {
 
     if (canvasState.isPanning) canvas.style.cursor = 'grabbing';
     else if (canvasState.activeTool === 'laser') canvas.style.cursor = 'none';
-    else if (canvasState.activeTool === 'pan') canvas.style.cursor = 'grab';
+    else if (canvasState.activeTool === 'pan' || canvasState.isPanKeyHeld) canvas.style.cursor = 'grab';
+    else if (isActiveLayerLocked()) canvas.style.cursor = 'not-allowed';
     else canvas.style.cursor = 'crosshair';
 }
 
@@ -0,0 +1,121 @@
+import { SavedView } from '../core/types';
+import { canvasState, getActiveCardCanvasState, requestRedraw, saveData, syncFloorState, viewState } from '../core/store';
+import { getViewRect } from '../renderer/tessellation';
+import { getStrokeBounds, getUniqueId } from '../utils/math';
+import { updateZoomDisplay } from './animation';
+import { ZoomFloor } from './zoom';
+import { calculateSelectionBox } from './selection';
+
+/** Saved views of the open card, in the order they were created */
+export function getSavedViews(): SavedView[] {
+    return getActiveCardCanvasState()?.views || [];
+}
+
+/** Stores the camera as it is right now under the given name */
+export function saveCurrentView(name: string): SavedView | null {
+    const canvasData = getActiveCardCanvasState();
+    const canvas = document.querySelector<HTMLCanvasElement>('#canvas');
+    if (!canvasData || !canvas) return null;
+
+    const view: SavedView = {
+        id: getUniqueId(),
+        name: name.trim() || `View ${(canvasData.views?.length || 0) + 1}`,
+        floorId: viewState.currentFloor.id,
+        floorIndex: viewState.currentFloor.index,
+        panOffset: { ...viewState.targetPanOffset },
+        scale: viewState.targetScale,
+        width: canvas.clientWidth,
+        height: canvas.clientHeight,
+    };
+    // The view is only meaningful against the floor origin it was saved with, so pin the floor
+    viewState.currentFloor._hasStrokes = true;
+    syncFloorState(canvasData);
+    canvasData.views = [...(canvasData.views || []), view];
+    saveData();
+    return view;
+}
+
+export function deleteSavedView(viewId: number) {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData?.views) return;
+    canvasData.views = canvasData.views.filter(v => v.id !== viewId);
+    saveData();
+}
+
+/** Label for a floor: its depth, plus which of its siblings it is when there are several */
+export function getFloorLabel(floor: ZoomFloor): string {
+    const siblings = floor.parent ? floor.parent.children : [floor];
+    const region = siblings.length > 1 ? ` · region ${siblings.indexOf(floor) + 1}` : '';
+    return `Floor ${floor.index}${region}${floor === viewState.currentFloor ? ' (current)' : ''}`;
+}
+
+// Jumps rather than animates: interpolating across floors would zoom through the wrong coordinate space
+function jumpCamera(floor: ZoomFloor, scale: number, panOffset: { x: number; y: number }) {
+    viewState.currentFloor = floor;
+    viewState.scale = viewState.targetScale = scale;
+    viewState.panOffset = { ...panOffset };
+    viewState.targetPanOffset = { ...panOffset };
+    updateZoomDisplay();
+    // The selection box is kept in camera-floor coordinates
+    if (canvasState.selectionBox) calculateSelectionBox();
+
+    const canvasData = getActiveCardCanvasState();
+    if (canvasData) {
+        canvasData.panOffset = { ...panOffset };
+        canvasData.scale = scale;
+        canvasData.currentFloorId = floor.id;
+        saveData();
+    }
+    requestRedraw();
+}
+
+/**
+ * Moves the camera onto a floor, framing the strokes drawn on it, or its
+ * origin (where it was entered from its parent) when it has none.
+ */
+export function goToFloor(floor: ZoomFloor) {
+    const canvas = document.querySelector<HTMLCanvasElement>('#canvas');
+    const canvasData = getActiveCardCanvasState();
+    if (!canvas || !canvasData) return;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    canvasData.layers.forEach(layer => {
+        if (!layer.isVisible) return;
+        layer.strokes.forEach(stroke => {
+            if (stroke.floorId !== floor.id) return;
+            const b = getStrokeBounds(stroke);
+            minX = Math.min(minX, b.minX); minY = Math.min(minY, b.minY);
+            maxX = Math.max(maxX, b.maxX); maxY = Math.max(maxY, b.maxY);
+        });
+    });
+
+    if (!isFinite(minX)) {
+        jumpCamera(floor, 1, { x: canvas.clientWidth / 2, y: canvas.clientHeight / 2 });
+        return;
+    }
+    const width = Math.max(maxX - minX, 1), height = Math.max(maxY - minY, 1);
+    // Same framing as Find Content, but never below 1× so the camera stays on this floor
+    const scale = Math.max(1, Math.min(canvas.clientWidth / (width + 100), canvas.clientHeight / (height + 100), 2));
+    jumpCamera(floor, scale, {
+        x: canvas.clientWidth / 2 - (minX + width / 2) * scale,
+        y: canvas.clientHeight / 2 - (minY + height / 2) * scale,
+    });
+}
+
+/** Moves the camera onto a saved view, fitting its region into the current viewport */
+export function goToSavedView(view: SavedView) {
+    const canvas = document.querySelector<HTMLCanvasElement>('#canvas');
+    const floor = viewState.currentFloor.findById(view.floorId);
+    if (!canvas || !floor) return;
+
+    const region = getViewRect(view.panOffset, view.scale, view.width, view.height);
+    const regionWidth = region.maxX - region.minX;
+    const regionHeight = region.maxY - region.minY;
+    const scale = Math.min(canvas.clientWidth / regionWidth, canvas.clientHeight / regionHeight);
+    const panOffset = {
+        x: canvas.clientWidth / 2 - (region.minX + regionWidth / 2) * scale,
+        y: canvas.clientHeight / 2 - (region.minY + regionHeight / 2) * scale,
+    };
+
+    jumpCamera(floor, scale, panOffset);
+}
@@ -1,55 +1,90 @@
-import { Point } from '../core/types';
+import { Point, SerializedZoomFloor } from '../core/types';
 import { FLOOR_BASE } from '../core/constants';
+import { getUniqueId } from '../utils/math';
 
 /**
- * Node within a multi-floor infinite canvas tree space.
+ * Node within a multi-floor infinite canvas tree space. Each floor can hold
+ * any number of child floors, each anchored at its own origin in this floor's
+ * coordinates. `index` is the depth (root = 0); `id` identifies the floor and
+ * is what strokes refer to.
  */
 export class ZoomFloor {
+  id: number;
   index: number;
   parent: ZoomFloor | null;
-  child: ZoomFloor | null;
+  children: ZoomFloor[];
   originInParent: Point;
   BASE: number;
   _hasStrokes?: boolean;
+  // Every floor of the tree by id; only the root's is used
+  private registry: Map<number, ZoomFloor>;
 
-  constructor(index: number, originInParent: Point = { x: 0, y: 0 }, parent: ZoomFloor | null = null) {
+  constructor(index: number, originInParent: Point = { x: 0, y: 0 }, parent: ZoomFloor | null = null, id: number = parent ? getUniqueId() : 0) {
+      this.id = id;
       this.index = index;
       this.parent = parent;
-      this.child = null;
+      this.children = [];
       this.originInParent = { ...originInParent };
       this.BASE = FLOOR_BASE;
+      this.registry = parent ? parent.getRoot().registry : new Map();
+      this.registry.set(id, this);
   }
 
-  getOrCreateChild(originInParent: Point): ZoomFloor {
-      if (!this.child) {
-          this.child = new ZoomFloor(this.index + 1, originInParent, this);
-      } else {
-          // Check if any strokes exist on the child floor
-          // If no strokes, re-center the child's origin
-          if (!this.child._hasStrokes) {
-              this.child.originInParent = { ...originInParent };
-              this.child.child = null; // Reset deeper floors too
+  /** Whether this floor or anything below it holds strokes (or a saved view), so its origin must stay put */
+  isAnchored(): boolean {
+      return !!this._hasStrokes || this.children.some(child => child.isAnchored());
+  }
+
+  private unregisterSubtree() {
+      this.registry.delete(this.id);
+      this.children.forEach(child => child.unregisterSubtree());
+  }
+
+  /**
+   * Child to zoom into around `focus` (in this floor's coordinates): the
+   * nearest one whose origin is within `reach`, otherwise a new child there.
+   * Empty children elsewhere are dropped so the tree only keeps real regions.
+   */
+  getChildForFocus(focus: Point, reach: number): ZoomFloor {
+      let nearest: ZoomFloor | null = null;
+      let nearestDist = reach;
+      for (const child of this.children) {
+          const dist = Math.hypot(child.originInParent.x - focus.x, child.originInParent.y - focus.y);
+          if (dist <= nearestDist) {
+              nearest = child;
+              nearestDist = dist;
           }
       }
-      return this.child;
+      if (nearest) return nearest;
+
+      this.children = this.children.filter(child => {
+          if (child.isAnchored()) return true;
+          child.unregisterSubtree();
+          return false;
+      });
+      const child = new ZoomFloor(this.index + 1, focus, this);
+      this.children.push(child);
+      return child;
   }
 
-  toJSON(): import('../core/types').SerializedZoomFloor {
+  toJSON(): SerializedZoomFloor {
       return {
+          id: this.id,
           index: this.index,
           originInParent: { ...this.originInParent },
-          child: this.child ? this.child.toJSON() : null,
+          children: this.children.map(child => child.toJSON()),
           _hasStrokes: this._hasStrokes,
       };
   }
 
-  static fromJSON(data: import('../core/types').SerializedZoomFloor | null, parent: ZoomFloor | null = null): ZoomFloor | null {
+  static fromJSON(data: SerializedZoomFloor | null, parent: ZoomFloor | null = null): ZoomFloor | null {
       if (!data) return null;
-      const floor = new ZoomFloor(data.index, data.originInParent, parent);
+      const floor = new ZoomFloor(data.index, data.originInParent, parent, data.id ?? (parent ? getUniqueId() : 0));
       if (data._hasStrokes) floor._hasStrokes = true;
-      if (data.child) {
-          floor.child = ZoomFloor.fromJSON(data.child, floor);
-      }
+      (data.children || []).forEach(childData => {
+          const child = ZoomFloor.fromJSON(childData, floor);
+          if (child) floor.children.push(child);
+      });
       return floor;
   }
 
@@ -59,36 +94,52 @@ export class ZoomFloor {
       return f;
   }
 
-  getFloorByIndex(targetIndex: number): ZoomFloor | null {
-      let f: ZoomFloor | null = this.getRoot();
-      if (targetIndex < f.index) return null;
-      while (f && f.index < targetIndex) f = f.child;
-      return (f && f.index === targetIndex) ? f : null;
+  /** Any floor of the same tree */
+  findById(id: number): ZoomFloor | null {
+      return this.registry.get(id) ?? null;
+  }
+
+  /** Root first, this floor last */
+  getPathFromRoot(): ZoomFloor[] {
+      const path: ZoomFloor[] = [];
+      for (let f: ZoomFloor | null = this; f; f = f.parent) path.unshift(f);
+      return path;
+  }
+
+  /** Every floor of the tree, depth first from the root */
+  getAllFloors(): ZoomFloor[] {
+      const floors: ZoomFloor[] = [];
+      const visit = (floor: ZoomFloor) => {
+          floors.push(floor);
+          floor.children.forEach(visit);
+      };
+      visit(this.getRoot());
+      return floors;
   }
 }
 
 /**
- * Transforms a world point from its native floor to the target floor continuously in Float64
+ * Transforms a world point from its native floor to the target floor continuously in Float64,
+ * up through their closest common ancestor and back down
  */
-export function transformPointToFloor(pt: Point, srcFloorIndex: number, dstFloor: ZoomFloor): Point {
+export function transformPointToFloor(pt: Point, srcFloorId: number, dstFloor: ZoomFloor): Point {
   let p = { x: pt.x, y: pt.y };
-  let f: ZoomFloor | null = dstFloor.getRoot().getFloorByIndex(srcFloorIndex);
-  if (!f) return p;
-
-  if (srcFloorIndex < dstFloor.index) {
-      // Walk down (zoom deeper)
-      while (f && f.index < dstFloor.index && f.child) {
-          f = f.child;
-          p.x = (p.x - f.originInParent.x) * f.BASE;
-          p.y = (p.y - f.originInParent.y) * f.BASE;
-      }
-  } else if (srcFloorIndex > dstFloor.index) {
-      // Walk up (zoom out)
-      while (f && f.index > dstFloor.index && f.parent) {
-          p.x = p.x / f.BASE + f.originInParent.x;
-          p.y = p.y / f.BASE + f.originInParent.y;
-          f = f.parent;
-      }
+  const src = dstFloor.findById(srcFloorId);
+  if (!src || src === dstFloor) return p;
+
+  const dstPath = dstFloor.getPathFromRoot();
+  let f: ZoomFloor = src;
+  // Walk up (zoom out) until we reach a floor on the destination's path
+  while (!dstPath.includes(f) && f.parent) {
+      p.x = p.x / f.BASE + f.originInParent.x;
+      p.y = p.y / f.BASE + f.originInParent.y;
+      f = f.parent;
+  }
+  // Walk down (zoom deeper) along the destination's path
+  for (let i = dstPath.indexOf(f) + 1; i < dstPath.length; i++) {
+      const child = dstPath[i];
+      p.x = (p.x - child.originInParent.x) * child.BASE;
+      p.y = (p.y - child.originInParent.y) * child.BASE;
   }
   return p;
 }
@@ -103,20 +154,23 @@ export interface TransitionViewState {
 }
 
 /**
- * Perform floor transition on both current and target view values
+ * Perform floor transition on both current and target view values. Going up
+ * enters the child at `focus` (canvas CSS pixels), the point being zoomed
+ * about; the middle of the canvas if not given.
  */
-export function transitionFloor(viewState: TransitionViewState, direction: 'up' | 'down') {
+export function transitionFloor(viewState: TransitionViewState, direction: 'up' | 'down', focus?: Point) {
   const dpr = window.devicePixelRatio || 1;
   const canvas = document.querySelector<HTMLCanvasElement>('#canvas');
   const w = (canvas?.width || 0) / dpr;
   const h = (canvas?.height || 0) / dpr;
-  const screenCenterX = w / 2;
-  const screenCenterY = h / 2;
+  const screenFocus = focus ?? { x: w / 2, y: h / 2 };
 
   if (direction === 'up') {
-      const worldCenterX = (screenCenterX - viewState.panOffset.x) / viewState.scale;
-      const worldCenterY = (screenCenterY - viewState.panOffset.y) / viewState.scale;
-      const child = viewState.currentFloor.getOrCreateChild({ x: worldCenterX, y: worldCenterY });
+      const worldFocusX = (screenFocus.x - viewState.panOffset.x) / viewState.scale;
+      const worldFocusY = (screenFocus.y - viewState.panOffset.y) / viewState.scale;
+      // Reuse a child whose origin is roughly on screen, so nearby zooms share a coordinate system
+      const reach = Math.max(w, h) / viewState.scale;
+      const child = viewState.currentFloor.getChildForFocus({ x: worldFocusX, y: worldFocusY }, reach);
       const origin = child.originInParent;
 
       const newScale = viewState.scale / FLOOR_BASE;
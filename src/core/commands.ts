@@ -0,0 +1,62 @@
+/** Views a command can run in; see ui/View */
+export type CommandView = 'canvas' | 'revisions';
+
+/**
+ * Something the user can do, by name. The command palette lists them, the
+ * shortcut system binds keys to them and the radial menu's wedges run them.
+ */
+export interface Command {
+    id: string;
+    label: string;
+    /** Heading the palette files it under */
+    group: string;
+    /** Only offered in this view; anywhere when left out */
+    view?: CommandView;
+    /** Lucide icon name */
+    icon?: string;
+    defaultKeys?: string[];
+    run: () => void;
+    /** Makes the command a held key: `run` on press, this on release */
+    release?: () => void;
+    /** When false the command is greyed out and its keys are left to the browser */
+    isEnabled?: () => boolean;
+}
+
+const commands = new Map<string, Command>();
+// Commands that depend on the data, e.g. one per card or floor, asked for whenever the palette opens
+const providers: (() => Command[])[] = [];
+
+/** Adds commands to the registry, replacing any with the same id */
+export function registerCommands(list: Command[]) {
+    list.forEach(command => commands.set(command.id, command));
+}
+
+export function registerCommandProvider(provider: () => Command[]) {
+    providers.push(provider);
+}
+
+/** Registered commands, in the order they were registered */
+export function getCommands(): Command[] {
+    return [...commands.values()];
+}
+
+export function getCommand(id: string): Command | undefined {
+    return commands.get(id);
+}
+
+/** Registered commands plus whatever the providers offer right now */
+export function collectCommands(): Command[] {
+    return [...getCommands(), ...providers.flatMap(provider => provider())];
+}
+
+export const isCommandEnabled = (command: Command): boolean => !command.isEnabled || command.isEnabled();
+
+export const isCommandInView = (command: Command, view: CommandView): boolean => !command.view || command.view === view;
+
+/** Runs a registered command if it is enabled; returns whether it ran */
+export function runCommand(id: string): boolean {
+    const command = commands.get(id);
+    if (!command || !isCommandEnabled(command)) return false;
+    command.run();
+    return true;
+}
@@ -1,6 +1,29 @@
 /** Zoom multiplier per floor level */
 export const FLOOR_BASE = 1000;
 
+/** Zoom multiplier of one zoom button press or zoom key */
+export const ZOOM_STEP = 1.4;
+
+/** Undo steps kept per card unless the user sets otherwise */
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+/** Layer blend modes with their labels, in menu order */
+export const LAYER_BLEND_MODES = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'multiply', label: 'Multiply' },
+  { id: 'screen', label: 'Screen' },
+] as const;
+
+/** Tools that drag out a rectangle, circle or triangle */
+export const SHAPE_TOOLS = ['rectangle', 'circle', 'triangle'];
+
+/** Gap between the selection box and its rotation handle, and the handle's radius, in screen pixels */
+export const ROTATE_HANDLE_OFFSET = 24;
+export const ROTATE_HANDLE_RADIUS = 6;
+
+/** Shift-dragging the rotation handle turns in steps of this angle (15°) */
+export const ROTATE_SNAP_ANGLE = Math.PI / 12;
+
 /** Accent blue used for selection overlays and active tool highlights */
 export const ACCENT_BLUE = '#388BFD';
 
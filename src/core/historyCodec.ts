@@ -0,0 +1,254 @@
+import { CardHistory, HistoryAction, KanbanCard, Layer, Stroke, StrokePoint } from './types';
+
+/*
+ * Compact form of a card's undo history for storage. Most strokes in the
+ * history are also on the card, unchanged, so they are stored as a reference
+ * to it. A stroke on both sides of a MODIFY is stored once, the other side as
+ * the fields that differ (a move or resize as an affine map of its points).
+ * Everything else is stored with its points packed into a flat number array.
+ */
+
+type StrokeId = number | string;
+
+/** Stroke with its points packed as [x, y, (pressure), x, y, …] */
+export interface PackedStroke extends Omit<Stroke, 'points'> {
+    points: number[];
+    stride?: 2 | 3;
+}
+
+/** A stroke on one side of a MODIFY, as changes from the same stroke on the other side */
+export interface StrokeDiff {
+    diffOf: StrokeId;
+    set?: Record<string, unknown>;
+    unset?: string[];
+    /** Points mapped per axis from the other side's: [ax, cx, ay, cy] for x' = ax·x + cx, y' = ay·y + cy */
+    affine?: [number, number, number, number];
+    points?: number[];
+    stride?: 2 | 3;
+}
+
+/** A reference to the card's identical stroke, a diff, or the stroke itself (packed when its points allow) */
+export type EncodedStroke = { ref: StrokeId } | StrokeDiff | PackedStroke | Stroke;
+
+export interface EncodedLayer extends Omit<Layer, 'strokes'> {
+    strokes: EncodedStroke[];
+}
+
+export interface EncodedAction extends Omit<HistoryAction, 'strokes' | 'before' | 'after' | 'layer' | 'actions'> {
+    strokes?: EncodedStroke[];
+    before?: EncodedStroke[];
+    after?: EncodedStroke[];
+    layer?: EncodedLayer;
+    actions?: EncodedAction[];
+}
+
+export interface EncodedHistory {
+    historyIndex: number;
+    actions: EncodedAction[];
+}
+
+// Fields that never belong in history
+const RUNTIME_FIELDS = ['gpuData', 'rawPoints', 'isErasing'];
+
+function cleanStroke(stroke: Stroke): Stroke {
+    const copy = { ...stroke } as Record<string, unknown>;
+    RUNTIME_FIELDS.forEach(key => delete copy[key]);
+    return copy as unknown as Stroke;
+}
+
+function getCardStrokes(card: KanbanCard): Map<StrokeId, Stroke> {
+    const strokes = new Map<StrokeId, Stroke>();
+    card.canvasState.layers.forEach(layer => layer.strokes.forEach(stroke => strokes.set(stroke.id, stroke)));
+    return strokes;
+}
+
+// --- Points ---
+
+/** Null when only some points carry pressure; those strokes keep their point objects */
+function packPoints(points: StrokePoint[]): { points: number[]; stride: 2 | 3 } | null {
+    const pressured = points.filter(p => p.pressure !== undefined).length;
+    if (pressured !== 0 && pressured !== points.length) return null;
+    const stride = pressured > 0 ? 3 : 2;
+    const flat: number[] = [];
+    points.forEach(p => {
+        flat.push(p.x, p.y);
+        if (stride === 3) flat.push(p.pressure!);
+    });
+    return { points: flat, stride };
+}
+
+function unpackPoints(flat: number[], stride: 2 | 3 = 2): StrokePoint[] {
+    const points: StrokePoint[] = [];
+    for (let i = 0; i + stride - 1 < flat.length; i += stride) {
+        points.push(stride === 3 ? { x: flat[i], y: flat[i + 1], pressure: flat[i + 2] } : { x: flat[i], y: flat[i + 1] });
+    }
+    return points;
+}
+
+/** x' = a·x + c for one axis, when that fits every point to within rounding */
+function fitAxis(from: number[], to: number[]): [number, number] | null {
+    let far = 0;
+    from.forEach((v, i) => { if (Math.abs(v - from[0]) > Math.abs(from[far] - from[0])) far = i; });
+    const span = from[far] - from[0];
+    const tolerance = 1e-9 * (Math.max(...to.map(Math.abs)) + 1);
+    const fits = (a: number, c: number) => from.every((v, i) => Math.abs(a * v + c - to[i]) <= tolerance);
+    // A plain move is the common case, and exact with a = 1
+    if (fits(1, to[0] - from[0])) return [1, to[0] - from[0]];
+    if (span === 0) return null;
+    const a = (to[far] - to[0]) / span;
+    const c = to[0] - a * from[0];
+    return fits(a, c) ? [a, c] : null;
+}
+
+function fitAffine(from: StrokePoint[], to: StrokePoint[]): [number, number, number, number] | null {
+    if (from.length === 0 || from.length !== to.length || from.some((p, i) => p.pressure !== to[i].pressure)) return null;
+    const x = fitAxis(from.map(p => p.x), to.map(p => p.x));
+    const y = x && fitAxis(from.map(p => p.y), to.map(p => p.y));
+    return x && y ? [x[0], x[1], y[0], y[1]] : null;
+}
+
+// --- Strokes ---
+
+function packStroke(stroke: Stroke): PackedStroke | Stroke {
+    const clean = cleanStroke(stroke);
+    const packed = packPoints(clean.points || []);
+    return packed ? { ...clean, ...packed } : clean;
+}
+
+function unpackStroke(encoded: PackedStroke | Stroke): Stroke {
+    const { stride, ...rest } = encoded as PackedStroke;
+    const points = rest.points as unknown[] | undefined;
+    // Point objects were kept as they are
+    if (!points || typeof points[0] !== 'number') return { ...rest, points: (points || []) as StrokePoint[] } as Stroke;
+    return { ...rest, points: unpackPoints(rest.points, stride) } as Stroke;
+}
+
+function diffStroke(stroke: Stroke, base: Stroke): StrokeDiff {
+    const target = cleanStroke(stroke) as unknown as Record<string, unknown>;
+    const source = cleanStroke(base) as unknown as Record<string, unknown>;
+    const diff: StrokeDiff = { diffOf: stroke.id };
+
+    const set: Record<string, unknown> = {};
+    Object.keys(target).forEach(key => {
+        if (key !== 'points' && JSON.stringify(target[key]) !== JSON.stringify(source[key])) set[key] = target[key];
+    });
+    const unset = Object.keys(source).filter(key => !(key in target));
+    if (Object.keys(set).length > 0) diff.set = set;
+    if (unset.length > 0) diff.unset = unset;
+
+    const points = stroke.points || [];
+    if (JSON.stringify(points) !== JSON.stringify(base.points || [])) {
+        const affine = fitAffine(base.points || [], points);
+        const packed = affine ? null : packPoints(points);
+        if (affine) diff.affine = affine;
+        else if (packed) Object.assign(diff, packed);
+        else diff.set = { ...diff.set, points };
+    }
+    return diff;
+}
+
+function applyDiff(diff: StrokeDiff, base: Stroke): Stroke {
+    const stroke = { ...base, ...diff.set } as Record<string, unknown>;
+    diff.unset?.forEach(key => delete stroke[key]);
+    if (diff.affine) {
+        const [ax, cx, ay, cy] = diff.affine;
+        stroke.points = (base.points || []).map(p => ({ ...p, x: ax * p.x + cx, y: ay * p.y + cy }));
+    } else if (diff.points) {
+        stroke.points = unpackPoints(diff.points, diff.stride);
+    }
+    return stroke as unknown as Stroke;
+}
+
+// --- Actions ---
+
+function encodeAction(action: HistoryAction, cardStrokes: Map<StrokeId, string>): EncodedAction {
+    const isOnCard = (stroke: Stroke) => cardStrokes.get(stroke.id) === JSON.stringify(cleanStroke(stroke));
+    const encodeList = (strokes: Stroke[]) => strokes.map(s => isOnCard(s) ? { ref: s.id } : packStroke(s));
+
+    const { strokes, before, after, layer, actions, ...rest } = action;
+    const encoded: EncodedAction = { ...rest };
+    if (strokes) encoded.strokes = encodeList(strokes);
+    if (layer) encoded.layer = { ...layer, strokes: encodeList(layer.strokes || []) };
+    if (actions) encoded.actions = actions.map(step => encodeAction(step, cardStrokes));
+    if (before && after) {
+        // Whichever side is still on the card is a reference; the other side is stored as a diff from it
+        const beforeById = new Map(before.map(s => [s.id, s]));
+        const afterById = new Map(after.map(s => [s.id, s]));
+        encoded.after = after.map(s => {
+            const counterpart = beforeById.get(s.id);
+            if (isOnCard(s)) return { ref: s.id };
+            return counterpart && isOnCard(counterpart) ? diffStroke(s, counterpart) : packStroke(s);
+        });
+        // An `after` stroke is only a diff when its `before` is a reference, so the two never point at each other
+        encoded.before = before.map(s => {
+            const counterpart = afterById.get(s.id);
+            if (isOnCard(s)) return { ref: s.id };
+            return counterpart ? diffStroke(s, counterpart) : packStroke(s);
+        });
+    } else {
+        if (before) encoded.before = encodeList(before);
+        if (after) encoded.after = encodeList(after);
+    }
+    return encoded;
+}
+
+function decodeAction(encoded: EncodedAction, cardStrokes: Map<StrokeId, Stroke>): HistoryAction | null {
+    let missing = false;
+    const resolve = (e: EncodedStroke): Stroke | null => {
+        if ('ref' in e) {
+            const stroke = cardStrokes.get(e.ref);
+            if (!stroke) missing = true;
+            return stroke ? JSON.parse(JSON.stringify(cleanStroke(stroke))) : null;
+        }
+        return 'diffOf' in e ? null : unpackStroke(e);
+    };
+
+    const { strokes, before, after, layer, actions, ...rest } = encoded;
+    const action: HistoryAction = { ...rest } as HistoryAction;
+    if (strokes) action.strokes = strokes.map(resolve) as Stroke[];
+    if (layer) action.layer = { ...layer, strokes: (layer.strokes || []).map(resolve) as Stroke[] };
+    if (actions) {
+        const steps = actions.map(step => decodeAction(step, cardStrokes));
+        if (steps.some(step => !step)) return null;
+        action.actions = steps as HistoryAction[];
+    }
+    if (before || after) {
+        const b = (before || []).map(resolve);
+        const a = (after || []).map(resolve);
+        const byId = (list: (Stroke | null)[]) => new Map(list.filter((s): s is Stroke => !!s).map(s => [s.id, s]));
+        const beforeById = byId(b), afterById = byId(a);
+        const fill = (list: EncodedStroke[], decoded: (Stroke | null)[], other: Map<StrokeId, Stroke>) => list.map((e, i) => {
+            if (!('diffOf' in e)) return decoded[i];
+            const base = other.get(e.diffOf);
+            if (!base) missing = true;
+            return base ? applyDiff(e, base) : null;
+        });
+        if (before) action.before = fill(before, b, afterById) as Stroke[];
+        if (after) action.after = fill(after, a, beforeById) as Stroke[];
+    }
+    return missing ? null : action;
+}
+
+/** Encodes a card's history against the card as it is being saved */
+export function encodeHistory(history: CardHistory, card: KanbanCard): EncodedHistory {
+    const cardStrokes = new Map<StrokeId, string>();
+    getCardStrokes(card).forEach((stroke, id) => cardStrokes.set(id, JSON.stringify(cleanStroke(stroke))));
+    return { historyIndex: history.historyIndex, actions: history.history.map(action => encodeAction(action, cardStrokes)) };
+}
+
+/**
+ * Rebuilds a card's history from storage. Null when it no longer fits the
+ * card (a referenced stroke is gone), in which case it is better dropped.
+ */
+export function decodeHistory(stored: EncodedHistory, card: KanbanCard): CardHistory | null {
+    if (!stored || !Array.isArray(stored.actions)) return null;
+    const cardStrokes = getCardStrokes(card);
+    const history: HistoryAction[] = [];
+    for (const encoded of stored.actions) {
+        const action = decodeAction(encoded, cardStrokes);
+        if (!action) return null;
+        history.push(action);
+    }
+    const historyIndex = Math.min(Math.max(-1, Math.floor(stored.historyIndex)), history.length - 1);
+    return { history, historyIndex: Number.isFinite(historyIndex) ? historyIndex : history.length - 1 };
+}
@@ -0,0 +1,174 @@
+import { getUniqueId } from '../utils/math';
+
+/**
+ * Persisted data as it may look in any historical version. Migration steps
+ * can't rely on the current AppData shape, so they work on loose records.
+ */
+export type PersistedData = Record<string, unknown> & { schemaVersion?: number };
+type PersistedRecord = Record<string, unknown>;
+
+/** One ordered upgrade step: turns data at `version - 1` into data at `version` */
+export interface Migration {
+    version: number;
+    description: string;
+    migrate: (data: PersistedData) => PersistedData;
+}
+
+const isRecord = (value: unknown): value is PersistedRecord =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+/** Calls `fn` for every card's canvas state that is an object */
+function forEachCanvasState(data: PersistedData, fn: (canvasState: PersistedRecord) => void) {
+    const revisions = data.revisions;
+    if (!isRecord(revisions) || !Array.isArray(revisions.columns)) return;
+    revisions.columns.forEach((col: unknown) => {
+        if (!isRecord(col) || !Array.isArray(col.cards)) return;
+        col.cards.forEach((card: unknown) => {
+            if (isRecord(card) && isRecord(card.canvasState)) fn(card.canvasState);
+        });
+    });
+}
+
+/** Cards saved before layers existed kept a flat `strokes` array */
+export function migrateStrokesToLayers(data: PersistedData): PersistedData {
+    forEachCanvasState(data, canvasState => {
+        if (canvasState.strokes && !canvasState.layers) {
+            const firstLayerId = getUniqueId();
+            canvasState.layers = [{ id: firstLayerId, name: 'Layer 1', isVisible: true, strokes: canvasState.strokes || [] }];
+            canvasState.activeLayerId = firstLayerId;
+            delete canvasState.strokes;
+        }
+    });
+    return data;
+}
+
+/** Early builds persisted eraser placeholders and nulls that have no stroke `type` */
+export function migrateDropUntypedStrokes(data: PersistedData): PersistedData {
+    forEachCanvasState(data, canvasState => {
+        if (!Array.isArray(canvasState.layers)) return;
+        canvasState.layers.forEach((layer: unknown) => {
+            if (!isRecord(layer) || !Array.isArray(layer.strokes)) return;
+            layer.strokes = layer.strokes.filter((stroke: unknown) => isRecord(stroke) && !!stroke.type);
+        });
+    });
+    return data;
+}
+
+/**
+ * Floors used to form a single chain (`child`, `currentFloorIndex`). They
+ * now form a tree keyed by id and strokes name their floor by id. Each chain
+ * floor takes its depth as id, so a stroke's old floorIndex is its floorId.
+ */
+export function migrateFloorChainToTree(data: PersistedData): PersistedData {
+    const toTree = (floor: unknown, depth: number): PersistedRecord | null => {
+        if (!isRecord(floor)) return null;
+        const index = typeof floor.index === 'number' ? floor.index : depth;
+        const child = toTree(floor.child, index + 1);
+        const { child: _child, ...rest } = floor;
+        return { ...rest, id: index, index, children: child ? [child] : [] };
+    };
+
+    forEachCanvasState(data, canvasState => {
+        canvasState.floorTree = toTree(canvasState.floorTree, 0) ?? { id: 0, index: 0, originInParent: { x: 0, y: 0 }, children: [] };
+        canvasState.currentFloorId = typeof canvasState.currentFloorIndex === 'number' ? canvasState.currentFloorIndex : 0;
+        delete canvasState.currentFloorIndex;
+
+        if (Array.isArray(canvasState.layers)) {
+            canvasState.layers.forEach((layer: unknown) => {
+                if (!isRecord(layer) || !Array.isArray(layer.strokes)) return;
+                layer.strokes.forEach((stroke: unknown) => {
+                    if (isRecord(stroke)) stroke.floorId = typeof stroke.floorIndex === 'number' ? stroke.floorIndex : 0;
+                });
+            });
+        }
+        if (Array.isArray(canvasState.views)) {
+            canvasState.views.forEach((view: unknown) => {
+                if (isRecord(view)) view.floorId = typeof view.floorIndex === 'number' ? view.floorIndex : 0;
+            });
+        }
+    });
+    return data;
+}
+
+/** Layers gained opacity, a lock and a blend mode; older ones get the neutral values */
+export function migrateLayerCompositing(data: PersistedData): PersistedData {
+    forEachCanvasState(data, canvasState => {
+        if (!Array.isArray(canvasState.layers)) return;
+        canvasState.layers.forEach((layer: unknown) => {
+            if (!isRecord(layer)) return;
+            if (layer.opacity === undefined) layer.opacity = 1;
+            if (layer.isLocked === undefined) layer.isLocked = false;
+            if (layer.blendMode === undefined) layer.blendMode = 'normal';
+        });
+    });
+    return data;
+}
+
+/**
+ * Cards gained a review schedule and columns a review interval. Columns named
+ * like the default board's ("1 Day Retrieval", "2 weeks", …) get that
+ * interval, others none. When a card entered its column was never recorded,
+ * so cards in scheduled columns start out due today.
+ */
+export function migrateReviewScheduling(data: PersistedData): PersistedData {
+    const revisions = data.revisions;
+    if (!isRecord(revisions) || !Array.isArray(revisions.columns)) return data;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const unitDays: Record<string, number> = { day: 1, week: 7, month: 30 };
+
+    revisions.columns.forEach((col: unknown) => {
+        if (!isRecord(col)) return;
+        const match = typeof col.title === 'string' ? /(\d+)\s*(day|week|month)/i.exec(col.title) : null;
+        if (col.intervalDays === undefined) col.intervalDays = match ? +match[1] * unitDays[match[2].toLowerCase()] : null;
+        if (!Array.isArray(col.cards)) return;
+        col.cards.forEach((card: unknown) => {
+            if (isRecord(card) && card.review === undefined) {
+                card.review = { dueAt: col.intervalDays === null ? null : today.getTime(), history: [] };
+            }
+        });
+    });
+    return data;
+}
+
+/** Layers gained a flag to hide them during reviews; none are hidden to begin with */
+export function migrateLayerReviewHiding(data: PersistedData): PersistedData {
+    forEachCanvasState(data, canvasState => {
+        if (!Array.isArray(canvasState.layers)) return;
+        canvasState.layers.forEach((layer: unknown) => {
+            if (isRecord(layer) && layer.isHiddenInReview === undefined) layer.isHiddenInReview = false;
+        });
+    });
+    return data;
+}
+
+/** Ordered registry of every schema change. Append new steps; never edit shipped ones. */
+export const MIGRATIONS: Migration[] = [
+    { version: 1, description: 'Move card-level strokes into a default layer', migrate: migrateStrokesToLayers },
+    { version: 2, description: 'Drop strokes without a type', migrate: migrateDropUntypedStrokes },
+    { version: 3, description: 'Turn the floor chain into a tree and reference floors by id', migrate: migrateFloorChainToTree },
+    { version: 4, description: 'Give layers opacity, a lock and a blend mode', migrate: migrateLayerCompositing },
+    { version: 5, description: 'Give cards a review schedule and columns a review interval', migrate: migrateReviewScheduling },
+    { version: 6, description: 'Let layers be hidden during reviews', migrate: migrateLayerReviewHiding },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Runs every step newer than the data's `schemaVersion` (missing means 0),
+ * in order, and stamps the result with the version it reached.
+ */
+export function migrateAppData(data: PersistedData): PersistedData {
+    const fromVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Saved data has schema version ${fromVersion}, newer than this app understands (${CURRENT_SCHEMA_VERSION}).`);
+        return data;
+    }
+
+    let migrated = data;
+    MIGRATIONS.filter(step => step.version > fromVersion).forEach(step => {
+        migrated = step.migrate(migrated);
+        migrated.schemaVersion = step.version;
+    });
+    return migrated;
+}
@@ -0,0 +1,129 @@
+import { AppData, KanbanCard, RevisionColumn } from './types';
+import { CURRENT_SCHEMA_VERSION, PersistedData, migrateAppData } from './migrations';
+import { createLayer, getAppData, getSessionHistory, normalizeCard, persistenceReplacer, saveData } from './store';
+import { isValidInterval, scheduleCard } from './scheduling';
+import { getUniqueId } from '../utils/math';
+
+const CARD_FORMAT = 'dalim-card';
+const BOARD_FORMAT = 'dalim-board';
+
+/** Self-contained file written by "Export card" / "Export board" */
+export interface PortableFile {
+    format: typeof CARD_FORMAT | typeof BOARD_FORMAT;
+    schemaVersion: number;
+    exportedAt: string;
+    card?: KanbanCard;
+    board?: { title: string; columns: RevisionColumn[] };
+}
+
+export type ImportResult =
+    | { kind: 'card'; cards: KanbanCard[] }
+    | { kind: 'board'; columns: RevisionColumn[] };
+
+function toJson(file: PortableFile): string {
+    // Same stripping as saveData(), so GPU buffers and live floor objects never leave the browser
+    return JSON.stringify(file, persistenceReplacer, 2);
+}
+
+export function serializeCard(card: KanbanCard): string {
+    return toJson({ format: CARD_FORMAT, schemaVersion: CURRENT_SCHEMA_VERSION, exportedAt: new Date().toISOString(), card });
+}
+
+export function serializeBoard(data: AppData = getAppData()): string {
+    return toJson({ format: BOARD_FORMAT, schemaVersion: CURRENT_SCHEMA_VERSION, exportedAt: new Date().toISOString(), board: data.revisions });
+}
+
+/**
+ * Gives a card, its layers and its strokes brand-new IDs so it can sit next
+ * to the card it was exported from without any collisions. Entries that
+ * aren't objects are dropped on the way, and a card left without layers
+ * gets an empty one.
+ */
+export function reassignCardIds(card: KanbanCard): KanbanCard {
+    card.id = getUniqueId();
+    const canvasState = card.canvasState;
+    canvasState.layers = (Array.isArray(canvasState.layers) ? canvasState.layers : []).filter(layer => layer && typeof layer === 'object');
+    if (canvasState.layers.length === 0) canvasState.layers.push(createLayer('Layer 1'));
+    const layerIdMap = new Map<number, number>();
+    canvasState.layers.forEach(layer => {
+        const newId = getUniqueId();
+        layerIdMap.set(layer.id, newId);
+        layer.id = newId;
+        layer.strokes = (Array.isArray(layer.strokes) ? layer.strokes : []).filter(stroke => stroke && typeof stroke === 'object');
+        layer.strokes.forEach(stroke => { stroke.id = getUniqueId(); });
+    });
+    canvasState.activeLayerId = layerIdMap.get(canvasState.activeLayerId) ?? canvasState.layers[0].id;
+    if (canvasState.soloLayerId != null) canvasState.soloLayerId = layerIdMap.get(canvasState.soloLayerId) ?? null;
+    return card;
+}
+
+/** Parses an exported file, upgrades it to the current schema and re-keys everything in it */
+export function parsePortableFile(text: string): ImportResult {
+    let file: PortableFile;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!file || typeof file !== 'object' || (file.format !== CARD_FORMAT && file.format !== BOARD_FORMAT)) {
+        throw new Error('The file is not a Dalim card or board export.');
+    }
+    if (typeof file.schemaVersion === 'number' && file.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error('The file was made with a newer version of Dalim. Update the app to import it.');
+    }
+
+    // Run the same migrations as loadData() by wrapping the payload in a board
+    const columns = file.format === CARD_FORMAT
+        ? [{ id: 0, title: '', cards: file.card ? [file.card] : [] }]
+        : file.board?.columns;
+    if (!Array.isArray(columns)) throw new Error('The board in this file has no columns.');
+
+    const migrated = migrateAppData({
+        schemaVersion: file.schemaVersion,
+        revisions: { title: file.board?.title ?? '', columns },
+    } as PersistedData) as unknown as AppData;
+
+    const migratedColumns = migrated.revisions.columns.map(col => {
+        col.id = getUniqueId();
+        if (typeof col.title !== 'string') col.title = 'Imported';
+        if (!isValidInterval(col.intervalDays)) col.intervalDays = null;
+        col.cards = (Array.isArray(col.cards) ? col.cards : []).filter(card => card && typeof card === 'object');
+        col.cards.forEach(card => {
+            if (typeof card.title !== 'string') card.title = 'Imported Canvas';
+            normalizeCard(card);
+            reassignCardIds(card);
+        });
+        return col;
+    });
+
+    if (file.format === CARD_FORMAT) {
+        if (migratedColumns[0].cards.length === 0) throw new Error('The file does not contain a card.');
+        return { kind: 'card', cards: migratedColumns[0].cards };
+    }
+    return { kind: 'board', columns: migratedColumns };
+}
+
+/**
+ * Adds an import to the live board: cards go into the given column (or the
+ * first one), board exports are appended as new columns.
+ */
+export function applyImport(result: ImportResult, targetColumnId?: number) {
+    const appData = getAppData();
+    const sessionHistory = getSessionHistory();
+
+    if (result.kind === 'card') {
+        let column = appData.revisions.columns.find(c => c.id === targetColumnId) ?? appData.revisions.columns[0];
+        if (!column) {
+            column = { id: getUniqueId(), title: 'Imported', intervalDays: null, cards: [] };
+            appData.revisions.columns.push(column);
+        }
+        column.cards.push(...result.cards);
+        // The schedule from the file belonged to the column it was exported from
+        result.cards.forEach(card => scheduleCard(card, column));
+        result.cards.forEach(card => { sessionHistory[card.id] = { history: [], historyIndex: -1 }; });
+    } else {
+        appData.revisions.columns.push(...result.columns);
+        result.columns.forEach(col => col.cards.forEach(card => { sessionHistory[card.id] = { history: [], historyIndex: -1 }; }));
+    }
+    saveData();
+}
@@ -0,0 +1,107 @@
+import { CardReview, KanbanCard, ReviewGrade, RevisionColumn } from './types';
+
+/*
+ * Leitner-style scheduling over the board's columns. Each column has an
+ * interval in days; a card placed in it is due that many days later, from the
+ * start of the day it was placed. A review moves the card by its grade's
+ * step: a miss back a column, a good recall on to the next. Columns without
+ * an interval (like "Studying") hold cards that are never due.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Columns a card moves right per grade; 'hard' stays and starts the same interval over */
+const GRADE_STEPS: Record<ReviewGrade, number> = { again: -1, hard: 0, good: 1, easy: 2 };
+
+export const REVIEW_GRADES: { id: ReviewGrade; label: string }[] = [
+    { id: 'again', label: 'Again' },
+    { id: 'hard', label: 'Hard' },
+    { id: 'good', label: 'Good' },
+    { id: 'easy', label: 'Easy' },
+];
+
+export type DueStatus = 'unscheduled' | 'upcoming' | 'due' | 'overdue';
+
+export function createCardReview(): CardReview {
+    return { dueAt: null, history: [] };
+}
+
+/** Null (no reviews) or a whole number of days */
+export const isValidInterval = (value: unknown): value is number | null =>
+    value === null || (typeof value === 'number' && Number.isInteger(value) && value >= 0);
+
+/** Midnight, local time, of the day `time` falls in */
+export function startOfDay(time: number): number {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/** Start of the day `days` after the day `time` falls in; calendar days, so DST shifts don't matter */
+function addDays(time: number, days: number): number {
+    const date = new Date(startOfDay(time));
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+}
+
+/** When a card placed in `column` at `now` comes up next, or null if the column has no reviews */
+export function getDueAt(column: RevisionColumn, now: number = Date.now()): number | null {
+    return column.intervalDays === null ? null : addDays(now, column.intervalDays);
+}
+
+/** Starts a card's schedule in the column it was just placed in */
+export function scheduleCard(card: KanbanCard, column: RevisionColumn, now: number = Date.now()) {
+    card.review.dueAt = getDueAt(column, now);
+}
+
+/**
+ * Applies a column's new interval to the cards already in it: a scheduled
+ * card keeps the day it was placed, so it moves by the difference; the rest
+ * start their schedule today.
+ */
+export function setColumnInterval(column: RevisionColumn, intervalDays: number | null, now: number = Date.now()) {
+    const previous = column.intervalDays;
+    column.intervalDays = intervalDays;
+    column.cards.forEach(card => {
+        if (intervalDays === null) card.review.dueAt = null;
+        else if (previous === null || card.review.dueAt === null) scheduleCard(card, column, now);
+        else card.review.dueAt = addDays(card.review.dueAt, intervalDays - previous);
+    });
+}
+
+/** Whole days from today until the card is due; negative when overdue, null when it isn't scheduled */
+export function getDaysUntilDue(card: KanbanCard, now: number = Date.now()): number | null {
+    if (card.review.dueAt === null) return null;
+    return Math.round((startOfDay(card.review.dueAt) - startOfDay(now)) / DAY_MS);
+}
+
+/** Due means due today; overdue means it was due on an earlier day */
+export function getDueStatus(card: KanbanCard, now: number = Date.now()): DueStatus {
+    const days = getDaysUntilDue(card, now);
+    if (days === null) return 'unscheduled';
+    return days > 0 ? 'upcoming' : days === 0 ? 'due' : 'overdue';
+}
+
+export const isCardDue = (card: KanbanCard, now: number = Date.now()): boolean =>
+    card.review.dueAt !== null && card.review.dueAt <= now;
+
+/**
+ * Records a review of a card, moves it by its grade's step (staying put at
+ * either end of the board) and schedules it there. Returns the column it
+ * ends up in, or null if the card isn't on the board.
+ */
+export function recordReview(columns: RevisionColumn[], cardId: number, grade: ReviewGrade, now: number = Date.now()): RevisionColumn | null {
+    const fromIndex = columns.findIndex(col => col.cards.some(card => card.id === cardId));
+    if (fromIndex < 0) return null;
+    const fromColumn = columns[fromIndex];
+    const card = fromColumn.cards.find(c => c.id === cardId)!;
+    const toColumn = columns[Math.min(Math.max(0, fromIndex + GRADE_STEPS[grade]), columns.length - 1)];
+
+    card.review.history.push({ reviewedAt: now, passed: grade !== 'again', grade, fromColumnId: fromColumn.id, toColumnId: toColumn.id });
+    if (toColumn !== fromColumn) {
+        fromColumn.cards = fromColumn.cards.filter(c => c.id !== cardId);
+        toColumn.cards.push(card);
+    }
+    scheduleCard(card, toColumn, now);
+    return toColumn;
+}
@@ -0,0 +1,162 @@
+import { AppSettings, KanbanCard } from './types';
+import { EncodedHistory } from './historyCodec';
+
+/** Key of the pre-IndexedDB single-blob save in localStorage */
+export const LEGACY_STORAGE_KEY = 'advancedLearningAppData';
+/** Undo histories of the localStorage save, kept apart so a full quota only costs history */
+const LEGACY_HISTORY_KEY = 'advancedLearningHistory';
+
+const DB_NAME = 'dalimInfiniteCanvas';
+const DB_VERSION = 2;
+const BOARD_STORE = 'board';
+const CARD_STORE = 'cards';
+const HISTORY_STORE = 'history';
+const BOARD_KEY = 'revisions';
+
+/** Board structure as persisted: columns reference their cards by id, in order */
+export interface StoredColumn {
+    id: number;
+    title: string;
+    intervalDays: number | null;
+    cardIds: number[];
+}
+
+export interface StoredBoard {
+    schemaVersion?: number;
+    title: string;
+    columns: StoredColumn[];
+    settings?: AppSettings;
+}
+
+/** A card's undo history as persisted, see core/historyCodec */
+export interface StoredHistory extends EncodedHistory {
+    cardId: number;
+}
+
+/** One pending write: the board record (if it changed) plus every changed or deleted card and history */
+export interface StorageWrite {
+    board: StoredBoard | null;
+    cards: KanbanCard[];
+    histories: StoredHistory[];
+    /** Deletes the card's history too */
+    deletedCardIds: number[];
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+export function isIndexedDBAvailable(): boolean {
+    return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+function openDatabase(): Promise<IDBDatabase> {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(BOARD_STORE)) db.createObjectStore(BOARD_STORE);
+            if (!db.objectStoreNames.contains(CARD_STORE)) db.createObjectStore(CARD_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) db.createObjectStore(HISTORY_STORE, { keyPath: 'cardId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab.'));
+    });
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Reads the board record and every card and history record.
+ * Resolves to null when nothing has been stored yet.
+ */
+export async function readStoredData(): Promise<{ board: StoredBoard; cards: Map<number, KanbanCard>; histories: Map<number, StoredHistory> } | null> {
+    const db = await openDatabase();
+    const tx = db.transaction([BOARD_STORE, CARD_STORE, HISTORY_STORE], 'readonly');
+    const [board, cards, histories] = await Promise.all([
+        requestToPromise<StoredBoard | undefined>(tx.objectStore(BOARD_STORE).get(BOARD_KEY)),
+        requestToPromise<KanbanCard[]>(tx.objectStore(CARD_STORE).getAll()),
+        requestToPromise<StoredHistory[]>(tx.objectStore(HISTORY_STORE).getAll()),
+    ]);
+    if (!board) return null;
+    return {
+        board,
+        cards: new Map(cards.map(card => [card.id, card])),
+        histories: new Map(histories.map(history => [history.cardId, history])),
+    };
+}
+
+/** Applies a write in a single transaction so the board never references a half-written card */
+export async function writeStoredData(write: StorageWrite): Promise<void> {
+    const db = await openDatabase();
+    const tx = db.transaction([BOARD_STORE, CARD_STORE, HISTORY_STORE], 'readwrite');
+    const done = transactionDone(tx);
+
+    if (write.board) tx.objectStore(BOARD_STORE).put(write.board, BOARD_KEY);
+    const cardStore = tx.objectStore(CARD_STORE);
+    const historyStore = tx.objectStore(HISTORY_STORE);
+    write.cards.forEach(card => cardStore.put(card));
+    write.histories.forEach(history => historyStore.put(history));
+    write.deletedCardIds.forEach(id => {
+        cardStore.delete(id);
+        historyStore.delete(id);
+    });
+
+    await done;
+}
+
+export function readLegacyData(): string | null {
+    try {
+        return localStorage.getItem(LEGACY_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+}
+
+export function writeLegacyData(json: string) {
+    localStorage.setItem(LEGACY_STORAGE_KEY, json);
+}
+
+export function readLegacyHistories(): StoredHistory[] {
+    try {
+        const histories = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || '[]');
+        return Array.isArray(histories) ? histories : [];
+    } catch {
+        return [];
+    }
+}
+
+/** Best effort: history is the first thing to give up when the quota runs out */
+export function writeLegacyHistories(histories: StoredHistory[]) {
+    try {
+        localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(histories));
+    } catch (e) {
+        console.warn("Could not save undo history to localStorage:", e);
+        try { localStorage.removeItem(LEGACY_HISTORY_KEY); } catch { /* nothing to recover */ }
+    }
+}
+
+export function clearLegacyData() {
+    try {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+    } catch (e) {
+        console.warn("Could not remove the legacy localStorage save:", e);
+    }
+}
@@ -1,20 +1,44 @@
-import { AppData, CanvasData, CanvasUIState, KanbanCard, KanbanColumn, Layer, Stroke } from './types';
+import { AppData, CanvasData, CanvasUIState, CardHistory, KanbanCard, KanbanColumn, Layer, Stroke } from './types';
 import { ZoomFloor, TransitionViewState } from '../canvas/zoom';
 import { getUniqueId } from '../utils/math';
 import { Modal } from '../ui/Modal'; // Will build this soon
+import { CURRENT_SCHEMA_VERSION, migrateAppData } from './migrations';
+import { DEFAULT_HISTORY_LIMIT, LAYER_BLEND_MODES } from './constants';
+import { decodeHistory, encodeHistory } from './historyCodec';
+import { createCardReview, isValidInterval } from './scheduling';
+import {
+    StoredBoard, StoredHistory, StorageWrite, isIndexedDBAvailable, readStoredData, writeStoredData,
+    readLegacyData, writeLegacyData, readLegacyHistories, writeLegacyHistories, clearLegacyData,
+} from './storage';
 
 let appData: AppData = {} as AppData;
-let sessionHistory: Record<number, { history: import('./types').HistoryAction[], historyIndex: number }> = {};
+let sessionHistory: Record<number, CardHistory> = {};
 let currentOpenCardId: number | null = null;
 let redrawRequested = false;
+// Set during a review session until the student reveals the hidden layers
+let isReviewMasking = false;
+
+// IndexedDB bookkeeping: last serialised form of each record handed to storage
+let useIndexedDB = false;
+let savedBoardSnapshot: string | null = null;
+let savedCardSnapshots = new Map<number, string>();
+let savedHistorySnapshots = new Map<number, string>();
+// Cards changed since the last save; the open card is checked on every save anyway
+let changedCardIds = new Set<number>();
+// Histories changed without their card changing, e.g. trimmed to a new limit
+let changedHistoryIds = new Set<number>();
+// Deleted cards whose records haven't been removed yet; kept until a write removing them succeeds
+let pendingDeletedCardIds = new Set<number>();
+let writeQueue: Promise<void> = Promise.resolve();
 
 const defaultData: AppData = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     revisions: {
         title: "Retrieval Scheduling",
         columns: [
-            { id: getUniqueId(), title: 'Studying', cards: [] },
-            { id: getUniqueId(), title: '1 Day Retrieval', cards: [] },
-            { id: getUniqueId(), title: '1 Week Retrieval', cards: [] },
+            { id: getUniqueId(), title: 'Studying', intervalDays: null, cards: [] },
+            { id: getUniqueId(), title: '1 Day Retrieval', intervalDays: 1, cards: [] },
+            { id: getUniqueId(), title: '1 Week Retrieval', intervalDays: 7, cards: [] },
         ]
     }
 };
@@ -31,6 +55,7 @@ export const canvasState: CanvasUIState = {
     resizeHandle: null,
     tempShape: null,
     activeSettingWedge: null,
+    isPanKeyHeld: false,
 };
 
 export const viewState: TransitionViewState = {
@@ -40,105 +65,374 @@ export const viewState: TransitionViewState = {
 };
 
 export const brushSettings: Record<string, import('./types').BrushSettings> = {
-    pen: { color: '#F8FAFC', lineWidth: 5, opacity: 100, smoothness: 50 },
-    highlighter: { color: '#FBBF24', lineWidth: 25, opacity: 30, smoothness: 70 },
+    pen: { color: '#F8FAFC', lineWidth: 5, opacity: 100, smoothness: 50, pressureCurve: 1 },
+    highlighter: { color: '#FBBF24', lineWidth: 25, opacity: 30, smoothness: 70, pressureCurve: 1 },
     laser: { color: '#F43F5E', lineWidth: 5, opacity: 100, smoothness: 90 },
-    rectangle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100 },
-    circle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100 },
-    triangle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100 },
-    eraser: { lineWidth: 20 },
+    rectangle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100, fillMode: 'fill' },
+    circle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100, fillMode: 'fill' },
+    triangle: { color: '#F8FAFC', lineWidth: 4, opacity: 100, smoothness: 100, fillMode: 'fill' },
+    eraser: { lineWidth: 20, eraserMode: 'stroke' },
 };
 
+/** An empty, visible, unlocked layer at full opacity */
+export function createLayer(name: string): Layer {
+    return { id: getUniqueId(), name, isVisible: true, opacity: 1, isLocked: false, blendMode: 'normal', isHiddenInReview: false, strokes: [] };
+}
+
 export function createDefaultCanvasState(): CanvasData {
-    const firstLayerId = getUniqueId();
+    const firstLayer = createLayer('Layer 1');
     return {
-        layers: [{ id: firstLayerId, name: 'Layer 1', isVisible: true, strokes: [] }],
-        activeLayerId: firstLayerId,
+        layers: [firstLayer],
+        activeLayerId: firstLayer.id,
         panOffset: { x: 0, y: 0 },
         scale: 1,
         floorTree: new ZoomFloor(0).toJSON(),
-        currentFloorIndex: 0
+        currentFloorId: 0
     };
 }
 
+/** Strips runtime-only fields (GPU buffers, live floor objects) from persisted JSON */
+export function persistenceReplacer(key: string, value: unknown) {
+    if (key === 'gpuData') return undefined;
+    if (key === 'floor' && value instanceof ZoomFloor) return undefined;
+    return value;
+}
+
+function handleSaveError(e: unknown) {
+    console.error("An error occurred while saving data:", e);
+    if (e && typeof e === 'object' && 'name' in e && (e as Error).name === 'QuotaExceededError') {
+        Modal.confirm('Storage Full', 'Could not save your latest changes because the browser storage is full.').then(() => { });
+    }
+}
+
+function toStoredBoard(data: AppData): StoredBoard {
+    return {
+        schemaVersion: data.schemaVersion,
+        title: data.revisions.title,
+        columns: data.revisions.columns.map(col => ({ id: col.id, title: col.title, intervalDays: col.intervalDays, cardIds: col.cards.map(card => card.id) })),
+        settings: data.settings,
+    };
+}
+
+function toStoredHistory(card: KanbanCard): StoredHistory {
+    const history = sessionHistory[card.id] ?? { history: [], historyIndex: -1 };
+    return { cardId: card.id, ...encodeHistory(history, card) };
+}
+
+/**
+ * Marks a card for the next save to write. Edits on the canvas don't need
+ * it, since they only change the open card, which every save checks.
+ */
+export function markCardChanged(cardId: number) {
+    changedCardIds.add(cardId);
+}
+
+/**
+ * Builds the minimal write for the current appData by diffing the serialised
+ * form of each changed card (and the open one) against what was last handed
+ * to storage; cards never handed to storage are written as new. A card's
+ * history is encoded against the card, so it is re-encoded whenever the card
+ * changes.
+ */
+function collectPendingWrite(): StorageWrite | null {
+    const boardJson = JSON.stringify(toStoredBoard(appData));
+    const board = boardJson !== savedBoardSnapshot ? JSON.parse(boardJson) as StoredBoard : null;
+    if (currentOpenCardId !== null) changedCardIds.add(currentOpenCardId);
+
+    const cards: KanbanCard[] = [];
+    const histories: StoredHistory[] = [];
+    const liveCardIds = new Set<number>();
+    appData.revisions.columns.forEach(col => col.cards.forEach(card => {
+        liveCardIds.add(card.id);
+        if (savedCardSnapshots.has(card.id) && !changedCardIds.has(card.id) && !changedHistoryIds.has(card.id)) return;
+        const json = JSON.stringify(card, persistenceReplacer);
+        const cardChanged = savedCardSnapshots.get(card.id) !== json;
+        if (cardChanged) {
+            savedCardSnapshots.set(card.id, json);
+            cards.push(JSON.parse(json));
+        }
+        if (cardChanged || changedHistoryIds.has(card.id)) {
+            const historyJson = JSON.stringify(toStoredHistory(card), persistenceReplacer);
+            if (savedHistorySnapshots.get(card.id) !== historyJson) {
+                savedHistorySnapshots.set(card.id, historyJson);
+                histories.push(JSON.parse(historyJson));
+            }
+        }
+    }));
+    changedCardIds.clear();
+    changedHistoryIds.clear();
+
+    [...savedCardSnapshots.keys()].filter(id => !liveCardIds.has(id)).forEach(id => {
+        savedCardSnapshots.delete(id);
+        savedHistorySnapshots.delete(id);
+        pendingDeletedCardIds.add(id);
+    });
+    const deletedCardIds = [...pendingDeletedCardIds];
+
+    if (!board && cards.length === 0 && histories.length === 0 && deletedCardIds.length === 0) return null;
+    savedBoardSnapshot = boardJson;
+    return { board, cards, histories, deletedCardIds };
+}
+
+function enqueueWrite(write: StorageWrite): Promise<boolean> {
+    const result = writeQueue
+        .then(() => writeStoredData(write))
+        .then(() => {
+            write.deletedCardIds.forEach(id => pendingDeletedCardIds.delete(id));
+            return true;
+        }, e => {
+            // Forget the snapshots of whatever failed so the next save retries it; failed deletes stay pending anyway.
+            // A failed card keeps an empty snapshot, so deleting it before then still removes an older record.
+            savedBoardSnapshot = null;
+            write.cards.forEach(card => {
+                savedCardSnapshots.set(card.id, '');
+                changedCardIds.add(card.id);
+            });
+            write.histories.forEach(history => {
+                savedHistorySnapshots.delete(history.cardId);
+                changedHistoryIds.add(history.cardId);
+            });
+            handleSaveError(e);
+            return false;
+        });
+    writeQueue = result.then(() => undefined);
+    return result;
+}
+
 export function saveData() {
-    try {
-        const replacer = (key: string, value: unknown) => {
-            if (key === 'gpuData') return undefined;
-            if (key === 'floor' && value instanceof ZoomFloor) return undefined;
-            return value;
-        };
-        localStorage.setItem('advancedLearningAppData', JSON.stringify(appData, replacer));
-    } catch (e: unknown) {
-        console.error("An error occurred while saving data:", e);
-        if (e && typeof e === 'object' && 'name' in e && (e as Error).name === 'QuotaExceededError') {
-            Modal.confirm('Storage Full', 'Could not save your latest changes because the browser storage is full.').then(() => { });
+    if (!useIndexedDB) {
+        try {
+            writeLegacyData(JSON.stringify(appData, persistenceReplacer));
+        } catch (e: unknown) {
+            handleSaveError(e);
+            return;
         }
+        writeLegacyHistories(appData.revisions.columns.flatMap(col => col.cards.map(toStoredHistory)));
+        return;
     }
+
+    const write = collectPendingWrite();
+    if (write) enqueueWrite(write);
+}
+
+/** Reassembles AppData from the per-card records, or null if IndexedDB is empty */
+async function readIndexedDBData(): Promise<{
+    data: AppData; histories: Map<number, StoredHistory>; orphanCardIds: number[];
+    cardSnapshots: Map<number, string>; historySnapshots: Map<number, string>; boardSnapshot: string;
+} | null> {
+    const stored = await readStoredData();
+    if (!stored) return null;
+
+    // What is on disk right now, so the first save after normalisation only writes what changed
+    const cardSnapshots = new Map<number, string>();
+    const historySnapshots = new Map<number, string>();
+    stored.cards.forEach((card, id) => cardSnapshots.set(id, JSON.stringify(card, persistenceReplacer)));
+    stored.histories.forEach((history, id) => historySnapshots.set(id, JSON.stringify(history)));
+
+    const referenced = new Set<number>();
+    const data = {
+        schemaVersion: stored.board.schemaVersion,
+        revisions: {
+            title: stored.board.title,
+            columns: stored.board.columns.map(col => ({
+                id: col.id,
+                title: col.title,
+                intervalDays: col.intervalDays,
+                cards: col.cardIds.flatMap(id => {
+                    const card = stored.cards.get(id);
+                    if (!card) return [];
+                    referenced.add(id);
+                    return [card];
+                }),
+            })),
+        },
+        settings: stored.board.settings,
+    } as AppData;
+
+    const orphanCardIds = [...stored.cards.keys()].filter(id => !referenced.has(id));
+    orphanCardIds.forEach(id => cardSnapshots.delete(id));
+    return { data, histories: stored.histories, orphanCardIds, cardSnapshots, historySnapshots, boardSnapshot: JSON.stringify(stored.board) };
 }
 
-export function loadData() {
-    const savedData = localStorage.getItem('advancedLearningAppData');
-    let parsedData;
+function parseLegacyData(savedData: string | null) {
     try {
-        parsedData = savedData ? JSON.parse(savedData) : JSON.parse(JSON.stringify(defaultData));
+        return savedData ? JSON.parse(savedData) : null;
     } catch (e) {
         console.error("Failed to parse saved data, resetting to default.", e);
-        parsedData = JSON.parse(JSON.stringify(defaultData));
+        return null;
     }
+}
+
+/** Fills in missing or malformed card fields so the canvas can always open it */
+export function normalizeCard(card: KanbanCard) {
+    if (!card.review || typeof card.review !== 'object') card.review = createCardReview();
+    if (typeof card.review.dueAt !== 'number' || !isFinite(card.review.dueAt)) card.review.dueAt = null;
+    card.review.history = Array.isArray(card.review.history)
+        ? card.review.history.filter(r => r && typeof r === 'object' && typeof r.reviewedAt === 'number')
+        : [];
+
+    if (!card.canvasState || typeof card.canvasState !== 'object') {
+        card.canvasState = createDefaultCanvasState();
+    } else {
+        if (!Array.isArray(card.canvasState.layers)) {
+            card.canvasState.layers = [];
+        }
+
+        card.canvasState.layers.forEach(layer => {
+            if (!layer || typeof layer !== 'object') return;
+            if (!layer.id) layer.id = getUniqueId();
+            if (typeof layer.name !== 'string') layer.name = 'Layer';
+            if (typeof layer.isVisible !== 'boolean') layer.isVisible = true;
+            if (typeof layer.opacity !== 'number' || !(layer.opacity >= 0 && layer.opacity <= 1)) layer.opacity = 1;
+            if (typeof layer.isLocked !== 'boolean') layer.isLocked = false;
+            if (typeof layer.isHiddenInReview !== 'boolean') layer.isHiddenInReview = false;
+            if (!LAYER_BLEND_MODES.some(mode => mode.id === layer.blendMode)) layer.blendMode = 'normal';
+            if (!Array.isArray(layer.strokes)) layer.strokes = [];
+            layer.strokes = layer.strokes.filter((stroke: Stroke) => stroke && typeof stroke === 'object' && stroke.type);
+        });
 
-    appData = { ...defaultData, ...parsedData };
+        if (card.canvasState.layers.length === 0) {
+            const firstLayer = createLayer('Layer 1');
+            card.canvasState.layers.push(firstLayer);
+            card.canvasState.activeLayerId = firstLayer.id;
+        } else if (!card.canvasState.activeLayerId || !card.canvasState.layers.some(l => l.id === card.canvasState.activeLayerId)) {
+            card.canvasState.activeLayerId = card.canvasState.layers[0].id;
+        }
+
+        if (card.canvasState.soloLayerId != null && !card.canvasState.layers.some(l => l.id === card.canvasState.soloLayerId)) {
+            delete card.canvasState.soloLayerId;
+        }
+
+        if (card.canvasState.views !== undefined) {
+            card.canvasState.views = Array.isArray(card.canvasState.views)
+                ? card.canvasState.views.filter(v => v && typeof v === 'object' && typeof v.scale === 'number' && v.scale > 0 && v.panOffset)
+                : [];
+        }
+    }
+}
+
+export async function loadData() {
+    let parsedData = null;
+    let migratingFromLegacy = false;
+    let orphanCardIds: number[] = [];
+    let storedHistories = new Map<number, StoredHistory>();
+    savedBoardSnapshot = null;
+    savedCardSnapshots = new Map();
+    savedHistorySnapshots = new Map();
+    changedCardIds = new Set();
+    changedHistoryIds = new Set();
+    pendingDeletedCardIds = new Set();
+
+    useIndexedDB = isIndexedDBAvailable();
+    if (useIndexedDB) {
+        try {
+            const stored = await readIndexedDBData();
+            if (stored) {
+                parsedData = stored.data;
+                storedHistories = stored.histories;
+                orphanCardIds = stored.orphanCardIds;
+                savedCardSnapshots = stored.cardSnapshots;
+                savedHistorySnapshots = stored.historySnapshots;
+                savedBoardSnapshot = stored.boardSnapshot;
+            } else {
+                parsedData = parseLegacyData(readLegacyData());
+                migratingFromLegacy = parsedData !== null;
+                if (migratingFromLegacy) storedHistories = new Map(readLegacyHistories().map(h => [h.cardId, h]));
+            }
+        } catch (e) {
+            console.error("IndexedDB is unavailable, falling back to localStorage.", e);
+            useIndexedDB = false;
+        }
+    }
+    if (!useIndexedDB) {
+        parsedData = parseLegacyData(readLegacyData());
+        storedHistories = new Map(readLegacyHistories().map(h => [h.cardId, h]));
+    }
+    if (!parsedData) parsedData = JSON.parse(JSON.stringify(defaultData));
+
+    appData = { ...defaultData, ...migrateAppData(parsedData) };
+    // Data from a newer version is kept as far as this one understands it, so it is saved as this version
+    if (appData.schemaVersion > CURRENT_SCHEMA_VERSION) appData.schemaVersion = CURRENT_SCHEMA_VERSION;
     sessionHistory = {};
 
     if (!appData.revisions || !Array.isArray(appData.revisions.columns)) {
         appData.revisions = JSON.parse(JSON.stringify(defaultData.revisions));
     }
+    if (appData.settings !== undefined && (!appData.settings || typeof appData.settings !== 'object')) {
+        delete appData.settings;
+    }
+    const historyLimit = appData.settings?.historyLimit;
+    if (historyLimit !== undefined && !(Number.isInteger(historyLimit) && historyLimit > 0)) {
+        delete appData.settings!.historyLimit;
+    }
 
     appData.revisions.columns.forEach(col => {
         if (!Array.isArray(col.cards)) col.cards = [];
+        if (!isValidInterval(col.intervalDays)) col.intervalDays = null;
         col.cards.forEach(card => {
-            if (!card.canvasState || typeof card.canvasState !== 'object') {
-                card.canvasState = createDefaultCanvasState();
-            } else {
-                if (card.canvasState.strokes && !card.canvasState.layers) {
-                    const firstLayerId = getUniqueId();
-                    card.canvasState.layers = [{ id: firstLayerId, name: 'Layer 1', isVisible: true, strokes: card.canvasState.strokes || [] }];
-                    card.canvasState.activeLayerId = firstLayerId;
-                    delete card.canvasState.strokes;
-                }
-
-                if (!Array.isArray(card.canvasState.layers)) {
-                    card.canvasState.layers = [];
-                }
-
-                card.canvasState.layers.forEach(layer => {
-                    if (!layer || typeof layer !== 'object') return;
-                    if (!layer.id) layer.id = getUniqueId();
-                    if (typeof layer.name !== 'string') layer.name = 'Layer';
-                    if (typeof layer.isVisible !== 'boolean') layer.isVisible = true;
-                    if (!Array.isArray(layer.strokes)) layer.strokes = [];
-                    layer.strokes = layer.strokes.filter((stroke: Stroke) => stroke && typeof stroke === 'object' && stroke.type);
-                });
-
-                if (card.canvasState.layers.length === 0) {
-                    const firstLayerId = getUniqueId();
-                    card.canvasState.layers.push({ id: firstLayerId, name: 'Layer 1', isVisible: true, strokes: [] });
-                    card.canvasState.activeLayerId = firstLayerId;
-                } else if (!card.canvasState.activeLayerId || !card.canvasState.layers.some(l => l.id === card.canvasState.activeLayerId)) {
-                    card.canvasState.activeLayerId = card.canvasState.layers[0].id;
-                }
-            }
-            sessionHistory[card.id] = { history: [], historyIndex: -1 };
+            normalizeCard(card);
+            // Normalisation may have changed any card, so the first save compares them all
+            changedCardIds.add(card.id);
+            const stored = storedHistories.get(card.id);
+            const history = stored ? decodeHistory(stored, card) : null;
+            sessionHistory[card.id] = history ?? { history: [], historyIndex: -1 };
+            // Dropped as unreadable, or kept under a lower limit than it was saved with: store it again
+            if ((stored && !history) || trimHistory(sessionHistory[card.id])) changedHistoryIds.add(card.id);
         });
     });
+
+    if (useIndexedDB) {
+        // Persist whatever normalisation changed (everything, when migrating from localStorage)
+        orphanCardIds.forEach(id => pendingDeletedCardIds.add(id));
+        const write = collectPendingWrite();
+        if (write) {
+            const saved = await enqueueWrite(write);
+            if (saved && migratingFromLegacy) clearLegacyData();
+        }
+    }
 }
 
 export function getAppData() { return appData; }
 export function getSessionHistory() { return sessionHistory; }
 
+export function getHistoryLimit(): number {
+    return appData.settings?.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * Drops steps beyond the history limit: undone steps first, since the ones
+ * left could no longer be redone without them, then the oldest.
+ * Returns whether any were dropped.
+ */
+export function trimHistory(cardHistory: CardHistory): boolean {
+    let excess = cardHistory.history.length - getHistoryLimit();
+    if (excess <= 0) return false;
+    const redoable = Math.min(excess, cardHistory.history.length - 1 - cardHistory.historyIndex);
+    cardHistory.history.splice(cardHistory.history.length - redoable);
+    excess -= redoable;
+    cardHistory.history.splice(0, excess);
+    cardHistory.historyIndex -= excess;
+    return true;
+}
+
+/** Changes how many undo steps each card keeps, trimming existing histories to match */
+export function setHistoryLimit(limit: number) {
+    appData.settings = { ...appData.settings, historyLimit: limit };
+    Object.entries(sessionHistory).forEach(([cardId, cardHistory]) => {
+        if (trimHistory(cardHistory)) changedHistoryIds.add(+cardId);
+    });
+    saveData();
+}
+
 export function getCurrentOpenCardId() { return currentOpenCardId; }
 export function setCurrentOpenCardId(id: number | null) { currentOpenCardId = id; }
 
+/** Copies the live floor tree and camera floor onto the card so the next saveData() persists them */
+export function syncFloorState(canvasData: CanvasData) {
+    canvasData.floorTree = viewState.currentFloor.getRoot().toJSON();
+    canvasData.currentFloorId = viewState.currentFloor.id;
+}
+
 export function requestRedraw() { redrawRequested = true; }
 export function isRedrawRequested() { return redrawRequested; }
 export function clearRedrawRequest() { redrawRequested = false; }
@@ -163,6 +457,40 @@ export function getActiveLayer(): Layer | undefined | null {
     return canvasData.layers.find(l => l.id === canvasData.activeLayerId);
 }
 
+/**
+ * Whether a layer is locked against drawing, erasing and selecting. A layer
+ * hidden for a review counts as locked, so its strokes can't be found by
+ * selecting or erasing over them.
+ */
+export const isLayerLocked = (layer: Layer): boolean => layer.isLocked || isLayerMasked(layer);
+
+/** Whether the layer being drawn on is locked against drawing, erasing and selecting */
+export function isActiveLayerLocked(): boolean {
+    const layer = getActiveLayer();
+    return !!layer && isLayerLocked(layer);
+}
+
+/** Hides the layers marked isHiddenInReview on screen, while a review session asks for them to be */
+export function setReviewMasking(isMasking: boolean) {
+    isReviewMasking = isMasking;
+    requestRedraw();
+}
+
+export const isReviewMaskingOn = () => isReviewMasking;
+
+/** Whether a layer is hidden right now for a review session */
+export const isLayerMasked = (layer: Layer): boolean => isReviewMasking && layer.isHiddenInReview;
+
+/**
+ * Layers drawn on screen: all of them, or only the soloed one while a layer
+ * is soloed, less those hidden for a review session.
+ */
+export function getDisplayedLayers(canvasData: CanvasData): Layer[] {
+    const soloLayer = canvasData.layers.find(l => l.id === canvasData.soloLayerId);
+    const layers = soloLayer ? [soloLayer] : canvasData.layers;
+    return isReviewMasking ? layers.filter(l => !l.isHiddenInReview) : layers;
+}
+
 export function findStrokeAndLayer(strokeId: string | number) {
     const canvasData = getActiveCardCanvasState();
     if (!canvasData) return { stroke: null, layer: null };
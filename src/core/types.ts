@@ -4,50 +4,96 @@ export interface Point {
   y: number;
 }
 
+/** A pen sample; pressure is the normalised stylus force (0..1), absent for mouse and touch input */
+export interface StrokePoint extends Point {
+  pressure?: number;
+}
+
 /** GPU buffer references cached on each stroke */
 export interface StrokeGPUData {
   vertexBuffer: GPUBuffer;
   indexBuffer: GPUBuffer;
   indexCount: number;
   tessellationScale?: number;
-  floorIndex?: number;
+  /** Camera floor the buffers were tessellated for */
+  floorId?: number;
 }
 
+/** How a rectangle, circle or triangle is painted */
+export type ShapeFillMode = 'fill' | 'stroke' | 'both';
+
+/** Eraser behaviour: remove every stroke it touches, or cut pen strokes where it passes */
+export type EraserMode = 'stroke' | 'partial';
+
 /** A single drawn stroke (pen, highlighter, shape, eraser) */
 export interface Stroke {
   id: string | number;
   type: string;
-  points: Point[];
+  points: StrokePoint[];
   color: string;
   opacity: number;
+  /** Depth of the floor the stroke was drawn on */
   floorIndex: number;
+  /** Id of the floor the stroke was drawn on; its points are in that floor's coordinates */
+  floorId: number;
   worldWidth?: number;
   lineWidth?: number;
+  /** Exponent applied to pressure before it scales the width; 1 is linear */
+  pressureCurve?: number;
+  /** Shapes only; missing means 'fill' */
+  fillMode?: ShapeFillMode;
+  /** Shapes only: clockwise turn in radians about the centre of the x/y/width/height box */
+  rotation?: number;
   isErasing?: boolean;
   gpuData?: StrokeGPUData | null;
-  rawPoints?: Point[];
+  rawPoints?: StrokePoint[];
   x?: number;
   y?: number;
   width?: number;
   height?: number;
 }
 
+/** How a layer combines with the layers under it */
+export type LayerBlendMode = 'normal' | 'multiply' | 'screen';
+
 /** A canvas layer containing strokes */
 export interface Layer {
   id: number;
   name: string;
   isVisible: boolean;
+  /** 0–1, applied to the layer as a whole after its strokes are drawn */
+  opacity: number;
+  /** Locked layers can't be drawn on, erased or selected from */
+  isLocked: boolean;
+  blendMode: LayerBlendMode;
+  /** Left out on screen during a review session until revealed, e.g. a layer with the answers */
+  isHiddenInReview: boolean;
   strokes: Stroke[];
 }
 
 /** Serialised form of a ZoomFloor for persistence */
 export interface SerializedZoomFloor {
+  id: number;
   index: number;
   originInParent: Point;
-  child: SerializedZoomFloor | null;
+  children: SerializedZoomFloor[];
   _hasStrokes?: boolean;
 }
 
+/** A named camera position saved on a card, used for navigation and PDF pages */
+export interface SavedView {
+  id: number;
+  name: string;
+  floorId: number;
+  /** Depth of that floor, for display */
+  floorIndex: number;
+  panOffset: Point;
+  scale: number;
+  /** Viewport size in CSS pixels when the view was saved; together with pan/scale it defines the region */
+  width: number;
+  height: number;
+}
+
 /** Persisted state for a single canvas card */
 export interface CanvasData {
   layers: Layer[];
@@ -55,21 +101,50 @@ export interface CanvasData {
   panOffset: Point;
   scale: number;
   floorTree: SerializedZoomFloor;
-  currentFloorIndex: number;
+  currentFloorId: number;
+  views?: SavedView[];
+  /** Layer shown on its own; the others are hidden on screen without changing their isVisible */
+  soloLayerId?: number | null;
   strokes?: Stroke[];
 }
 
+/** How well a card was recalled in a review; 'again' is a miss */
+export type ReviewGrade = 'again' | 'hard' | 'good' | 'easy';
+
+/** One completed review of a card */
+export interface ReviewRecord {
+  /** When it was reviewed, in ms since the epoch */
+  reviewedAt: number;
+  /** Whether the card was recalled; a miss moves it back a column */
+  passed: boolean;
+  /** Missing on reviews recorded before grades, which were 'good' or 'again' */
+  grade?: ReviewGrade;
+  /** Column the card was reviewed in, and the one it moved to */
+  fromColumnId: number;
+  toColumnId: number;
+}
+
+/** Spaced-repetition state of a card, see core/scheduling */
+export interface CardReview {
+  /** Start of the day the card is next due, in ms since the epoch; null in an unscheduled column */
+  dueAt: number | null;
+  history: ReviewRecord[];
+}
+
 /** A card inside a revision column */
 export interface KanbanCard {
   id: number;
   title: string;
   canvasState: CanvasData;
+  review: CardReview;
 }
 
 /** A column in the revision board */
 export interface RevisionColumn {
   id: number;
   title: string;
+  /** Days until a card placed in this column is due for review; null for a column without reviews */
+  intervalDays: number | null;
   cards: KanbanCard[];
 }
 export type KanbanColumn = RevisionColumn;
@@ -80,9 +155,20 @@ export interface RevisionBoard {
   columns: RevisionColumn[];
 }
 
+/** User preferences that apply across cards */
+export interface AppSettings {
+  /** Keyboard shortcut overrides: action id → key combos, see canvas/shortcuts */
+  shortcuts?: Record<string, string[]>;
+  /** Undo steps kept per card, see DEFAULT_HISTORY_LIMIT */
+  historyLimit?: number;
+}
+
 /** Root application data */
 export interface AppData {
+  /** Persisted format version, see core/migrations */
+  schemaVersion: number;
   revisions: RevisionBoard;
+  settings?: AppSettings;
 }
 
 /** Laser pointer point with timestamp */
@@ -114,6 +200,7 @@ export interface TempShape {
   opacity?: number;
   lineWidth?: number;
   floorIndex: number;
+  floorId: number;
   x: number;
   y: number;
   width: number;
@@ -122,6 +209,7 @@ export interface TempShape {
   points?: Point[];
   isErasing?: boolean;
   worldWidth?: number;
+  fillMode?: ShapeFillMode;
 }
 
 /** Brush settings for each tool */
@@ -130,15 +218,42 @@ export interface BrushSettings {
   lineWidth: number;
   opacity?: number;
   smoothness?: number;
+  pressureCurve?: number;
+  fillMode?: ShapeFillMode;
+  eraserMode?: EraserMode;
 }
 
+export type HistoryActionType =
+  | 'ADD' | 'REMOVE' | 'MODIFY'
+  | 'ADD_LAYER' | 'DELETE_LAYER' | 'RENAME_LAYER' | 'REORDER_LAYER' | 'LAYER_VISIBILITY' | 'SOLO_LAYER'
+  | 'COMPOSITE';
+
 /** An undo/redo action */
 export interface HistoryAction {
-  type: 'ADD' | 'REMOVE' | 'MODIFY';
+  type: HistoryActionType;
   strokes?: Stroke[];
   before?: Stroke[];
   after?: Stroke[];
+  /** Layer acted on; for COMPOSITE, the active layer when it was recorded */
   layerId: number;
+  /** ADD_LAYER / DELETE_LAYER: the layer with its strokes, and its position in the stack */
+  layer?: Layer;
+  index?: number;
+  /** ADD_LAYER / DELETE_LAYER: active layer before the action, made active again on undo */
+  previousActiveLayerId?: number;
+  /** RENAME_LAYER */
+  fromName?: string;
+  toName?: string;
+  /** REORDER_LAYER: positions in the stack */
+  fromIndex?: number;
+  toIndex?: number;
+  /** LAYER_VISIBILITY: visibility after the action */
+  isVisible?: boolean;
+  /** SOLO_LAYER: soloed layer before and after the action, null for none */
+  fromSoloLayerId?: number | null;
+  toSoloLayerId?: number | null;
+  /** COMPOSITE: steps applied in order and undone in reverse, as one */
+  actions?: HistoryAction[];
 }
 
 /** Per-card undo/redo stack */
@@ -164,6 +279,8 @@ export interface CanvasUIState {
   resizeHandle: ResizeHandle | null;
   tempShape: TempShape | null;
   activeSettingWedge: string | null;
+  /** The temporary-pan key (Space by default) is held down */
+  isPanKeyHeld: boolean;
 }
 
 declare global {
@@ -0,0 +1,209 @@
+import { CanvasData, Layer, LayerBlendMode } from '../core/types';
+import { ZoomFloor } from '../canvas/zoom';
+import { isStrokeOnFloor } from '../canvas/hitTest';
+import { VERTEX_STRIDE, ViewRect, forEachTriangle, getViewRect, splitGeometryByColor, tessellateStroke } from '../renderer/tessellation';
+
+/** A4 in PostScript points; each page is turned to match its region's aspect */
+const PAGE_LONG_EDGE = 841.89;
+const PAGE_SHORT_EDGE = 595.28;
+const PAGE_MARGIN = 36;
+const TITLE_SIZE = 10;
+/** Margin around the content bounds, matching the PNG export */
+const CONTENT_PADDING = 50;
+/** Strokes are tessellated this much finer than the page scale so curves stay smooth in print */
+const PRINT_OVERSAMPLE = 4;
+
+/** One page of the export: a region of `floor` fitted onto the sheet */
+export interface PdfPage {
+    title: string;
+    floor: ZoomFloor;
+    region: ViewRect;
+}
+
+interface PageContent {
+    width: number;
+    height: number;
+    content: string;
+    /** ExtGState dictionaries the content refers to as /GS0, /GS1, … */
+    graphicsStates: string[];
+}
+
+const PDF_BLEND_MODES: Record<LayerBlendMode, string> = { normal: 'Normal', multiply: 'Multiply', screen: 'Screen' };
+
+const fmt = (n: number): string => String(Math.round(n * 100) / 100);
+
+/** ASCII-only PDF string literal; Latin-1 goes out as octal escapes, anything else becomes '?' */
+const pdfString = (text: string): string =>
+    '(' + text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/[\\()\xa0-\xff]/g, ch =>
+        ch.charCodeAt(0) > 0x7e ? '\\' + ch.charCodeAt(0).toString(8) : '\\' + ch) + ')';
+
+/** Bounds of the tessellated geometry of every visible stroke, in `floor` coordinates */
+function getGeometryBounds(layers: Layer[], floor: ZoomFloor): ViewRect | null {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    layers.forEach(layer => {
+        if (!layer.isVisible) return;
+        layer.strokes.forEach(stroke => {
+            if (!isStrokeOnFloor(stroke, floor)) return;
+            const { vertices } = tessellateStroke(stroke, floor, 1, null);
+            for (let i = 0; i < vertices.length; i += VERTEX_STRIDE) {
+                minX = Math.min(minX, vertices[i]); minY = Math.min(minY, vertices[i + 1]);
+                maxX = Math.max(maxX, vertices[i]); maxY = Math.max(maxY, vertices[i + 1]);
+            }
+        });
+    });
+    return isFinite(minX) ? { minX, minY, maxX, maxY } : null;
+}
+
+/**
+ * The pages printed for a card: the whole content on the camera's floor,
+ * then one page per saved view, each on the floor it was saved on.
+ */
+export function getPdfPages(canvasData: CanvasData, currentFloor: ZoomFloor): PdfPage[] {
+    const pages: PdfPage[] = [];
+    const bounds = getGeometryBounds(canvasData.layers, currentFloor);
+    if (bounds) {
+        pages.push({
+            title: 'Whole card',
+            floor: currentFloor,
+            region: {
+                minX: bounds.minX - CONTENT_PADDING, minY: bounds.minY - CONTENT_PADDING,
+                maxX: bounds.maxX + CONTENT_PADDING, maxY: bounds.maxY + CONTENT_PADDING,
+            },
+        });
+    }
+    (canvasData.views || []).forEach(view => {
+        const floor = currentFloor.findById(view.floorId);
+        if (!floor) return;
+        pages.push({ title: view.name, floor, region: getViewRect(view.panOffset, view.scale, view.width, view.height) });
+    });
+    return pages;
+}
+
+/** Content stream for one page: black sheet, title, then every stroke filled from its tessellated triangles */
+function renderPage(layers: Layer[], page: PdfPage): PageContent {
+    const { region, floor } = page;
+    const regionWidth = Math.max(region.maxX - region.minX, 1e-9);
+    const regionHeight = Math.max(region.maxY - region.minY, 1e-9);
+    const landscape = regionWidth >= regionHeight;
+    const width = landscape ? PAGE_LONG_EDGE : PAGE_SHORT_EDGE;
+    const height = landscape ? PAGE_SHORT_EDGE : PAGE_LONG_EDGE;
+
+    const top = PAGE_MARGIN + TITLE_SIZE * 2;
+    const availableWidth = width - PAGE_MARGIN * 2;
+    const availableHeight = height - top - PAGE_MARGIN;
+    const k = Math.min(availableWidth / regionWidth, availableHeight / regionHeight);
+    const boxWidth = regionWidth * k, boxHeight = regionHeight * k;
+    const boxX = PAGE_MARGIN + (availableWidth - boxWidth) / 2;
+    const boxTop = top + (availableHeight - boxHeight) / 2;
+
+    // Floor coordinates → PDF user space (origin bottom-left, y up)
+    const px = (x: number) => fmt(boxX + (x - region.minX) * k);
+    const py = (y: number) => fmt(height - boxTop - (y - region.minY) * k);
+
+    const graphicsStates: string[] = [];
+    const ops: string[] = [
+        `0 0 0 rg 0 0 ${fmt(width)} ${fmt(height)} re f`,
+        `0.58 0.64 0.72 rg BT /F1 ${TITLE_SIZE} Tf ${fmt(PAGE_MARGIN)} ${fmt(height - PAGE_MARGIN - TITLE_SIZE)} Td ${pdfString(page.title)} Tj ET`,
+        `q ${fmt(boxX)} ${fmt(height - boxTop - boxHeight)} ${fmt(boxWidth)} ${fmt(boxHeight)} re W n`,
+    ];
+
+    layers.forEach(layer => {
+        if (!layer.isVisible || layer.opacity <= 0) return;
+        layer.strokes.forEach(stroke => {
+            if (!isStrokeOnFloor(stroke, floor)) return;
+            const geometry = tessellateStroke(stroke, floor, k * PRINT_OVERSAMPLE, region);
+            if (geometry.indices.length === 0) return;
+
+            splitGeometryByColor(geometry).forEach(({ color: [r, g, b, a], geometry: part }) => {
+                // Layer opacity applies per stroke here, so overlapping strokes of a faded layer show a little darker than on screen
+                const alpha = Math.round(a * layer.opacity * 1000) / 1000;
+                let state = '';
+                if (alpha < 1 || layer.blendMode !== 'normal') {
+                    const dict = `<< /ca ${alpha} /BM /${PDF_BLEND_MODES[layer.blendMode] || 'Normal'} >>`;
+                    if (!graphicsStates.includes(dict)) graphicsStates.push(dict);
+                    state = `/GS${graphicsStates.indexOf(dict)} gs `;
+                }
+
+                const path: string[] = [];
+                forEachTriangle(part, (ax, ay, bx, by, cx, cy) => {
+                    path.push(`${px(ax)} ${py(ay)} m ${px(bx)} ${py(by)} l ${px(cx)} ${py(cy)} l h`);
+                });
+                ops.push(`q ${state}${fmt(r)} ${fmt(g)} ${fmt(b)} rg`, ...path, 'f Q');
+            });
+        });
+    });
+
+    ops.push('Q');
+    return { width, height, content: ops.join('\n'), graphicsStates };
+}
+
+/** zlib-wrapped deflate for FlateDecode, or null where CompressionStream is missing */
+async function deflate(data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer> | null> {
+    if (typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Minimal PDF 1.4 file: catalog, page tree, one Helvetica font and a content stream per page */
+async function writePdf(pages: PageContent[]): Promise<Blob> {
+    const encoder = new TextEncoder();
+    const parts: Uint8Array<ArrayBuffer>[] = [];
+    const offsets: number[] = [];
+    let length = 0;
+    const write = (chunk: string | Uint8Array<ArrayBuffer>) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (id: number) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // Header plus a binary comment so transfer tools treat the file as binary
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    const pageId = (i: number) => 4 + i * 2;
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pages.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+    beginObject(3);
+    write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        const extGState = page.graphicsStates.map((dict, j) => `/GS${j} ${dict}`).join(' ');
+        beginObject(pageId(i));
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(page.width)} ${fmt(page.height)}] ` +
+            `/Resources << /Font << /F1 3 0 R >> /ExtGState << ${extGState} >> >> /Contents ${pageId(i) + 1} 0 R >>\nendobj\n`);
+
+        const raw = encoder.encode(page.content);
+        const compressed = await deflate(raw);
+        beginObject(pageId(i) + 1);
+        write(`<< /Length ${(compressed || raw).length}${compressed ? ' /Filter /FlateDecode' : ''} >>\nstream\n`);
+        write(compressed || raw);
+        write('\nendstream\nendobj\n');
+    }
+
+    const objectCount = 4 + pages.length * 2;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * Prints a card to a vector PDF, one page per region, filling the exact
+ * triangles the renderers draw. Resolves to null when there is nothing to print.
+ */
+export async function exportPdf(canvasData: CanvasData, currentFloor: ZoomFloor): Promise<Blob | null> {
+    const pages = getPdfPages(canvasData, currentFloor);
+    if (pages.length === 0) return null;
+    return writePdf(pages.map(page => renderPage(canvasData.layers, page)));
+}
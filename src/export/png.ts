@@ -0,0 +1,76 @@
+import { CanvasData, ViewState } from '../core/types';
+import { Canvas2DRenderer } from '../renderer/Canvas2DRenderer';
+import { getContentBounds } from '../canvas/animation';
+
+/** Largest edge, in device pixels, we let an offscreen export grow to */
+const MAX_EXPORT_EDGE = 8192;
+/** Margin around the content bounds, matching centerCanvasContent() */
+const CONTENT_PADDING = 50;
+
+export type ExportRegion = 'viewport' | 'content';
+
+export interface PngExportOptions {
+    region: ExportRegion;
+    /** Longest edge of the output in CSS pixels */
+    resolution: number;
+    /** Device pixels per CSS pixel of the output */
+    pixelRatio: number;
+}
+
+/** Camera and CSS-pixel size of the offscreen target for the requested region */
+function getExportCamera(canvasData: CanvasData, viewState: ViewState, viewportWidth: number, viewportHeight: number, options: PngExportOptions) {
+    if (options.region === 'viewport') {
+        const fit = options.resolution / Math.max(viewportWidth, viewportHeight);
+        return {
+            width: viewportWidth * fit,
+            height: viewportHeight * fit,
+            scale: viewState.scale * fit,
+            panOffset: { x: viewState.panOffset.x * fit, y: viewState.panOffset.y * fit },
+        };
+    }
+
+    const bounds = getContentBounds(canvasData, viewState.currentFloor);
+    if (!bounds) return null;
+    const contentWidth = bounds.maxX - bounds.minX + CONTENT_PADDING * 2;
+    const contentHeight = bounds.maxY - bounds.minY + CONTENT_PADDING * 2;
+    const scale = options.resolution / Math.max(contentWidth, contentHeight);
+    return {
+        width: contentWidth * scale,
+        height: contentHeight * scale,
+        scale,
+        panOffset: { x: -(bounds.minX - CONTENT_PADDING) * scale, y: -(bounds.minY - CONTENT_PADDING) * scale },
+    };
+}
+
+/**
+ * Renders the card into an offscreen canvas through the regular render path
+ * (layer visibility, opacity and blending, floor transforms and cutoffs
+ * included) and encodes it.
+ * Resolves to null when a content export finds nothing to draw.
+ */
+export async function exportPng(canvasData: CanvasData, viewState: ViewState, viewportWidth: number, viewportHeight: number, options: PngExportOptions): Promise<Blob | null> {
+    const camera = getExportCamera(canvasData, viewState, viewportWidth, viewportHeight, options);
+    if (!camera) return null;
+
+    const pixelRatio = Math.min(options.pixelRatio, MAX_EXPORT_EDGE / Math.max(camera.width, camera.height));
+    const canvas = document.createElement('canvas');
+    const renderer = new Canvas2DRenderer(canvas, pixelRatio);
+    await renderer.init();
+    renderer.resize(camera.width, camera.height);
+
+    renderer.render(
+        {
+            scale: camera.scale,
+            panOffset: camera.panOffset,
+            targetScale: camera.scale,
+            targetPanOffset: { ...camera.panOffset },
+            currentFloor: viewState.currentFloor,
+        },
+        canvasData.layers,
+        [], [], null, null
+    );
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The browser could not encode the PNG.")), 'image/png');
+    });
+}
@@ -0,0 +1,171 @@
+import { Layer, LayerBlendMode, Point, Stroke } from '../core/types';
+import { ZoomFloor, transformPointToFloor } from '../canvas/zoom';
+import { OUTLINED_FILL_ALPHA, VERTEX_STRIDE, forEachTriangle, getFloorScale, tessellatePenStroke } from '../renderer/tessellation';
+import { rotatePoint } from '../utils/math';
+
+/** Anything smaller than this many export-floor units on both axes is invisible and dropped */
+const MIN_VISIBLE_SIZE = 0.5;
+
+export interface SvgExportOptions {
+    /** Margin around the content, in export-floor units */
+    padding?: number;
+    /** Background fill, or null for a transparent document */
+    background?: string | null;
+}
+
+interface SvgElement {
+    markup: string;
+    minX: number;
+    minY: number;
+    maxX: number;
+    maxY: number;
+}
+
+const fmt = (n: number): string => String(Math.round(n * 1000) / 1000);
+
+const escapeXml = (text: string): string =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** Catmull-Rom through the points as cubic Béziers, the same curve the tessellator subdivides */
+function toPathData(p: Point[]): string {
+    let d = `M${fmt(p[0].x)} ${fmt(p[0].y)}`;
+    const n = p.length;
+    for (let i = 0; i < n - 1; i++) {
+        const p0 = p[Math.max(0, i - 1)];
+        const p1 = p[i];
+        const p2 = p[i + 1];
+        const p3 = p[Math.min(n - 1, i + 2)];
+        d += `C${fmt(p1.x + (p2.x - p0.x) / 6)} ${fmt(p1.y + (p2.y - p0.y) / 6)} ` +
+            `${fmt(p2.x - (p3.x - p1.x) / 6)} ${fmt(p2.y - (p3.y - p1.y) / 6)} ${fmt(p2.x)} ${fmt(p2.y)}`;
+    }
+    return d;
+}
+
+/** Pressure strokes vary in width, which an SVG stroke cannot; they go out as their filled tessellated outline */
+function pressurePenToSvg(stroke: Stroke, floor: ZoomFloor): SvgElement | null {
+    const geometry = tessellatePenStroke(stroke, floor, 1, null);
+    const { vertices } = geometry;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < vertices.length; i += VERTEX_STRIDE) {
+        minX = Math.min(minX, vertices[i]); minY = Math.min(minY, vertices[i + 1]);
+        maxX = Math.max(maxX, vertices[i]); maxY = Math.max(maxY, vertices[i + 1]);
+    }
+    if (!isFinite(minX) || Math.max(maxX - minX, maxY - minY) < MIN_VISIBLE_SIZE) return null;
+
+    let d = '';
+    forEachTriangle(geometry, (ax, ay, bx, by, cx, cy) => {
+        d += `M${fmt(ax)} ${fmt(ay)}L${fmt(bx)} ${fmt(by)}L${fmt(cx)} ${fmt(cy)}Z`;
+    });
+    const markup = `<path d="${d}" fill="${escapeXml(stroke.color)}" fill-opacity="${fmt(stroke.opacity / 100)}" fill-rule="nonzero"/>`;
+    return { markup, minX, minY, maxX, maxY };
+}
+
+function penToSvg(stroke: Stroke, floor: ZoomFloor): SvgElement | null {
+    if (!stroke.points || stroke.points.length < 2) return null;
+    if (stroke.points.some(p => p.pressure !== undefined)) return pressurePenToSvg(stroke, floor);
+    const points = stroke.points.map(pt => transformPointToFloor(pt, stroke.floorId, floor));
+    const actualWidth = stroke.worldWidth !== undefined ? stroke.worldWidth : (stroke.lineWidth || 1);
+    const width = actualWidth * getFloorScale(stroke.floorIndex, floor);
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, p.x); minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y);
+    });
+    if (Math.max(maxX - minX, maxY - minY) + width < MIN_VISIBLE_SIZE) return null;
+
+    const markup = `<path d="${toPathData(points)}" fill="none" stroke="${escapeXml(stroke.color)}" ` +
+        `stroke-opacity="${fmt(stroke.opacity / 100)}" stroke-width="${fmt(width)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    const pad = width / 2;
+    return { markup, minX: minX - pad, minY: minY - pad, maxX: maxX + pad, maxY: maxY + pad };
+}
+
+function shapeToSvg(shape: Stroke, floor: ZoomFloor): SvgElement | null {
+    const sx = shape.x ?? 0, sy = shape.y ?? 0, sw = shape.width ?? 0, sh = shape.height ?? 0;
+    const p1 = transformPointToFloor({ x: sx, y: sy }, shape.floorId, floor);
+    const p2 = transformPointToFloor({ x: sx + sw, y: sy + sh }, shape.floorId, floor);
+    const x = Math.min(p1.x, p2.x), y = Math.min(p1.y, p2.y);
+    const w = Math.abs(p2.x - p1.x), h = Math.abs(p2.y - p1.y);
+    if (w < MIN_VISIBLE_SIZE && h < MIN_VISIBLE_SIZE) return null;
+
+    const opacity = (shape.opacity ?? 100) / 100;
+    const fillMode = shape.fillMode || 'fill';
+    const outlined = fillMode !== 'fill';
+    const strokeWidth = outlined
+        ? (shape.worldWidth !== undefined ? shape.worldWidth : (shape.lineWidth || 1)) * getFloorScale(shape.floorIndex || 0, floor)
+        : 0;
+    const paint = (fillMode === 'stroke' ? 'fill="none"' : `fill="${escapeXml(shape.color)}" fill-opacity="${fmt(fillMode === 'both' ? opacity * OUTLINED_FILL_ALPHA : opacity)}"`) +
+        (outlined ? ` stroke="${escapeXml(shape.color)}" stroke-opacity="${fmt(opacity)}" stroke-width="${fmt(strokeWidth)}" stroke-linejoin="miter" stroke-miterlimit="4"` : '');
+    let markup: string;
+    switch (shape.type) {
+        case 'rectangle':
+            markup = `<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" ${paint}/>`;
+            break;
+        case 'circle':
+            markup = Math.abs(w - h) < 1e-6
+                ? `<circle cx="${fmt(x + w / 2)}" cy="${fmt(y + h / 2)}" r="${fmt(w / 2)}" ${paint}/>`
+                : `<ellipse cx="${fmt(x + w / 2)}" cy="${fmt(y + h / 2)}" rx="${fmt(w / 2)}" ry="${fmt(h / 2)}" ${paint}/>`;
+            break;
+        case 'triangle':
+            markup = `<polygon points="${fmt((p1.x + p2.x) / 2)},${fmt(p1.y)} ${fmt(p2.x)},${fmt(p2.y)} ${fmt(p1.x)},${fmt(p2.y)}" ${paint}/>`;
+            break;
+        default:
+            return null;
+    }
+    const pad = strokeWidth / 2;
+    if (!shape.rotation) return { markup, minX: x - pad, minY: y - pad, maxX: x + w + pad, maxY: y + h + pad };
+
+    const center = { x: x + w / 2, y: y + h / 2 };
+    markup = `<g transform="rotate(${fmt(shape.rotation * 180 / Math.PI)} ${fmt(center.x)} ${fmt(center.y)})">${markup}</g>`;
+    const corners = [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }].map(p => rotatePoint(p, center, shape.rotation!));
+    const xs = corners.map(p => p.x), ys = corners.map(p => p.y);
+    return { markup, minX: Math.min(...xs) - pad, minY: Math.min(...ys) - pad, maxX: Math.max(...xs) + pad, maxY: Math.max(...ys) + pad };
+}
+
+/** Maps one stroke into `floor` space as an SVG element, or null if it is culled or too small to see */
+export function strokeToSvg(stroke: Stroke, floor: ZoomFloor): SvgElement | null {
+    const floorDelta = (stroke.floorIndex || 0) - floor.index;
+    if (floorDelta > 2) return null;
+    return (stroke.type === 'pen' || stroke.type === 'highlighter') ? penToSvg(stroke, floor) : shapeToSvg(stroke, floor);
+}
+
+/**
+ * Serialises groups of strokes (one <g> per group, in order) into a standalone
+ * SVG document in `floor` coordinates. Returns null when nothing is visible.
+ */
+export function strokeGroupsToSvg(groups: { name: string; strokes: Stroke[]; opacity?: number; blendMode?: LayerBlendMode }[], floor: ZoomFloor, options: SvgExportOptions = {}): string | null {
+    const padding = options.padding ?? 20;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    const groupMarkup = groups.map(group => {
+        const elements = group.strokes.map(stroke => strokeToSvg(stroke, floor)).filter((el): el is SvgElement => el !== null);
+        elements.forEach(el => {
+            minX = Math.min(minX, el.minX); minY = Math.min(minY, el.minY);
+            maxX = Math.max(maxX, el.maxX); maxY = Math.max(maxY, el.maxY);
+        });
+        if (elements.length === 0) return '';
+        const opacity = group.opacity !== undefined && group.opacity < 1 ? ` opacity="${fmt(group.opacity)}"` : '';
+        const blend = group.blendMode && group.blendMode !== 'normal' ? ` style="mix-blend-mode:${group.blendMode}"` : '';
+        return `  <g data-name="${escapeXml(group.name)}"${opacity}${blend}>\n${elements.map(el => `    ${el.markup}`).join('\n')}\n  </g>\n`;
+    }).join('');
+
+    if (!isFinite(minX)) return null;
+
+    const vx = minX - padding, vy = minY - padding;
+    const vw = maxX - minX + padding * 2, vh = maxY - minY + padding * 2;
+    const background = options.background === undefined ? '#000000' : options.background;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${fmt(vx)} ${fmt(vy)} ${fmt(vw)} ${fmt(vh)}" width="${fmt(vw)}" height="${fmt(vh)}">\n` +
+        (background ? `  <rect x="${fmt(vx)}" y="${fmt(vy)}" width="${fmt(vw)}" height="${fmt(vh)}" fill="${escapeXml(background)}"/>\n` : '') +
+        groupMarkup +
+        `</svg>\n`;
+}
+
+/** Every visible layer of a card, mapped into one floor's coordinate space */
+export function exportSvg(layers: Layer[], floor: ZoomFloor, options: SvgExportOptions = {}): string | null {
+    return strokeGroupsToSvg(
+        layers.filter(l => l.isVisible).map(l => ({ name: l.name, strokes: l.strokes, opacity: l.opacity, blendMode: l.blendMode })),
+        floor, options,
+    );
+}
@@ -1,15 +1,27 @@
 import { loadData } from './core/store';
 import { switchView } from './ui/View';
 import { initIcons } from './utils/dom';
+import { registerCanvasCommands } from './canvas/commands';
+import { registerBoardCommands } from './ui/Kanban';
+import { initCommandPalette } from './ui/CommandPalette';
+import { initReviewSession } from './ui/ReviewSession';
+import { initShortcuts } from './canvas/shortcuts';
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     'use strict';
     
     // Initialise lucide icons
     initIcons();
     
-    // Load persisted app data from local storage
-    loadData();
+    // Load persisted app data (IndexedDB, migrating any old localStorage save)
+    await loadData();
+    
+    // Commands back the palette, keyboard shortcuts and radial menu
+    registerCanvasCommands();
+    registerBoardCommands();
+    initReviewSession();
+    initCommandPalette();
+    initShortcuts();
     
     // Enter the app at the revision board
     switchView('revisions');
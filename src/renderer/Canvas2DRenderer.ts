@@ -0,0 +1,178 @@
+import { Point, Stroke, Layer, Box, LaserPoint, TempShape, ViewState } from '../core/types';
+import { ZoomFloor } from '../canvas/zoom';
+import { queryStrokes } from '../canvas/spatialIndex';
+import { ACCENT_BLUE, LASER_COLOR } from '../core/constants';
+import { Renderer } from './Renderer';
+import { Geometry, ViewRect, forEachTriangle, getRotateHandleOutline, getViewRect, splitGeometryByColor, tessellateStroke } from './tessellation';
+
+/**
+ * Fallback renderer for browsers without WebGPU. Fills the same tessellated
+ * geometry as WebGPURenderer (same floor transforms, culling and overlays)
+ * through a CanvasRenderingContext2D.
+ */
+export class Canvas2DRenderer implements Renderer {
+    canvas: HTMLCanvasElement;
+    ctx: CanvasRenderingContext2D | null;
+    pathCache: WeakMap<object, { key: string; parts: { path: Path2D; fill: string }[]; tessellationScale: number }>;
+    pixelRatio: number | null;
+    // Each layer is drawn here, then onto the canvas with its opacity and blend mode
+    layerCanvas: HTMLCanvasElement;
+    layerCtx: CanvasRenderingContext2D | null;
+
+    // pixelRatio overrides window.devicePixelRatio, e.g. for offscreen exports
+    constructor(canvas: HTMLCanvasElement, pixelRatio: number | null = null) {
+        this.canvas = canvas;
+        this.ctx = null;
+        this.pathCache = new WeakMap();
+        this.pixelRatio = pixelRatio;
+        this.layerCanvas = document.createElement('canvas');
+        this.layerCtx = null;
+    }
+
+    getPixelRatio(): number {
+        return this.pixelRatio ?? (window.devicePixelRatio || 1);
+    }
+
+    async init() {
+        this.ctx = this.canvas.getContext('2d');
+        this.layerCtx = this.layerCanvas.getContext('2d');
+        if (!this.ctx || !this.layerCtx) {
+            throw new Error("Canvas 2D context unavailable.");
+        }
+    }
+
+    resize(width: number, height: number) {
+        const dpr = this.getPixelRatio();
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.layerCanvas.width = this.canvas.width;
+        this.layerCanvas.height = this.canvas.height;
+    }
+
+    // Path built from tessellated triangles, all wound the same way so overlaps fill once under 'nonzero'
+    geometryToPath(geometry: Geometry): Path2D {
+        const path = new Path2D();
+        forEachTriangle(geometry, (ax, ay, bx, by, cx, cy) => {
+            path.moveTo(ax, ay);
+            path.lineTo(bx, by);
+            path.lineTo(cx, cy);
+            path.closePath();
+        });
+        return path;
+    }
+
+    // Cheap fingerprint of everything the tessellators read; in-place edits (move, recolour, erase-preview) change it
+    strokeKey(stroke: Stroke, cameraFloor: ZoomFloor): string {
+        const points = stroke.points || [];
+        const first = points[0], last = points[points.length - 1];
+        return [
+            cameraFloor.id, stroke.type, stroke.color, stroke.opacity, stroke.isErasing ? 1 : 0,
+            stroke.worldWidth, stroke.lineWidth, stroke.fillMode, stroke.rotation, stroke.x, stroke.y, stroke.width, stroke.height,
+            points.length, first?.x, first?.y, last?.x, last?.y,
+        ].join('|');
+    }
+
+    drawStroke(ctx: CanvasRenderingContext2D, stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number, viewRect: ViewRect) {
+        const floorDelta = (stroke.floorIndex || 0) - cameraFloor.index;
+        if (floorDelta > 2) return;
+
+        // Same invalidation rules as WebGPURenderer: geometry changed, floor changed, or zoom moved by >1.5x
+        const key = this.strokeKey(stroke, cameraFloor);
+        let cached = this.pathCache.get(stroke);
+        const zoomRatio = cached ? cameraScale / cached.tessellationScale : 1;
+        if (!cached || cached.key !== key || zoomRatio > 1.5 || zoomRatio < (1 / 1.5)) {
+            const geometry = tessellateStroke(stroke, cameraFloor, cameraScale, viewRect);
+            if (geometry.indices.length === 0) {
+                this.pathCache.delete(stroke);
+                return;
+            }
+            // One path per colour: outlined shapes carry a fainter fill under their outline
+            cached = {
+                key,
+                parts: splitGeometryByColor(geometry).map(({ color: [r, g, b, a], geometry: part }) => ({
+                    path: this.geometryToPath(part),
+                    fill: `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`,
+                })),
+                tessellationScale: cameraScale || 1,
+            };
+            this.pathCache.set(stroke, cached);
+        }
+
+        cached.parts.forEach(part => {
+            ctx.fillStyle = part.fill;
+            ctx.fill(part.path, 'nonzero');
+        });
+    }
+
+    // --- Overlays (hairlines in the camera's own coordinate space) ---
+    drawPolyline(ctx: CanvasRenderingContext2D, points: Point[], color: string, alpha: number, closed: boolean, cameraScale: number) {
+        if (points.length < 2) return;
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1 / cameraScale;
+        ctx.lineCap = 'butt';
+        ctx.lineJoin = 'miter';
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        if (closed) ctx.closePath();
+        ctx.stroke();
+    }
+
+    render(viewState: ViewState, layers: Layer[], laserPoints: LaserPoint[], lassoPoints: Point[], selectionBox: Box | null, tempShape: TempShape | null) {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const cameraFloor = viewState.currentFloor;
+        const cameraScale = viewState.scale;
+        const cameraPan = viewState.panOffset;
+        const dpr = this.getPixelRatio();
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.setTransform(dpr * cameraScale, 0, 0, dpr * cameraScale, dpr * cameraPan.x, dpr * cameraPan.y);
+        const viewRect = getViewRect(cameraPan, cameraScale, this.canvas.width / dpr, this.canvas.height / dpr);
+
+        const layerCtx = this.layerCtx;
+        if (layers && layerCtx) {
+            layers.forEach(layer => {
+                if (!layer.isVisible || layer.opacity <= 0) return;
+                const strokes = queryStrokes(layer, cameraFloor, viewRect);
+                if (strokes.length === 0) return;
+
+                layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+                layerCtx.clearRect(0, 0, this.layerCanvas.width, this.layerCanvas.height);
+                layerCtx.setTransform(dpr * cameraScale, 0, 0, dpr * cameraScale, dpr * cameraPan.x, dpr * cameraPan.y);
+                strokes.forEach(stroke => this.drawStroke(layerCtx, stroke, cameraFloor, cameraScale, viewRect));
+
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.globalAlpha = layer.opacity;
+                ctx.globalCompositeOperation = layer.blendMode === 'normal' ? 'source-over' : layer.blendMode;
+                ctx.drawImage(this.layerCanvas, 0, 0);
+                ctx.restore();
+            });
+        }
+
+        if (tempShape) {
+            this.drawStroke(ctx, tempShape as unknown as Stroke, cameraFloor, cameraScale, viewRect);
+        }
+
+        if (laserPoints) this.drawPolyline(ctx, laserPoints, LASER_COLOR, 0.9, false, cameraScale);
+        if (lassoPoints) this.drawPolyline(ctx, lassoPoints, ACCENT_BLUE, 0.8, true, cameraScale);
+        if (selectionBox) {
+            const { x, y, width: w, height: h } = selectionBox;
+            this.drawPolyline(ctx, [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], ACCENT_BLUE, 1.0, true, cameraScale);
+            const { stem, ring } = getRotateHandleOutline(selectionBox, cameraScale);
+            this.drawPolyline(ctx, stem, ACCENT_BLUE, 1.0, false, cameraScale);
+            this.drawPolyline(ctx, ring, ACCENT_BLUE, 1.0, true, cameraScale);
+        }
+
+        ctx.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,9 @@
+import { Point, Layer, Box, LaserPoint, TempShape, ViewState } from '../core/types';
+
+/** Contract shared by every canvas renderer backend */
+export interface Renderer {
+    canvas: HTMLCanvasElement;
+    init(): Promise<void>;
+    resize(width: number, height: number): void;
+    render(viewState: ViewState, layers: Layer[], laserPoints: LaserPoint[], lassoPoints: Point[], selectionBox: Box | null, tempShape: TempShape | null): void;
+}
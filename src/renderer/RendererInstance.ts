@@ -1,12 +1,24 @@
+import { Renderer } from './Renderer';
 import { WebGPURenderer } from './WebGPURenderer';
+import { Canvas2DRenderer } from './Canvas2DRenderer';
 
-let rendererInstance: WebGPURenderer | null = null;
+let rendererInstance: Renderer | null = null;
 
-export function getRenderer(): WebGPURenderer | null {
+export function getRenderer(): Renderer | null {
   return rendererInstance;
 }
 
-export function initRenderer(canvas: HTMLCanvasElement): WebGPURenderer {
-  rendererInstance = new WebGPURenderer(canvas);
+/** Prefers WebGPU and falls back to Canvas 2D when the browser can't provide a device */
+export async function initRenderer(canvas: HTMLCanvasElement): Promise<Renderer> {
+  try {
+    const gpuRenderer = new WebGPURenderer(canvas);
+    await gpuRenderer.init();
+    rendererInstance = gpuRenderer;
+  } catch (err) {
+    console.warn("WebGPU unavailable, falling back to the Canvas 2D renderer:", err);
+    const fallback = new Canvas2DRenderer(canvas);
+    await fallback.init();
+    rendererInstance = fallback;
+  }
   return rendererInstance;
 }
@@ -1,9 +1,11 @@
-import { Point, Stroke, Layer, Box, LaserPoint, TempShape, ViewState } from '../core/types';
+import { Point, Stroke, Layer, LayerBlendMode, Box, LaserPoint, TempShape, ViewState } from '../core/types';
 import { ZoomFloor } from '../canvas/zoom';
+import { queryStrokes } from '../canvas/spatialIndex';
 import { ACCENT_BLUE, LASER_COLOR } from '../core/constants';
-import { transformPointToFloor } from '../canvas/zoom';
+import { ViewRect, getRotateHandleOutline, getViewRect, hexToRgba, tessellateStroke } from './tessellation';
+import { Renderer } from './Renderer';
 
-export class WebGPURenderer {
+export class WebGPURenderer implements Renderer {
         canvas: HTMLCanvasElement;
         adapter: GPUAdapter | null;
         device: GPUDevice | null;
@@ -20,8 +22,15 @@ export class WebGPURenderer {
         depthStencilView?: GPUTextureView;
         stencilRef?: number;
         viewBindGroupLayout?: GPUBindGroupLayout;
-        _lastPanX?: number;
-        _lastPanY?: number;
+        // Each layer is drawn into layerTexture, then blended onto the swapchain with its opacity
+        layerTexture?: GPUTexture;
+        layerTextureView?: GPUTextureView;
+        compositeShaderModule?: GPUShaderModule;
+        compositeBindGroupLayout?: GPUBindGroupLayout;
+        compositeBindGroup?: GPUBindGroup;
+        compositePipelines: Partial<Record<LayerBlendMode, GPURenderPipeline>>;
+        layerUniformBuffer?: GPUBuffer;
+        layerUniformCapacity: number;
 
         constructor(canvas: HTMLCanvasElement) {
             this.canvas = canvas;
@@ -43,6 +52,9 @@ export class WebGPURenderer {
 
             // Shader code in WGSL
             this.shaderModule = null;
+
+            this.compositePipelines = {};
+            this.layerUniformCapacity = 0;
         }
 
         async init() {
@@ -54,34 +66,22 @@ export class WebGPURenderer {
                 throw new Error("No appropriate GPUAdapter found.");
             }
             this.device = await this.adapter.requestDevice();
-            this.context = this.canvas.getContext('webgpu');
-
             this.presentationFormat = navigator.gpu.getPreferredCanvasFormat();
 
-            this.context!.configure({
-                device: this.device,
-                format: this.presentationFormat,
-                alphaMode: 'premultiplied',
-            });
-
             this.createShaders();
             this.createBuffers();
             this.createPipelines();
-        }
 
-        // --- Utility to convert hex color to normalized RGBA array ---
-        hexToRgba(hex: string, opacity: number = 1.0): number[] {
-            let r = 0, g = 0, b = 0;
-            if (hex.length === 4) {
-                r = parseInt(hex[1] + hex[1], 16);
-                g = parseInt(hex[2] + hex[2], 16);
-                b = parseInt(hex[3] + hex[3], 16);
-            } else if (hex.length === 7) {
-                r = parseInt(hex.substring(1, 3), 16);
-                g = parseInt(hex.substring(3, 5), 16);
-                b = parseInt(hex.substring(5, 7), 16);
+            // Taken last: once a canvas has a WebGPU context it can't give a 2D one, so a failure before here still allows the fallback
+            this.context = this.canvas.getContext('webgpu');
+            if (!this.context) {
+                throw new Error("Could not get a WebGPU canvas context.");
             }
-            return [r / 255, g / 255, b / 255, opacity];
+            this.context.configure({
+                device: this.device,
+                format: this.presentationFormat,
+                alphaMode: 'premultiplied',
+            });
         }
 
         createShaders() {
@@ -118,6 +118,30 @@ export class WebGPURenderer {
             `;
 
             this.shaderModule = this.device!.createShaderModule({ code: wgslCode });
+
+            // --- Layer compositing: one screen-covering triangle reading the layer texture pixel for pixel ---
+            const compositeCode = `
+                struct LayerUniforms {
+                    params: vec4<f32>, // x: opacity
+                };
+
+                @group(0) @binding(0) var layerTexture: texture_2d<f32>;
+                @group(0) @binding(1) var<uniform> layer: LayerUniforms;
+
+                @vertex
+                fn vs_composite(@builtin(vertex_index) index: u32) -> @builtin(position) vec4<f32> {
+                    let xy = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+                    return vec4<f32>(xy * 2.0 - 1.0, 0.0, 1.0);
+                }
+
+                @fragment
+                fn fs_composite(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+                    // Premultiplied, so opacity scales colour and alpha alike
+                    return textureLoad(layerTexture, vec2<i32>(position.xy), 0) * layer.params.x;
+                }
+            `;
+
+            this.compositeShaderModule = this.device!.createShaderModule({ code: compositeCode });
         }
 
         createBuffers() {
@@ -139,6 +163,45 @@ export class WebGPURenderer {
             this.stencilRef = 0; // Incrementing stencil reference counter
         }
 
+        _createLayerTexture() {
+            if (this.layerTexture) {
+                this.layerTexture.destroy();
+            }
+            this.layerTexture = this.device!.createTexture({
+                size: {
+                    width: Math.max(1, this.canvas.width),
+                    height: Math.max(1, this.canvas.height),
+                },
+                format: this.presentationFormat!,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+            });
+            this.layerTextureView = this.layerTexture.createView();
+            this._createCompositeBindGroup();
+        }
+
+        // Layer uniforms sit 256 bytes apart (the dynamic offset alignment), one slot per layer drawn in a frame
+        _ensureLayerUniformCapacity(layerCount: number) {
+            if (layerCount <= this.layerUniformCapacity) return;
+            this.layerUniformBuffer?.destroy();
+            this.layerUniformCapacity = Math.max(8, layerCount * 2);
+            this.layerUniformBuffer = this.device!.createBuffer({
+                size: this.layerUniformCapacity * 256,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+            this._createCompositeBindGroup();
+        }
+
+        _createCompositeBindGroup() {
+            if (!this.compositeBindGroupLayout || !this.layerTextureView || !this.layerUniformBuffer) return;
+            this.compositeBindGroup = this.device!.createBindGroup({
+                layout: this.compositeBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: this.layerTextureView },
+                    { binding: 1, resource: { buffer: this.layerUniformBuffer, size: 16 } },
+                ],
+            });
+        }
+
         _createDepthStencilTexture() {
             if (this.depthStencilTexture) {
                 this.depthStencilTexture.destroy();
@@ -271,6 +334,44 @@ export class WebGPURenderer {
                     stencilWriteMask: 0x00,
                 },
             });
+
+            // --- Composite Pipelines, one per layer blend mode (premultiplied colour over an opaque background) ---
+            this.compositeBindGroupLayout = this.device!.createBindGroupLayout({
+                entries: [
+                    { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+                    { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform', hasDynamicOffset: true } },
+                ]
+            });
+            const compositeLayout = this.device!.createPipelineLayout({
+                bindGroupLayouts: [this.compositeBindGroupLayout]
+            });
+            const colorBlends: Record<LayerBlendMode, GPUBlendComponent> = {
+                normal: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                // src·dst + dst·(1 − srcα)
+                multiply: { srcFactor: 'dst', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                // src + dst − src·dst
+                screen: { srcFactor: 'one-minus-dst', dstFactor: 'one', operation: 'add' },
+            };
+            (Object.keys(colorBlends) as LayerBlendMode[]).forEach(mode => {
+                this.compositePipelines[mode] = this.device!.createRenderPipeline({
+                    layout: compositeLayout,
+                    vertex: {
+                        module: this.compositeShaderModule!,
+                        entryPoint: 'vs_composite',
+                    },
+                    fragment: {
+                        module: this.compositeShaderModule!,
+                        entryPoint: 'fs_composite',
+                        targets: [{ format: this.presentationFormat!, blend: { color: colorBlends[mode], alpha: blendState.alpha } }],
+                    },
+                    primitive: {
+                        topology: 'triangle-list',
+                    },
+                });
+            });
+
+            this._ensureLayerUniformCapacity(1);
+            this._createLayerTexture();
         }
 
         resize(width: number, height: number) {
@@ -279,383 +380,17 @@ export class WebGPURenderer {
             this.canvas.height = Math.round(height * dpr);
             this.canvas.style.width = `${width}px`;
             this.canvas.style.height = `${height}px`;
-            // Recreate depth-stencil texture to match new canvas size
+            // Recreate depth-stencil and layer textures to match new canvas size
             if (this.device && this.canvas) {
                 this._createDepthStencilTexture();
+                this._createLayerTexture();
             }
         }
 
-        // --- MODIFIED: Data-Returning Tessellators ---
-        // These now return arrays instead of pushing to a global buffer
-
-        // --- Catmull-Rom Spline Subdivision (Zoom-Aware + View-Frustum Culled) ---
-        // screenScale: combined scale factor (cameraScale * floorEffScale) to convert world→screen px
-        // viewRect: { minX, minY, maxX, maxY } visible world-space rectangle (null = subdivide all)
-        // Target: each subdivided segment ≤ 3 screen pixels. Off-screen segments get 1 subdivision.
-        catmullRomSubdivide(points: Point[], screenScale: number, viewRect: { minX: number; minY: number; maxX: number; maxY: number } | null): Point[] {
-            if (points.length < 2) return points;
-
-            const TARGET_SCREEN_PX = 3;
-            // Expand view rect by a margin so we don't get edge artifacts
-            let vr = null;
-            if (viewRect) {
-                const margin = 50 / screenScale; // 50 screen px margin in world units
-                vr = {
-                    minX: viewRect.minX - margin,
-                    minY: viewRect.minY - margin,
-                    maxX: viewRect.maxX + margin,
-                    maxY: viewRect.maxY + margin,
-                };
-            }
-
-            if (points.length === 2) {
-                const d = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
-                const screenDist = d * screenScale;
-                const steps = Math.max(1, Math.min(256, Math.round(screenDist / TARGET_SCREEN_PX)));
-                const result = [];
-                for (let t = 0; t <= steps; t++) {
-                    const frac = t / steps;
-                    result.push({
-                        x: points[0].x + (points[1].x - points[0].x) * frac,
-                        y: points[0].y + (points[1].y - points[0].y) * frac,
-                    });
-                }
-                return result;
-            }
-
-            const result = [];
-            const n = points.length;
-
-            for (let i = 0; i < n - 1; i++) {
-                const p0 = points[Math.max(0, i - 1)];
-                const p1 = points[i];
-                const p2 = points[i + 1];
-                const p3 = points[Math.min(n - 1, i + 2)];
-
-                const dist = Math.hypot(p2.x - p1.x, p2.y - p1.y);
-
-                // --- View-frustum culling per segment ---
-                // Check if the segment bounding box (P0..P3 control points) is visible
-                let isVisible = true;
-                if (vr) {
-                    const segMinX = Math.min(p0.x, p1.x, p2.x, p3.x);
-                    const segMaxX = Math.max(p0.x, p1.x, p2.x, p3.x);
-                    const segMinY = Math.min(p0.y, p1.y, p2.y, p3.y);
-                    const segMaxY = Math.max(p0.y, p1.y, p2.y, p3.y);
-                    isVisible = !(segMaxX < vr.minX || segMinX > vr.maxX ||
-                        segMaxY < vr.minY || segMinY > vr.maxY);
-                }
-
-                let steps;
-                if (isVisible) {
-                    // Visible: subdivide at screen-space density
-                    const screenDist = dist * screenScale;
-                    steps = Math.max(1, Math.min(256, Math.round(screenDist / TARGET_SCREEN_PX)));
-                } else {
-                    // Off-screen: minimal subdivision (just emit endpoints)
-                    steps = 1;
-                }
-
-                for (let s = 0; s < steps; s++) {
-                    const t = s / steps;
-                    const t2 = t * t;
-                    const t3 = t2 * t;
-
-                    const x = 0.5 * (
-                        (2 * p1.x) +
-                        (-p0.x + p2.x) * t +
-                        (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
-                        (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3
-                    );
-                    const y = 0.5 * (
-                        (2 * p1.y) +
-                        (-p0.y + p2.y) * t +
-                        (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
-                        (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3
-                    );
-                    result.push({ x, y });
-                }
-            }
-            // Always include the very last point
-            result.push({ x: points[n - 1].x, y: points[n - 1].y });
-            return result;
-        }
-
-        tessellatePenStroke(stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number) {
-            const vertices: number[] = [];
-            const indices: number[] = [];
-
-            const points = stroke.points;
-            if (points.length < 2) return { vertices, indices };
-
-            const rawTransformed = points.map((pt: Point) => transformPointToFloor(pt, stroke.floorIndex, cameraFloor));
-
-            const color = this.hexToRgba(stroke.color, (stroke.opacity / 100) * (stroke.isErasing ? 0.3 : 1.0));
-            let effScale = 1;
-            if (stroke.floorIndex < cameraFloor.index) {
-                effScale = Math.pow(cameraFloor.BASE, cameraFloor.index - stroke.floorIndex);
-            } else if (stroke.floorIndex > cameraFloor.index) {
-                effScale = 1 / Math.pow(cameraFloor.BASE, stroke.floorIndex - cameraFloor.index);
-            }
-            const actualWidth = stroke.worldWidth !== undefined ? stroke.worldWidth : (stroke.lineWidth || 1);
-            const halfWidth = (actualWidth * effScale) / 2;
-
-            // --- Zoom-aware subdivision ---
-            // Combined scale: how many screen pixels per world unit
-            const screenScale = (cameraScale || 1) * effScale;
-
-            // Compute visible world-space rectangle for view-frustum culling
-            const dpr = window.devicePixelRatio || 1;
-            const canvasW = this.canvas.width / dpr;
-            const canvasH = this.canvas.height / dpr;
-            const cameraPanX = this._lastPanX || 0;
-            const cameraPanY = this._lastPanY || 0;
-            const viewRect = {
-                minX: -cameraPanX / cameraScale,
-                minY: -cameraPanY / cameraScale,
-                maxX: (canvasW - cameraPanX) / cameraScale,
-                maxY: (canvasH - cameraPanY) / cameraScale,
-            };
-
-            const transformedPoints = this.catmullRomSubdivide(rawTransformed, screenScale, viewRect);
-
-            const len = transformedPoints.length;
-
-            // --- Build quad strip (same logic, uses subdivided points) ---
-            // Precompute per-point normals
-            const normals = new Array(len);
-            for (let i = 0; i < len; i++) {
-                const p = transformedPoints[i];
-                let nx = 0, ny = 0;
-                if (i === 0) {
-                    const next = transformedPoints[1];
-                    nx = next.y - p.y; ny = p.x - next.x;
-                } else if (i === len - 1) {
-                    const prev = transformedPoints[i - 1];
-                    nx = p.y - prev.y; ny = prev.x - p.x;
-                } else {
-                    const prev = transformedPoints[i - 1];
-                    const next = transformedPoints[i + 1];
-                    nx = -(next.y - prev.y); ny = next.x - prev.x;
-                }
-                const nLen = Math.hypot(nx, ny);
-                if (nLen > 0.001) { nx /= nLen; ny /= nLen; }
-                else { nx = 1; ny = 0; }
-                normals[i] = { x: nx, y: ny };
-            }
-
-            // Emit quad strip vertices
-            for (let i = 0; i < len; i++) {
-                const p = transformedPoints[i];
-                const n = normals[i];
-                vertices.push(p.x + n.x * halfWidth, p.y + n.y * halfWidth, ...color);
-                vertices.push(p.x - n.x * halfWidth, p.y - n.y * halfWidth, ...color);
-            }
-
-            // Emit quad strip indices
-            for (let i = 1; i < len; i++) {
-                const i0 = (i - 1) * 2;
-                const i1 = i0 + 1;
-                const i2 = i * 2;
-                const i3 = i2 + 1;
-                indices.push(i0, i1, i2);
-                indices.push(i1, i3, i2);
-            }
-
-            // --- Change 3: Round joins at interior bends ---
-            // At each interior vertex where angle between segments exceeds ~5°,
-            // insert a triangle fan on the outer side spanning the angular gap.
-            const ANGLE_THRESHOLD = 0.087; // ~5 degrees in radians
-            for (let i = 1; i < len - 1; i++) {
-                const prev = transformedPoints[i - 1];
-                const curr = transformedPoints[i];
-                const next = transformedPoints[i + 1];
-
-                // Incoming and outgoing directions
-                const dInX = curr.x - prev.x, dInY = curr.y - prev.y;
-                const dOutX = next.x - curr.x, dOutY = next.y - curr.y;
-                const dInLen = Math.hypot(dInX, dInY);
-                const dOutLen = Math.hypot(dOutX, dOutY);
-                if (dInLen < 0.001 || dOutLen < 0.001) continue;
-
-                const inDirX = dInX / dInLen, inDirY = dInY / dInLen;
-                const outDirX = dOutX / dOutLen, outDirY = dOutY / dOutLen;
-
-                // Angle between incoming and outgoing
-                let dot = inDirX * outDirX + inDirY * outDirY;
-                dot = Math.max(-1, Math.min(1, dot));
-                const angle = Math.acos(dot);
-                if (angle < ANGLE_THRESHOLD) continue;
-
-                // Cross product sign determines which side is "outer"
-                const cross = inDirX * outDirY - inDirY * outDirX;
-
-                // Incoming normal (perpendicular to incoming direction)
-                let inNx = -inDirY, inNy = inDirX;
-                // Outgoing normal (perpendicular to outgoing direction)
-                let outNx = -outDirY, outNy = outDirX;
-
-                // Flip normals to outer side based on cross product
-                if (cross > 0) {
-                    inNx = -inNx; inNy = -inNy;
-                    outNx = -outNx; outNy = -outNy;
-                }
-
-                // Number of fan segments proportional to angle
-                const fanSegments = Math.max(4, Math.min(8, Math.round(angle / (Math.PI / 8))));
-
-                // Angles of the two normals
-                const startAngle = Math.atan2(inNy, inNx);
-                let endAngle = Math.atan2(outNy, outNx);
-
-                // Ensure we sweep in the correct (shorter) direction
-                let sweep = endAngle - startAngle;
-                if (cross > 0) {
-                    // For positive cross, sweep should be positive
-                    if (sweep < 0) sweep += 2 * Math.PI;
-                } else {
-                    // For negative cross, sweep should be negative
-                    if (sweep > 0) sweep -= 2 * Math.PI;
-                }
-
-                // Center vertex of the fan = the joint point
-                const centerIdx = vertices.length / 6;
-                vertices.push(curr.x, curr.y, ...color);
-
-                // Perimeter vertices
-                for (let s = 0; s <= fanSegments; s++) {
-                    const a = startAngle + (sweep * s) / fanSegments;
-                    vertices.push(
-                        curr.x + Math.cos(a) * halfWidth,
-                        curr.y + Math.sin(a) * halfWidth,
-                        ...color
-                    );
-                }
-
-                // Fan triangles
-                for (let s = 0; s < fanSegments; s++) {
-                    indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
-                }
-            }
-
-            // --- Change 2: Round caps at endpoints ---
-            const CAP_SEGMENTS = 12;
-            // Cap at the start (faces backward)
-            {
-                const p0 = transformedPoints[0];
-                const p1 = transformedPoints[1];
-                const dirX = p1.x - p0.x, dirY = p1.y - p0.y;
-                const dLen = Math.hypot(dirX, dirY);
-                // Cap faces backward (away from stroke direction)
-                let capDirX = 0, capDirY = -1;
-                if (dLen > 0.001) {
-                    capDirX = -dirX / dLen;
-                    capDirY = -dirY / dLen;
-                }
-                // Semicircle spans 180° centered on capDir
-                const capCenterAngle = Math.atan2(capDirY, capDirX);
-                const centerIdx = vertices.length / 6;
-                vertices.push(p0.x, p0.y, ...color);
-                for (let s = 0; s <= CAP_SEGMENTS; s++) {
-                    const a = capCenterAngle - Math.PI / 2 + (Math.PI * s) / CAP_SEGMENTS;
-                    vertices.push(
-                        p0.x + Math.cos(a) * halfWidth,
-                        p0.y + Math.sin(a) * halfWidth,
-                        ...color
-                    );
-                }
-                for (let s = 0; s < CAP_SEGMENTS; s++) {
-                    indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
-                }
-            }
-            // Cap at the end (faces forward)
-            {
-                const pLast = transformedPoints[len - 1];
-                const pPrev = transformedPoints[len - 2];
-                const dirX = pLast.x - pPrev.x, dirY = pLast.y - pPrev.y;
-                const dLen = Math.hypot(dirX, dirY);
-                let capDirX = 0, capDirY = 1;
-                if (dLen > 0.001) {
-                    capDirX = dirX / dLen;
-                    capDirY = dirY / dLen;
-                }
-                const capCenterAngle = Math.atan2(capDirY, capDirX);
-                const centerIdx = vertices.length / 6;
-                vertices.push(pLast.x, pLast.y, ...color);
-                for (let s = 0; s <= CAP_SEGMENTS; s++) {
-                    const a = capCenterAngle - Math.PI / 2 + (Math.PI * s) / CAP_SEGMENTS;
-                    vertices.push(
-                        pLast.x + Math.cos(a) * halfWidth,
-                        pLast.y + Math.sin(a) * halfWidth,
-                        ...color
-                    );
-                }
-                for (let s = 0; s < CAP_SEGMENTS; s++) {
-                    indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
-                }
-            }
-
-            return { vertices, indices };
-        }
-
-        tessellateShape(shape: Stroke, cameraFloor: ZoomFloor) {
-            const vertices: number[] = [];
-            const indices: number[] = [];
-            const color = this.hexToRgba(shape.color, ((shape.opacity ?? 100) / 100) * (shape.isErasing ? 0.3 : 1.0));
-            
-            const sx = shape.x ?? 0, sy = shape.y ?? 0, sw = shape.width ?? 0, sh = shape.height ?? 0;
-
-            const p1 = transformPointToFloor({ x: sx, y: sy }, shape.floorIndex || 0, cameraFloor);
-            const p2 = transformPointToFloor({ x: sx + sw, y: sy + sh }, shape.floorIndex || 0, cameraFloor);
-
-            let x = Math.min(p1.x, p2.x);
-            let y = Math.min(p1.y, p2.y);
-            let w = Math.abs(p2.x - p1.x);
-            let h = Math.abs(p2.y - p1.y);
-
-            switch (shape.type) {
-                case 'rectangle':
-                    vertices.push(x, y, ...color);
-                    vertices.push(x + w, y, ...color);
-                    vertices.push(x, y + h, ...color);
-                    vertices.push(x + w, y + h, ...color);
-                    indices.push(0, 1, 2, 1, 3, 2);
-                    break;
-                case 'circle':
-                    const cx = sx + sw / 2;
-                    const cy = sy + sh / 2;
-                    const rx = Math.abs(sw / 2);
-                    const ry = Math.abs(sh / 2);
-                    const segments = 32;
-                    vertices.push(cx, cy, ...color);
-                    
-                    for (let i = 0; i <= segments; i++) {
-                        const angle = (i / segments) * 2 * Math.PI;
-                        vertices.push(cx + Math.cos(angle) * rx, cy + Math.sin(angle) * ry, ...color);
-                        if (i > 0) {
-                            indices.push(0, i, i + 1);
-                        }
-                    }
-                    break;
-                case 'triangle':
-                    vertices.push(sx + sw / 2, sy, ...color);
-                    vertices.push(sx + sw, sy + sh, ...color);
-                    vertices.push(sx, sy + sh, ...color);
-                    indices.push(0, 1, 2);
-                    break;
-            }
-            return { vertices, indices };
-        }
-
         // --- Helper to upload a specific stroke to GPU ---
-        updateStrokeBuffers(stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number) {
+        updateStrokeBuffers(stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number, viewRect: ViewRect | null) {
             // 1. Tessellate on CPU to get data arrays
-            let data;
-            if (stroke.type === 'pen' || stroke.type === 'highlighter') {
-                data = this.tessellatePenStroke(stroke, cameraFloor, cameraScale);
-            } else {
-                data = this.tessellateShape(stroke, cameraFloor);
-            }
+            const data = tessellateStroke(stroke, cameraFloor, cameraScale, viewRect);
 
             // If no geometry, nullify and return
             if (data.vertices.length === 0 || data.indices.length === 0) {
@@ -697,7 +432,7 @@ export class WebGPURenderer {
                 vertexBuffer,
                 indexBuffer,
                 indexCount: data.indices.length,
-                floorIndex: cameraFloor.index,
+                floorId: cameraFloor.id,
                 tessellationScale: cameraScale || 1,
             };
         }
@@ -705,7 +440,7 @@ export class WebGPURenderer {
         // --- Overlay Tessellation (Lines) ---
         tessellateLasso(points: Point[], overlayVertices: number[]) {
             if (points.length < 2) return;
-            const color = this.hexToRgba(ACCENT_BLUE, 0.8);
+            const color = hexToRgba(ACCENT_BLUE, 0.8);
             for (let i = 0; i < points.length - 1; i++) {
                 overlayVertices.push(points[i].x, points[i].y, ...color);
                 overlayVertices.push(points[i + 1].x, points[i + 1].y, ...color);
@@ -714,8 +449,8 @@ export class WebGPURenderer {
             overlayVertices.push(points[0].x, points[0].y, ...color);
         }
 
-        tessellateSelectionBox(box: Box, overlayVertices: number[]) {
-            const color = this.hexToRgba(ACCENT_BLUE, 1.0);
+        tessellateSelectionBox(box: Box, cameraScale: number, overlayVertices: number[]) {
+            const color = hexToRgba(ACCENT_BLUE, 1.0);
             const x = box.x, y = box.y, w = box.width, h = box.height;
             const p1 = [x, y]; const p2 = [x + w, y];
             const p3 = [x + w, y + h]; const p4 = [x, y + h];
@@ -723,11 +458,18 @@ export class WebGPURenderer {
             overlayVertices.push(...p2, ...color, ...p3, ...color);
             overlayVertices.push(...p3, ...color, ...p4, ...color);
             overlayVertices.push(...p4, ...color, ...p1, ...color);
+
+            const { stem, ring } = getRotateHandleOutline(box, cameraScale);
+            overlayVertices.push(stem[0].x, stem[0].y, ...color, stem[1].x, stem[1].y, ...color);
+            ring.forEach((p, i) => {
+                const next = ring[(i + 1) % ring.length];
+                overlayVertices.push(p.x, p.y, ...color, next.x, next.y, ...color);
+            });
         }
 
         tessellateLaser(points: LaserPoint[], overlayVertices: number[]) {
             if (points.length < 2) return;
-            const color = this.hexToRgba(LASER_COLOR, 0.9);
+            const color = hexToRgba(LASER_COLOR, 0.9);
             for (let i = 0; i < points.length - 1; i++) {
                 overlayVertices.push(points[i].x, points[i].y, ...color);
                 overlayVertices.push(points[i + 1].x, points[i + 1].y, ...color);
@@ -755,9 +497,9 @@ export class WebGPURenderer {
             const cameraScale = viewState.scale;
             const cameraPan = viewState.panOffset;
 
-            // Store pan for use by tessellatePenStroke's view-rect computation
-            this._lastPanX = cameraPan.x;
-            this._lastPanY = cameraPan.y;
+            // Visible world rect, used by the pen tessellator's view-frustum culling
+            const dpr = window.devicePixelRatio || 1;
+            const viewRect = getViewRect(cameraPan, cameraScale, this.canvas.width / dpr, this.canvas.height / dpr);
 
             const matrix = this.buildMatrix(cameraScale, cameraPan.x, cameraPan.y);
             this.device.queue.writeBuffer(this.viewUniformBuffer!, 0, matrix.buffer);
@@ -765,90 +507,112 @@ export class WebGPURenderer {
             const commandEncoder = this.device.createCommandEncoder();
             const textureView = this.context!.getCurrentTexture().createView();
 
-            // --- Stencil-enabled render pass ---
             this.stencilRef = 0;
-
-            const passEncoder = commandEncoder.beginRenderPass({
-                colorAttachments: [{
+            const stencilAttachment = (): GPURenderPassDepthStencilAttachment => ({
+                view: this.depthStencilView!,
+                depthLoadOp: 'clear',
+                depthClearValue: 1.0,
+                depthStoreOp: 'store',
+                stencilLoadOp: 'clear',
+                stencilClearValue: 0,
+                stencilStoreOp: 'store',
+            });
+            // The first pass onto the swapchain clears it to the background
+            let swapchainLoadOp: GPULoadOp = 'clear';
+            const swapchainAttachment = (): GPURenderPassColorAttachment => {
+                const attachment: GPURenderPassColorAttachment = {
                     view: textureView,
                     clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
-                    loadOp: 'clear',
+                    loadOp: swapchainLoadOp,
                     storeOp: 'store',
-                }],
-                depthStencilAttachment: {
-                    view: this.depthStencilView!,
-                    depthLoadOp: 'clear',
-                    depthClearValue: 1.0,
-                    depthStoreOp: 'store',
-                    stencilLoadOp: 'clear',
-                    stencilClearValue: 0,
-                    stencilStoreOp: 'store',
-                },
-            });
+                };
+                swapchainLoadOp = 'load';
+                return attachment;
+            };
+            const drawStroke = (passEncoder: GPURenderPassEncoder, stroke: Stroke | TempShape) => {
+                this.stencilRef = (this.stencilRef || 0) + 1;
+                if (this.stencilRef > 255) this.stencilRef = 1;
+                passEncoder.setStencilReference(this.stencilRef);
+
+                passEncoder.setVertexBuffer(0, stroke.gpuData!.vertexBuffer);
+                passEncoder.setIndexBuffer(stroke.gpuData!.indexBuffer, 'uint32');
+                passEncoder.drawIndexed(stroke.gpuData!.indexCount, 1, 0, 0, 0);
+            };
 
-            passEncoder.setPipeline(this.pipeline!);
-            passEncoder.setBindGroup(0, this.viewBindGroup);
+            // --- Layers: strokes into the layer texture, then that onto the swapchain with the layer's opacity and blend mode ---
+            const visibleLayers = (layers || []).filter(layer => layer.isVisible && layer.opacity > 0);
+            this._ensureLayerUniformCapacity(visibleLayers.length);
+
+            visibleLayers.forEach((layer, layerIndex) => {
+                // Only strokes on screen; the index already leaves out floors too deep to draw
+                const strokes = queryStrokes(layer, cameraFloor, viewRect).filter(stroke => {
+                    // --- Zoom-aware cache invalidation ---
+                    // Re-tessellate if: no gpuData, floor changed, OR zoom changed by >1.5x
+                    let needsRetessellation = !stroke.gpuData ||
+                        stroke.gpuData.floorId !== cameraFloor.id ||
+                        !(stroke.gpuData.vertexBuffer instanceof GPUBuffer);
+
+                    if (!needsRetessellation && stroke.gpuData?.tessellationScale) {
+                        const zoomRatio = cameraScale / stroke.gpuData.tessellationScale;
+                        if (zoomRatio > 1.5 || zoomRatio < (1 / 1.5)) {
+                            needsRetessellation = true;
+                        }
+                    }
 
-            if (layers) {
-                layers.forEach(layer => {
-                    if (layer.isVisible) {
-                        (layer.strokes || []).forEach(stroke => {
-                            const floorDelta = (stroke.floorIndex || 0) - cameraFloor.index;
-                            if (floorDelta > 2) return;
-
-                            // --- Zoom-aware cache invalidation ---
-                            // Re-tessellate if: no gpuData, floor changed, OR zoom changed by >1.5x
-                            let needsRetessellation = !stroke.gpuData ||
-                                stroke.gpuData.floorIndex !== cameraFloor.index ||
-                                !(stroke.gpuData.vertexBuffer instanceof GPUBuffer);
-
-                            if (!needsRetessellation && stroke.gpuData?.tessellationScale) {
-                                const zoomRatio = cameraScale / stroke.gpuData.tessellationScale;
-                                if (zoomRatio > 1.5 || zoomRatio < (1 / 1.5)) {
-                                    needsRetessellation = true;
-                                }
-                            }
-
-                            if (needsRetessellation) {
-                                this.updateStrokeBuffers(stroke, cameraFloor, cameraScale);
-                            }
-
-                            if (stroke.gpuData && stroke.gpuData.indexCount > 0) {
-                                this.stencilRef = (this.stencilRef || 0) + 1;
-                                if (this.stencilRef > 255) this.stencilRef = 1;
-                                passEncoder.setStencilReference(this.stencilRef);
-
-                                passEncoder.setVertexBuffer(0, stroke.gpuData.vertexBuffer);
-                                passEncoder.setIndexBuffer(stroke.gpuData.indexBuffer, 'uint32');
-                                passEncoder.drawIndexed(stroke.gpuData.indexCount, 1, 0, 0, 0);
-                            }
-                        });
+                    if (needsRetessellation) {
+                        this.updateStrokeBuffers(stroke, cameraFloor, cameraScale, viewRect);
                     }
+                    return !!stroke.gpuData && stroke.gpuData.indexCount > 0;
                 });
-            }
+                if (strokes.length === 0) return;
+
+                const layerPass = commandEncoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: this.layerTextureView!,
+                        clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 0.0 },
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                    }],
+                    depthStencilAttachment: stencilAttachment(),
+                });
+                layerPass.setPipeline(this.pipeline!);
+                layerPass.setBindGroup(0, this.viewBindGroup);
+                strokes.forEach(stroke => drawStroke(layerPass, stroke));
+                layerPass.end();
+
+                this.device!.queue.writeBuffer(this.layerUniformBuffer!, layerIndex * 256, new Float32Array([layer.opacity, 0, 0, 0]));
+                const compositePass = commandEncoder.beginRenderPass({ colorAttachments: [swapchainAttachment()] });
+                compositePass.setPipeline(this.compositePipelines[layer.blendMode] || this.compositePipelines.normal!);
+                compositePass.setBindGroup(0, this.compositeBindGroup!, [layerIndex * 256]);
+                compositePass.draw(3);
+                compositePass.end();
+            });
+
+            // --- Shape being dragged out and overlays, straight onto the swapchain ---
+            const passEncoder = commandEncoder.beginRenderPass({
+                colorAttachments: [swapchainAttachment()],
+                depthStencilAttachment: stencilAttachment(),
+            });
+
+            passEncoder.setPipeline(this.pipeline!);
+            passEncoder.setBindGroup(0, this.viewBindGroup);
 
             if (tempShape) {
                 const floorDelta = (tempShape.floorIndex || 0) - cameraFloor.index;
                 if (floorDelta <= 2) {
-                    this.updateStrokeBuffers(tempShape as unknown as Stroke, cameraFloor, cameraScale);
+                    this.updateStrokeBuffers(tempShape as unknown as Stroke, cameraFloor, cameraScale, viewRect);
                     if (tempShape.gpuData && tempShape.gpuData.indexCount > 0) {
-                        this.stencilRef = (this.stencilRef || 0) + 1;
-                        if (this.stencilRef > 255) this.stencilRef = 1;
-                        passEncoder.setStencilReference(this.stencilRef);
-
-                        passEncoder.setVertexBuffer(0, tempShape.gpuData.vertexBuffer);
-                        passEncoder.setIndexBuffer(tempShape.gpuData.indexBuffer, 'uint32');
-                        passEncoder.drawIndexed(tempShape.gpuData.indexCount, 1, 0, 0, 0);
+                        drawStroke(passEncoder, tempShape);
                     }
                 }
             }
 
             // --- Draw Overlays (already in camera's own coordinate space) ---
-            // Overlays use a separate pipeline without stencil — no changes needed
+            // Overlays use a separate pipeline whose stencil always passes
             const overlayVertices: number[] = [];
             if (laserPoints) this.tessellateLaser(laserPoints, overlayVertices);
             if (lassoPoints) this.tessellateLasso(lassoPoints, overlayVertices);
-            if (selectionBox) this.tessellateSelectionBox(selectionBox, overlayVertices);
+            if (selectionBox) this.tessellateSelectionBox(selectionBox, cameraScale, overlayVertices);
 
             if (overlayVertices.length > 0) {
                 const overlayVertexData = new Float32Array(overlayVertices);
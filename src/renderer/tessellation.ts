@@ -0,0 +1,569 @@
+import { Box, Point, Stroke, StrokePoint } from '../core/types';
+import { ROTATE_HANDLE_RADIUS } from '../core/constants';
+import { ZoomFloor, transformPointToFloor } from '../canvas/zoom';
+import { getRotateHandlePosition, rotatePoint } from '../utils/math';
+
+/**
+ * Renderer-agnostic geometry generation. Everything here is a pure function of
+ * its arguments (no canvas, device or window access), so the same stroke,
+ * floor, scale and view rect always produce the same vertices and indices.
+ */
+
+/** Visible world-space rectangle in camera-floor coordinates */
+export interface ViewRect {
+    minX: number;
+    minY: number;
+    maxX: number;
+    maxY: number;
+}
+
+/** Interleaved triangle-list geometry: [x, y, r, g, b, a] per vertex */
+export interface Geometry {
+    vertices: number[];
+    indices: number[];
+}
+
+/** Floats per vertex in Geometry.vertices */
+export const VERTEX_STRIDE = 6;
+
+/**
+ * Visits every triangle of a geometry with a consistent (clockwise in y-down
+ * space) winding, so a single non-zero fill of all of them covers their union once.
+ */
+export function forEachTriangle(geometry: Geometry, fn: (ax: number, ay: number, bx: number, by: number, cx: number, cy: number) => void) {
+    const { vertices, indices } = geometry;
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const a = indices[i] * VERTEX_STRIDE;
+        let b = indices[i + 1] * VERTEX_STRIDE;
+        let c = indices[i + 2] * VERTEX_STRIDE;
+        const cross = (vertices[b] - vertices[a]) * (vertices[c + 1] - vertices[a + 1]) -
+            (vertices[b + 1] - vertices[a + 1]) * (vertices[c] - vertices[a]);
+        if (cross < 0) [b, c] = [c, b];
+        fn(vertices[a], vertices[a + 1], vertices[b], vertices[b + 1], vertices[c], vertices[c + 1]);
+    }
+}
+
+// --- Utility to convert hex color to normalized RGBA array ---
+export function hexToRgba(hex: string, opacity: number = 1.0): number[] {
+    let r = 0, g = 0, b = 0;
+    if (hex.length === 4) {
+        r = parseInt(hex[1] + hex[1], 16);
+        g = parseInt(hex[2] + hex[2], 16);
+        b = parseInt(hex[3] + hex[3], 16);
+    } else if (hex.length === 7) {
+        r = parseInt(hex.substring(1, 3), 16);
+        g = parseInt(hex.substring(3, 5), 16);
+        b = parseInt(hex.substring(5, 7), 16);
+    }
+    return [r / 255, g / 255, b / 255, opacity];
+}
+
+/** How many camera-floor units one unit of `floorIndex` spans */
+export function getFloorScale(floorIndex: number, cameraFloor: ZoomFloor): number {
+    if (floorIndex < cameraFloor.index) {
+        return Math.pow(cameraFloor.BASE, cameraFloor.index - floorIndex);
+    } else if (floorIndex > cameraFloor.index) {
+        return 1 / Math.pow(cameraFloor.BASE, floorIndex - cameraFloor.index);
+    }
+    return 1;
+}
+
+/** World-space rectangle visible through a camera of the given pan, scale and CSS-pixel size */
+export function getViewRect(panOffset: Point, scale: number, width: number, height: number): ViewRect {
+    return {
+        minX: -panOffset.x / scale,
+        minY: -panOffset.y / scale,
+        maxX: (width - panOffset.x) / scale,
+        maxY: (height - panOffset.y) / scale,
+    };
+}
+
+/** Hairline overlay of the selection's rotation handle: a stem up from the box and a ring around the handle */
+export function getRotateHandleOutline(box: Box, scale: number): { stem: Point[]; ring: Point[] } {
+    const handle = getRotateHandlePosition(box, scale);
+    const radius = ROTATE_HANDLE_RADIUS / scale;
+    const ring: Point[] = [];
+    for (let i = 0; i < 16; i++) {
+        const angle = (i / 16) * 2 * Math.PI;
+        ring.push({ x: handle.x + Math.cos(angle) * radius, y: handle.y + Math.sin(angle) * radius });
+    }
+    return { stem: [{ x: handle.x, y: box.y }, { x: handle.x, y: handle.y + radius }], ring };
+}
+
+// --- Pressure → width ---
+// Mid pressure (0.5) on a linear curve draws the nominal width; the range spans 0.25x to 1.75x
+const MIN_PRESSURE_WIDTH = 0.25;
+const MAX_PRESSURE_WIDTH = 1.75;
+
+/** Width multiplier for a sample; samples without pressure (mouse, touch) keep the nominal width */
+export function getPressureWidthFactor(pressure: number | undefined, curve: number = 1): number {
+    if (pressure === undefined) return 1;
+    const p = Math.max(0, Math.min(1, pressure));
+    return MIN_PRESSURE_WIDTH + (MAX_PRESSURE_WIDTH - MIN_PRESSURE_WIDTH) * Math.pow(p, curve);
+}
+
+// --- Catmull-Rom Spline Subdivision (Zoom-Aware + View-Frustum Culled) ---
+// screenScale: combined scale factor (cameraScale * floorEffScale) to convert world→screen px
+// viewRect: { minX, minY, maxX, maxY } visible world-space rectangle (null = subdivide all)
+// Target: each subdivided segment ≤ 3 screen pixels. Off-screen segments get 1 subdivision.
+// Pressure, when present, is interpolated linearly between the two samples of each segment.
+export function catmullRomSubdivide(points: StrokePoint[], screenScale: number, viewRect: ViewRect | null): StrokePoint[] {
+    if (points.length < 2) return points;
+
+    const TARGET_SCREEN_PX = 3;
+    // Expand view rect by a margin so we don't get edge artifacts
+    let vr = null;
+    if (viewRect) {
+        const margin = 50 / screenScale; // 50 screen px margin in world units
+        vr = {
+            minX: viewRect.minX - margin,
+            minY: viewRect.minY - margin,
+            maxX: viewRect.maxX + margin,
+            maxY: viewRect.maxY + margin,
+        };
+    }
+
+    if (points.length === 2) {
+        const d = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+        const screenDist = d * screenScale;
+        const steps = Math.max(1, Math.min(256, Math.round(screenDist / TARGET_SCREEN_PX)));
+        const result: StrokePoint[] = [];
+        for (let t = 0; t <= steps; t++) {
+            const frac = t / steps;
+            result.push(withPressure({
+                x: points[0].x + (points[1].x - points[0].x) * frac,
+                y: points[0].y + (points[1].y - points[0].y) * frac,
+            }, points[0], points[1], frac));
+        }
+        return result;
+    }
+
+    const result: StrokePoint[] = [];
+    const n = points.length;
+
+    for (let i = 0; i < n - 1; i++) {
+        const p0 = points[Math.max(0, i - 1)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(n - 1, i + 2)];
+
+        const dist = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+
+        // --- View-frustum culling per segment ---
+        // Check if the segment bounding box (P0..P3 control points) is visible
+        let isVisible = true;
+        if (vr) {
+            const segMinX = Math.min(p0.x, p1.x, p2.x, p3.x);
+            const segMaxX = Math.max(p0.x, p1.x, p2.x, p3.x);
+            const segMinY = Math.min(p0.y, p1.y, p2.y, p3.y);
+            const segMaxY = Math.max(p0.y, p1.y, p2.y, p3.y);
+            isVisible = !(segMaxX < vr.minX || segMinX > vr.maxX ||
+                segMaxY < vr.minY || segMinY > vr.maxY);
+        }
+
+        let steps;
+        if (isVisible) {
+            // Visible: subdivide at screen-space density
+            const screenDist = dist * screenScale;
+            steps = Math.max(1, Math.min(256, Math.round(screenDist / TARGET_SCREEN_PX)));
+        } else {
+            // Off-screen: minimal subdivision (just emit endpoints)
+            steps = 1;
+        }
+
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            const t2 = t * t;
+            const t3 = t2 * t;
+
+            const x = 0.5 * (
+                (2 * p1.x) +
+                (-p0.x + p2.x) * t +
+                (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
+                (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3
+            );
+            const y = 0.5 * (
+                (2 * p1.y) +
+                (-p0.y + p2.y) * t +
+                (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
+                (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3
+            );
+            result.push(withPressure({ x, y }, p1, p2, t));
+        }
+    }
+    // Always include the very last point
+    result.push(withPressure({ x: points[n - 1].x, y: points[n - 1].y }, points[n - 1], points[n - 1], 0));
+    return result;
+}
+
+// Attaches pressure interpolated between two samples, if both carry it
+function withPressure(point: Point, a: StrokePoint, b: StrokePoint, t: number): StrokePoint {
+    if (a.pressure === undefined || b.pressure === undefined) return point;
+    return { x: point.x, y: point.y, pressure: a.pressure + (b.pressure - a.pressure) * t };
+}
+
+export function tessellatePenStroke(stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number, viewRect: ViewRect | null): Geometry {
+    const vertices: number[] = [];
+    const indices: number[] = [];
+
+    const points = stroke.points;
+    if (points.length < 2) return { vertices, indices };
+
+    const rawTransformed = points.map((pt: StrokePoint): StrokePoint => {
+        const p = transformPointToFloor(pt, stroke.floorId, cameraFloor);
+        return pt.pressure === undefined ? p : { x: p.x, y: p.y, pressure: pt.pressure };
+    });
+
+    const color = hexToRgba(stroke.color, (stroke.opacity / 100) * (stroke.isErasing ? 0.3 : 1.0));
+    const effScale = getFloorScale(stroke.floorIndex, cameraFloor);
+    const actualWidth = stroke.worldWidth !== undefined ? stroke.worldWidth : (stroke.lineWidth || 1);
+    const halfWidth = (actualWidth * effScale) / 2;
+
+    // --- Zoom-aware subdivision ---
+    // Combined scale: how many screen pixels per world unit
+    const screenScale = (cameraScale || 1) * effScale;
+
+    const transformedPoints = catmullRomSubdivide(rawTransformed, screenScale, viewRect);
+
+    const len = transformedPoints.length;
+    const halfWidths = transformedPoints.map(p => halfWidth * getPressureWidthFactor(p.pressure, stroke.pressureCurve));
+
+    // --- Build quad strip (same logic, uses subdivided points) ---
+    // Precompute per-point normals
+    const normals = new Array(len);
+    for (let i = 0; i < len; i++) {
+        const p = transformedPoints[i];
+        let nx = 0, ny = 0;
+        if (i === 0) {
+            const next = transformedPoints[1];
+            nx = next.y - p.y; ny = p.x - next.x;
+        } else if (i === len - 1) {
+            const prev = transformedPoints[i - 1];
+            nx = p.y - prev.y; ny = prev.x - p.x;
+        } else {
+            const prev = transformedPoints[i - 1];
+            const next = transformedPoints[i + 1];
+            nx = -(next.y - prev.y); ny = next.x - prev.x;
+        }
+        const nLen = Math.hypot(nx, ny);
+        if (nLen > 0.001) { nx /= nLen; ny /= nLen; }
+        else { nx = 1; ny = 0; }
+        normals[i] = { x: nx, y: ny };
+    }
+
+    // Emit quad strip vertices
+    for (let i = 0; i < len; i++) {
+        const p = transformedPoints[i];
+        const n = normals[i];
+        const w = halfWidths[i];
+        vertices.push(p.x + n.x * w, p.y + n.y * w, ...color);
+        vertices.push(p.x - n.x * w, p.y - n.y * w, ...color);
+    }
+
+    // Emit quad strip indices
+    for (let i = 1; i < len; i++) {
+        const i0 = (i - 1) * 2;
+        const i1 = i0 + 1;
+        const i2 = i * 2;
+        const i3 = i2 + 1;
+        indices.push(i0, i1, i2);
+        indices.push(i1, i3, i2);
+    }
+
+    // --- Change 3: Round joins at interior bends ---
+    // At each interior vertex where angle between segments exceeds ~5°,
+    // insert a triangle fan on the outer side spanning the angular gap.
+    const ANGLE_THRESHOLD = 0.087; // ~5 degrees in radians
+    for (let i = 1; i < len - 1; i++) {
+        const prev = transformedPoints[i - 1];
+        const curr = transformedPoints[i];
+        const next = transformedPoints[i + 1];
+
+        // Incoming and outgoing directions
+        const dInX = curr.x - prev.x, dInY = curr.y - prev.y;
+        const dOutX = next.x - curr.x, dOutY = next.y - curr.y;
+        const dInLen = Math.hypot(dInX, dInY);
+        const dOutLen = Math.hypot(dOutX, dOutY);
+        if (dInLen < 0.001 || dOutLen < 0.001) continue;
+
+        const inDirX = dInX / dInLen, inDirY = dInY / dInLen;
+        const outDirX = dOutX / dOutLen, outDirY = dOutY / dOutLen;
+
+        // Angle between incoming and outgoing
+        let dot = inDirX * outDirX + inDirY * outDirY;
+        dot = Math.max(-1, Math.min(1, dot));
+        const angle = Math.acos(dot);
+        if (angle < ANGLE_THRESHOLD) continue;
+
+        // Cross product sign determines which side is "outer"
+        const cross = inDirX * outDirY - inDirY * outDirX;
+
+        // Incoming normal (perpendicular to incoming direction)
+        let inNx = -inDirY, inNy = inDirX;
+        // Outgoing normal (perpendicular to outgoing direction)
+        let outNx = -outDirY, outNy = outDirX;
+
+        // Flip normals to outer side based on cross product
+        if (cross > 0) {
+            inNx = -inNx; inNy = -inNy;
+            outNx = -outNx; outNy = -outNy;
+        }
+
+        // Number of fan segments proportional to angle
+        const fanSegments = Math.max(4, Math.min(8, Math.round(angle / (Math.PI / 8))));
+
+        // Angles of the two normals
+        const startAngle = Math.atan2(inNy, inNx);
+        let endAngle = Math.atan2(outNy, outNx);
+
+        // Ensure we sweep in the correct (shorter) direction
+        let sweep = endAngle - startAngle;
+        if (cross > 0) {
+            // For positive cross, sweep should be positive
+            if (sweep < 0) sweep += 2 * Math.PI;
+        } else {
+            // For negative cross, sweep should be negative
+            if (sweep > 0) sweep -= 2 * Math.PI;
+        }
+
+        // Center vertex of the fan = the joint point
+        const centerIdx = vertices.length / VERTEX_STRIDE;
+        vertices.push(curr.x, curr.y, ...color);
+
+        // Perimeter vertices
+        for (let s = 0; s <= fanSegments; s++) {
+            const a = startAngle + (sweep * s) / fanSegments;
+            vertices.push(
+                curr.x + Math.cos(a) * halfWidths[i],
+                curr.y + Math.sin(a) * halfWidths[i],
+                ...color
+            );
+        }
+
+        // Fan triangles
+        for (let s = 0; s < fanSegments; s++) {
+            indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
+        }
+    }
+
+    // --- Change 2: Round caps at endpoints ---
+    const CAP_SEGMENTS = 12;
+    // Cap at the start (faces backward)
+    {
+        const p0 = transformedPoints[0];
+        const p1 = transformedPoints[1];
+        const dirX = p1.x - p0.x, dirY = p1.y - p0.y;
+        const dLen = Math.hypot(dirX, dirY);
+        // Cap faces backward (away from stroke direction)
+        let capDirX = 0, capDirY = -1;
+        if (dLen > 0.001) {
+            capDirX = -dirX / dLen;
+            capDirY = -dirY / dLen;
+        }
+        // Semicircle spans 180° centered on capDir
+        const capCenterAngle = Math.atan2(capDirY, capDirX);
+        const centerIdx = vertices.length / VERTEX_STRIDE;
+        vertices.push(p0.x, p0.y, ...color);
+        for (let s = 0; s <= CAP_SEGMENTS; s++) {
+            const a = capCenterAngle - Math.PI / 2 + (Math.PI * s) / CAP_SEGMENTS;
+            vertices.push(
+                p0.x + Math.cos(a) * halfWidths[0],
+                p0.y + Math.sin(a) * halfWidths[0],
+                ...color
+            );
+        }
+        for (let s = 0; s < CAP_SEGMENTS; s++) {
+            indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
+        }
+    }
+    // Cap at the end (faces forward)
+    {
+        const pLast = transformedPoints[len - 1];
+        const pPrev = transformedPoints[len - 2];
+        const dirX = pLast.x - pPrev.x, dirY = pLast.y - pPrev.y;
+        const dLen = Math.hypot(dirX, dirY);
+        let capDirX = 0, capDirY = 1;
+        if (dLen > 0.001) {
+            capDirX = dirX / dLen;
+            capDirY = dirY / dLen;
+        }
+        const capCenterAngle = Math.atan2(capDirY, capDirX);
+        const centerIdx = vertices.length / VERTEX_STRIDE;
+        vertices.push(pLast.x, pLast.y, ...color);
+        for (let s = 0; s <= CAP_SEGMENTS; s++) {
+            const a = capCenterAngle - Math.PI / 2 + (Math.PI * s) / CAP_SEGMENTS;
+            vertices.push(
+                pLast.x + Math.cos(a) * halfWidths[len - 1],
+                pLast.y + Math.sin(a) * halfWidths[len - 1],
+                ...color
+            );
+        }
+        for (let s = 0; s < CAP_SEGMENTS; s++) {
+            indices.push(centerIdx, centerIdx + 1 + s, centerIdx + 2 + s);
+        }
+    }
+
+    return { vertices, indices };
+}
+
+// --- Shapes ---
+/** Fill opacity, relative to the shape's own, under the outline in 'both' mode */
+export const OUTLINED_FILL_ALPHA = 0.25;
+/** Outline corners whose miter would reach past this many half-widths are bevelled (SVG's default limit) */
+const MITER_LIMIT = 4;
+const CIRCLE_SEGMENTS = 32;
+
+// Convex outline of a shape in camera-floor coordinates, rotation included
+function getShapePolygon(shape: Stroke, cameraFloor: ZoomFloor): Point[] {
+    const polygon = getUnrotatedShapePolygon(shape, cameraFloor);
+    if (!shape.rotation || polygon.length === 0) return polygon;
+    // Floor transforms only scale and translate, so the box centre maps through and the angle carries over unchanged
+    const xs = polygon.map(p => p.x), ys = polygon.map(p => p.y);
+    const center = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    return polygon.map(p => rotatePoint(p, center, shape.rotation!));
+}
+
+function getUnrotatedShapePolygon(shape: Stroke, cameraFloor: ZoomFloor): Point[] {
+    const sx = shape.x ?? 0, sy = shape.y ?? 0, sw = shape.width ?? 0, sh = shape.height ?? 0;
+
+    const p1 = transformPointToFloor({ x: sx, y: sy }, shape.floorId, cameraFloor);
+    const p2 = transformPointToFloor({ x: sx + sw, y: sy + sh }, shape.floorId, cameraFloor);
+
+    const x = Math.min(p1.x, p2.x);
+    const y = Math.min(p1.y, p2.y);
+    const w = Math.abs(p2.x - p1.x);
+    const h = Math.abs(p2.y - p1.y);
+
+    switch (shape.type) {
+        case 'rectangle':
+            return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+        case 'circle': {
+            const points: Point[] = [];
+            for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+                const angle = (i / CIRCLE_SEGMENTS) * 2 * Math.PI;
+                points.push({ x: x + w / 2 + Math.cos(angle) * w / 2, y: y + h / 2 + Math.sin(angle) * h / 2 });
+            }
+            return points;
+        }
+        case 'triangle':
+            // Apex sits on the edge the drag started from, as drawn
+            return [{ x: (p1.x + p2.x) / 2, y: p1.y }, { x: p2.x, y: p2.y }, { x: p1.x, y: p2.y }];
+    }
+    return [];
+}
+
+// Triangle fan around the centroid of a convex polygon
+function fillConvexPolygon(polygon: Point[], color: number[], vertices: number[], indices: number[]) {
+    const base = vertices.length / VERTEX_STRIDE;
+    const cx = polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length;
+    const cy = polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length;
+    vertices.push(cx, cy, ...color);
+    polygon.forEach(p => vertices.push(p.x, p.y, ...color));
+    for (let i = 0; i < polygon.length; i++) {
+        indices.push(base, base + 1 + i, base + 1 + ((i + 1) % polygon.length));
+    }
+}
+
+// Band of `halfWidth` either side of a closed polygon's edges, mitered at the corners
+function strokeClosedPolygon(polygon: Point[], halfWidth: number, color: number[], vertices: number[], indices: number[]) {
+    const n = polygon.length;
+    const base = vertices.length / VERTEX_STRIDE;
+    const bevelled: boolean[] = [];
+
+    // Per corner: outer end of the incoming edge, outer start of the outgoing edge, shared inner point
+    for (let i = 0; i < n; i++) {
+        const prev = polygon[(i - 1 + n) % n], curr = polygon[i], next = polygon[(i + 1) % n];
+        const inLen = Math.hypot(curr.x - prev.x, curr.y - prev.y);
+        const outLen = Math.hypot(next.x - curr.x, next.y - curr.y);
+        const inNx = -(curr.y - prev.y) / inLen, inNy = (curr.x - prev.x) / inLen;
+        const outNx = -(next.y - curr.y) / outLen, outNy = (next.x - curr.x) / outLen;
+
+        let mx = inNx + outNx, my = inNy + outNy;
+        const mLen = Math.hypot(mx, my);
+        mx /= mLen; my /= mLen;
+        const cosHalf = mLen / 2; // cosine of half the turn
+        const miter = halfWidth / cosHalf;
+
+        // The outer side of the corner is opposite to the way the outline turns
+        const cross = (curr.x - prev.x) * (next.y - curr.y) - (curr.y - prev.y) * (next.x - curr.x);
+        const outer = cross > 0 ? -1 : 1;
+        const innerMiter = Math.min(miter, inLen, outLen);
+        const inner = { x: curr.x - outer * mx * innerMiter, y: curr.y - outer * my * innerMiter };
+
+        if (1 / cosHalf <= MITER_LIMIT) {
+            const tip = { x: curr.x + outer * mx * miter, y: curr.y + outer * my * miter };
+            vertices.push(tip.x, tip.y, ...color, tip.x, tip.y, ...color);
+            bevelled.push(false);
+        } else {
+            vertices.push(
+                curr.x + outer * inNx * halfWidth, curr.y + outer * inNy * halfWidth, ...color,
+                curr.x + outer * outNx * halfWidth, curr.y + outer * outNy * halfWidth, ...color,
+            );
+            bevelled.push(true);
+        }
+        vertices.push(inner.x, inner.y, ...color);
+    }
+
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        const outerIn = base + i * 3, outerOut = outerIn + 1, inner = outerIn + 2;
+        const nextOuterIn = base + j * 3, nextInner = nextOuterIn + 2;
+        indices.push(outerOut, inner, nextOuterIn, inner, nextInner, nextOuterIn);
+        if (bevelled[i]) indices.push(outerIn, outerOut, inner);
+    }
+}
+
+export function tessellateShape(shape: Stroke, cameraFloor: ZoomFloor): Geometry {
+    const vertices: number[] = [];
+    const indices: number[] = [];
+    const alpha = ((shape.opacity ?? 100) / 100) * (shape.isErasing ? 0.3 : 1.0);
+    const fillMode = shape.fillMode || 'fill';
+
+    const polygon = getShapePolygon(shape, cameraFloor);
+    if (polygon.length < 3) return { vertices, indices };
+
+    if (fillMode === 'fill' || fillMode === 'both') {
+        fillConvexPolygon(polygon, hexToRgba(shape.color, fillMode === 'both' ? alpha * OUTLINED_FILL_ALPHA : alpha), vertices, indices);
+    }
+
+    // A flat shape has no outline to offset; its fill (if any) is empty as well
+    const xs = polygon.map(p => p.x), ys = polygon.map(p => p.y);
+    const isFlat = Math.max(...xs) - Math.min(...xs) < 1e-9 || Math.max(...ys) - Math.min(...ys) < 1e-9;
+    if ((fillMode === 'stroke' || fillMode === 'both') && !isFlat) {
+        const actualWidth = shape.worldWidth !== undefined ? shape.worldWidth : (shape.lineWidth || 1);
+        const halfWidth = (actualWidth * getFloorScale(shape.floorIndex || 0, cameraFloor)) / 2;
+        strokeClosedPolygon(polygon, halfWidth, hexToRgba(shape.color, alpha), vertices, indices);
+    }
+    return { vertices, indices };
+}
+
+/**
+ * Splits a geometry into one run of triangles per vertex colour, for
+ * renderers that fill each path in a single colour.
+ */
+export function splitGeometryByColor(geometry: Geometry): { color: number[]; geometry: Geometry }[] {
+    const { vertices, indices } = geometry;
+    const groups: { color: number[]; geometry: Geometry }[] = [];
+    let current: { color: number[]; geometry: Geometry } | null = null;
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const v = indices[i] * VERTEX_STRIDE;
+        const matches = (c: number[]) => c[0] === vertices[v + 2] && c[1] === vertices[v + 3] && c[2] === vertices[v + 4] && c[3] === vertices[v + 5];
+        if (!current || !matches(current.color)) {
+            current = groups.find(g => matches(g.color)) || null;
+            if (!current) {
+                current = { color: vertices.slice(v + 2, v + VERTEX_STRIDE), geometry: { vertices, indices: [] } };
+                groups.push(current);
+            }
+        }
+        current.geometry.indices.push(indices[i], indices[i + 1], indices[i + 2]);
+    }
+    return groups;
+}
+
+/** Dispatches to the pen or shape tessellator for any stroke type */
+export function tessellateStroke(stroke: Stroke, cameraFloor: ZoomFloor, cameraScale: number, viewRect: ViewRect | null): Geometry {
+    if (stroke.type === 'pen' || stroke.type === 'highlighter') {
+        return tessellatePenStroke(stroke, cameraFloor, cameraScale, viewRect);
+    }
+    return tessellateShape(stroke, cameraFloor);
+}
@@ -0,0 +1,146 @@
+import { $, initIcons } from '../utils/dom';
+import { Command, collectCommands, isCommandEnabled, isCommandInView, registerCommands } from '../core/commands';
+import { formatCombo, getShortcutKeys } from '../canvas/shortcuts';
+import { getCurrentView } from './View';
+
+/** Rows shown at most; typing narrows the rest down */
+const MAX_RESULTS = 50;
+
+// Commands matching the current query, best first, and the highlighted row
+let results: Command[] = [];
+let activeIndex = 0;
+
+/**
+ * Scores `text` against a fuzzy query: every query character must appear in
+ * order. Runs of consecutive characters and matches at word starts score
+ * higher. Null when the query doesn't match.
+ */
+function fuzzyScore(query: string, text: string): number | null {
+    const t = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const ch of query.toLowerCase().replace(/\s+/g, '')) {
+        const i = t.indexOf(ch, from);
+        if (i < 0) return null;
+        score += 1;
+        if (i === previous + 1) score += 2;
+        if (i === 0 || /[\s:·-]/.test(t[i - 1])) score += 3;
+        score -= (i - from) * 0.05;
+        previous = i;
+        from = i + 1;
+    }
+    return score;
+}
+
+function findCommands(query: string): Command[] {
+    const view = getCurrentView();
+    // Held-key commands only make sense on a key
+    const candidates = collectCommands().filter(c => c.id !== 'command-palette' && !c.release && isCommandInView(c, view));
+    if (!query.trim()) return candidates.slice(0, MAX_RESULTS);
+
+    return candidates
+        .map((command, order) => {
+            const labelScore = fuzzyScore(query, command.label);
+            // The group name helps too ("layers hide"), but a hit on the label alone ranks first
+            const score = labelScore ?? ((fuzzyScore(query, `${command.group} ${command.label}`) ?? -Infinity) - 5);
+            return { command, score, order };
+        })
+        .filter(r => r.score > -Infinity)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, MAX_RESULTS)
+        .map(r => r.command);
+}
+
+function renderResults() {
+    const listEl = $('#command-palette-list');
+    if (!listEl) return;
+    listEl.innerHTML = results.length === 0
+        ? `<li class="px-3 py-2 text-sm text-secondary">No matching commands.</li>`
+        : results.map((command, i) => {
+            const keys = getShortcutKeys(command.id);
+            const enabled = isCommandEnabled(command);
+            return `
+                <li class="palette-item flex items-center gap-3 px-3 py-2 rounded-md cursor-pointer ${i === activeIndex ? 'bg-white/10' : ''} ${enabled ? '' : 'opacity-50'}" data-index="${i}">
+                    <i data-lucide="${command.icon || 'chevron-right'}" class="w-4 h-4 text-secondary shrink-0"></i>
+                    <span class="palette-label grow text-sm truncate"></span>
+                    <span class="text-xs text-secondary shrink-0">${command.group}</span>
+                    ${keys.length > 0 ? `<kbd class="text-xs text-secondary border border-border rounded px-1.5 py-0.5 shrink-0">${formatCombo(keys[0])}</kbd>` : ''}
+                </li>`;
+        }).join('');
+    // Labels can contain card, layer and view names, so they go in as text
+    listEl.querySelectorAll<HTMLElement>('.palette-label').forEach((el, i) => { el.textContent = results[i].label; });
+    listEl.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+    initIcons();
+}
+
+function updateResults() {
+    results = findCommands($<HTMLInputElement>('#command-palette-input')?.value || '');
+    activeIndex = 0;
+    renderResults();
+}
+
+export function openCommandPalette() {
+    const palette = $('#command-palette');
+    const input = $<HTMLInputElement>('#command-palette-input');
+    if (!palette || !input) return;
+    palette.classList.remove('hidden');
+    palette.classList.add('flex');
+    input.value = '';
+    updateResults();
+    input.focus();
+}
+
+function closeCommandPalette() {
+    const palette = $('#command-palette');
+    palette?.classList.remove('flex');
+    palette?.classList.add('hidden');
+    $<HTMLInputElement>('#command-palette-input')?.blur();
+}
+
+function runResult(index: number) {
+    const command = results[index];
+    if (!command || !isCommandEnabled(command)) return;
+    // Close first: the command may open a dialog or move focus
+    closeCommandPalette();
+    command.run();
+}
+
+export function initCommandPalette() {
+    const palette = $('#command-palette');
+    const input = $<HTMLInputElement>('#command-palette-input');
+    if (!palette || !input) return;
+
+    registerCommands([
+        { id: 'command-palette', label: 'Command Palette', group: 'General', icon: 'command', defaultKeys: ['Mod+K'], run: openCommandPalette },
+    ]);
+
+    input.addEventListener('input', updateResults);
+    input.addEventListener('keydown', (e: KeyboardEvent) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length === 0) return;
+            activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+            renderResults();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runResult(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCommandPalette();
+        }
+    });
+    // Clicking outside, or leaving the window, dismisses it
+    input.addEventListener('blur', closeCommandPalette);
+
+    // Keep focus in the input so a click inside the palette doesn't dismiss it
+    palette.addEventListener('mousedown', (e: MouseEvent) => {
+        if (e.target !== palette) e.preventDefault();
+    });
+    palette.addEventListener('click', (e: MouseEvent) => {
+        // Panels and popups close on outside clicks; this one must not reach them and close what the command opens
+        e.stopPropagation();
+        const item = (e.target as HTMLElement).closest<HTMLElement>('.palette-item');
+        if (item) runResult(+(item.dataset.index || 0));
+    });
+}
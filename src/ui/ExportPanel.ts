@@ -0,0 +1,157 @@
+import { $, downloadBlob, initIcons, toFileName } from '../utils/dom';
+import { getActiveCardCanvasState, getCurrentOpenCardId, findCardById, isReviewMaskingOn, viewState } from '../core/store';
+import { exportPng, ExportRegion } from '../export/png';
+import { exportSvg } from '../export/svg';
+import { exportPdf } from '../export/pdf';
+import { deleteSavedView, getFloorLabel, getSavedViews, goToSavedView, saveCurrentView } from '../canvas/views';
+import { Modal } from './Modal';
+
+function hideExportPanel() {
+    const panel = $('#export-panel');
+    panel?.classList.remove('flex');
+    panel?.classList.add('hidden');
+}
+
+/** Exports draw every layer, so they wait while a review is hiding some; shows why when it is */
+function isExportBlockedByReview(): boolean {
+    if (!isReviewMaskingOn()) return false;
+    Modal.confirm('Cannot Export', 'Reveal the layers hidden for this review to export the card.').then(() => { });
+    return true;
+}
+
+/** File name stem for exports of the open card */
+export function getExportFileStem(): string {
+    const cardId = getCurrentOpenCardId();
+    const { card } = cardId ? findCardById(cardId) : { card: null };
+    return toFileName(card?.title || '', 'canvas');
+}
+
+export async function handleExportPng() {
+    const canvasData = getActiveCardCanvasState();
+    const canvas = $<HTMLCanvasElement>('#canvas');
+    if (!canvasData || !canvas || isExportBlockedByReview()) return;
+
+    const region = ($<HTMLSelectElement>('#export-region')?.value || 'viewport') as ExportRegion;
+    const resolution = Math.max(64, Math.min(8192, +($<HTMLInputElement>('#export-resolution')?.value || 1920)));
+    const pixelRatio = +($<HTMLSelectElement>('#export-pixel-ratio')?.value || 1);
+
+    try {
+        const blob = await exportPng(canvasData, viewState, canvas.clientWidth, canvas.clientHeight, { region, resolution, pixelRatio });
+        if (!blob) {
+            Modal.confirm('Nothing to Export', 'This card has no visible content yet.').then(() => { });
+            return;
+        }
+        downloadBlob(blob, `${getExportFileStem()}.png`);
+        hideExportPanel();
+    } catch (err) {
+        console.error("PNG export failed:", err);
+        Modal.confirm('Export Failed', 'The image could not be created.').then(() => { });
+    }
+}
+
+function populateFloorSelect() {
+    const select = $<HTMLSelectElement>('#export-floor');
+    if (!select) return;
+    select.innerHTML = viewState.currentFloor.getAllFloors().map(floor =>
+        `<option value="${floor.id}" ${floor === viewState.currentFloor ? 'selected' : ''}>${getFloorLabel(floor)}</option>`
+    ).join('');
+}
+
+export function handleExportSvg() {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData || isExportBlockedByReview()) return;
+
+    const floorId = +($<HTMLSelectElement>('#export-floor')?.value ?? viewState.currentFloor.id);
+    const floor = viewState.currentFloor.findById(floorId) || viewState.currentFloor;
+    const svg = exportSvg(canvasData.layers, floor);
+    if (!svg) {
+        Modal.confirm('Nothing to Export', 'No visible strokes are large enough to show on this floor.').then(() => { });
+        return;
+    }
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${getExportFileStem()}-floor${floor.index}.svg`);
+    hideExportPanel();
+}
+
+function renderSavedViews() {
+    const listEl = $('#saved-views-list');
+    if (!listEl) return;
+    const views = getSavedViews();
+    listEl.innerHTML = views.length === 0
+        ? `<li class="text-xs text-secondary">No saved views yet.</li>`
+        : views.map(view => `
+            <li class="saved-view-item flex items-center gap-2 px-2 py-1 rounded-md bg-column cursor-pointer hover:bg-white/5" data-view-id="${view.id}" title="Go to this view">
+                <span class="view-name grow text-sm truncate"></span>
+                <span class="text-xs text-secondary">F${view.floorIndex}</span>
+                <button class="bg-none border-none p-1 cursor-pointer delete-view-btn" title="Delete View"><i data-lucide="trash" class="w-3.5 h-3.5 text-secondary hover:text-red"></i></button>
+            </li>
+        `).join('');
+    // Names are user text, so they go in as text rather than markup
+    listEl.querySelectorAll<HTMLElement>('.view-name').forEach((el, i) => { el.textContent = views[i].name; });
+    initIcons();
+}
+
+export async function handleSaveView() {
+    const name = await Modal.prompt('Name this view', `View ${getSavedViews().length + 1}`);
+    if (name === null) return;
+    saveCurrentView(name);
+    renderSavedViews();
+}
+
+export async function handleExportPdf() {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData || isExportBlockedByReview()) return;
+
+    try {
+        const blob = await exportPdf(canvasData, viewState.currentFloor);
+        if (!blob) {
+            Modal.confirm('Nothing to Export', 'This card has no content and no saved views yet.').then(() => { });
+            return;
+        }
+        downloadBlob(blob, `${getExportFileStem()}.pdf`);
+        hideExportPanel();
+    } catch (err) {
+        console.error("PDF export failed:", err);
+        Modal.confirm('Export Failed', 'The PDF could not be created.').then(() => { });
+    }
+}
+
+export function initExportPanel() {
+    const panel = $('#export-panel');
+    if (!panel) return;
+
+    $('#export-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (panel.classList.contains('hidden')) {
+            populateFloorSelect();
+            renderSavedViews();
+        }
+        panel.classList.toggle('hidden');
+        panel.classList.toggle('flex');
+    });
+
+    $('#export-png-btn')?.addEventListener('click', handleExportPng);
+    $('#export-svg-btn')?.addEventListener('click', handleExportSvg);
+    $('#export-pdf-btn')?.addEventListener('click', handleExportPdf);
+    $('#save-view-btn')?.addEventListener('click', handleSaveView);
+
+    $('#saved-views-list')?.addEventListener('click', (e) => {
+        const target = e.target as HTMLElement;
+        const item = target.closest<HTMLElement>('.saved-view-item');
+        if (!item) return;
+        const viewId = parseFloat(item.dataset.viewId || '0');
+        if (target.closest('.delete-view-btn')) {
+            deleteSavedView(viewId);
+            renderSavedViews();
+            return;
+        }
+        const view = getSavedViews().find(v => v.id === viewId);
+        if (view) goToSavedView(view);
+    });
+
+    document.addEventListener('click', (e: Event) => {
+        const target = e.target as HTMLElement;
+        if (panel.classList.contains('flex') && !panel.contains(target) && !target.closest('#export-btn') && !target.closest('#custom-modal')) {
+            hideExportPanel();
+        }
+    });
+}
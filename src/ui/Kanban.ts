@@ -1,10 +1,14 @@
-import { $, $$ } from '../utils/dom';
-import { KanbanCard, KanbanColumn } from '../core/types';
+import { $, $$, downloadBlob, pickFile, toFileName } from '../utils/dom';
+import { KanbanCard, KanbanColumn, ReviewGrade } from '../core/types';
 import { getUniqueId } from '../utils/math';
-import { getAppData, saveData, getSessionHistory, setCurrentOpenCardId, createDefaultCanvasState, findCardById } from '../core/store';
+import { getAppData, saveData, getSessionHistory, setCurrentOpenCardId, createDefaultCanvasState, findCardById, markCardChanged } from '../core/store';
 import { Modal } from './Modal';
 import { initIcons } from '../utils/dom';
 import { switchView } from './View.ts';
+import { serializeCard, serializeBoard, parsePortableFile, applyImport } from '../core/portable';
+import { createCardReview, getDaysUntilDue, getDueStatus, isValidInterval, recordReview, scheduleCard, setColumnInterval } from '../core/scheduling';
+import { Command, registerCommandProvider, registerCommands } from '../core/commands';
+import { getDueCards, startReview } from './ReviewSession';
 
 export function renderRevisionsBoard() {
     const view = $('#revisions-view');
@@ -12,21 +16,32 @@ export function renderRevisionsBoard() {
     
     const scrollLeft = view.querySelector('.board-columns')?.scrollLeft;
     const appData = getAppData();
+    const dueCount = getDueCards().length;
 
     view.innerHTML = `
         <div class="flex flex-col w-full h-full">
             <div class="flex justify-center items-center px-6 py-4 shrink-0 relative text-center">
-                <h1 class="text-base font-semibold m-0">${appData.revisions.title}</h1>
-                <button class="add-column-btn absolute right-6 top-1/2 -translate-y-1/2 bg-panel border border-border text-primary px-4 py-2 rounded-lg cursor-pointer transition-all duration-200 font-medium hover:bg-[#27272a]">+ Add Column</button>
+                <div class="absolute left-6 top-1/2 -translate-y-1/2 flex gap-2">
+                    <button class="import-btn bg-panel border border-border text-primary px-4 py-2 rounded-lg cursor-pointer transition-all duration-200 font-medium flex items-center gap-2 hover:bg-[#27272a]" title="Import a card or board file"><i data-lucide="upload" class="w-4 h-4"></i>Import</button>
+                    <button class="export-board-btn bg-panel border border-border text-primary px-4 py-2 rounded-lg cursor-pointer transition-all duration-200 font-medium flex items-center gap-2 hover:bg-[#27272a]" title="Export the whole board"><i data-lucide="download" class="w-4 h-4"></i>Export Board</button>
+                </div>
+                <h1 class="board-title text-base font-semibold m-0"></h1>
+                <div class="absolute right-6 top-1/2 -translate-y-1/2 flex gap-2">
+                    <button class="start-review-btn bg-panel border border-border text-primary px-4 py-2 rounded-lg cursor-pointer transition-all duration-200 font-medium flex items-center gap-2 hover:bg-[#27272a]" title="Review every card due today"><i data-lucide="graduation-cap" class="w-4 h-4"></i>Start Review${dueCount > 0 ? ` <span class="bg-red text-white text-xs rounded-full px-1.5">${dueCount}</span>` : ''}</button>
+                    <button class="add-column-btn bg-panel border border-border text-primary px-4 py-2 rounded-lg cursor-pointer transition-all duration-200 font-medium hover:bg-[#27272a]">+ Add Column</button>
+                </div>
             </div>
             <div class="board-columns flex gap-4 grow px-6 pb-6 overflow-x-auto touch-pan-x" style="-webkit-overflow-scrolling: touch;">
                 ${appData.revisions.columns.map(col => `
                     <div class="board-column flex flex-col shrink-0 w-[320px] bg-column border border-border rounded-xl h-full box-border transition-transform duration-200" data-col-id="${col.id}">
                         <div class="column-header flex justify-between items-center p-1.5 px-2 font-semibold cursor-grab relative select-none border-b border-border touch-none transition-opacity duration-200 active:cursor-grabbing">
-                            <span class="grow pl-2">${col.title}</span>
+                            <span class="column-title grow pl-2"></span>
+                            ${col.intervalDays !== null ? `<span class="text-xs font-normal text-secondary pr-1" title="Review Interval">${formatInterval(col.intervalDays)}</span>` : ''}
                             <div class="relative">
                                 <button class="column-menu-btn bg-none border-none text-secondary cursor-pointer p-1 rounded-md flex items-center justify-center hover:bg-white/10 hover:text-primary"><i data-lucide="more-horizontal" class="w-5 h-5"></i></button>
-                                <div class="column-menu-popup absolute top-full right-0 bg-panel border border-border rounded-lg shadow-[0_4px_12px_rgba(0,0,0,0.4)] z-10 flex flex-col p-1 w-[120px] scale-95 opacity-0 pointer-events-none transition-all duration-100">
+                                <div class="column-menu-popup absolute top-full right-0 bg-panel border border-border rounded-lg shadow-[0_4px_12px_rgba(0,0,0,0.4)] z-10 flex flex-col p-1 w-[170px] scale-95 opacity-0 pointer-events-none transition-all duration-100">
+                                    <button class="import-card-btn bg-none border-none text-primary p-2 text-left text-sm rounded-md cursor-pointer flex items-center gap-2 hover:bg-white/10 w-full"><i data-lucide="upload" class="w-4 h-4"></i>Import Card</button>
+                                    <button class="column-interval-btn bg-none border-none text-primary p-2 text-left text-sm rounded-md cursor-pointer flex items-center gap-2 hover:bg-white/10 w-full"><i data-lucide="calendar-clock" class="w-4 h-4"></i>Review Interval</button>
                                     <button class="rename-column-btn bg-none border-none text-primary p-2 text-left text-sm rounded-md cursor-pointer flex items-center gap-2 hover:bg-white/10 w-full"><i data-lucide="edit-2" class="w-4 h-4"></i>Rename</button>
                                     <button class="delete-column-btn bg-none border-none text-red p-2 text-left text-sm rounded-md cursor-pointer flex items-center gap-2 hover:bg-white/10 w-full"><i data-lucide="trash" class="w-4 h-4"></i>Delete</button>
                                 </div>
@@ -39,23 +54,190 @@ export function renderRevisionsBoard() {
             </div>
         </div>`;
 
+    // Titles can come from imported files, so they go in as text
+    view.querySelector<HTMLElement>('.board-title')!.textContent = appData.revisions.title;
+    const columns = appData.revisions.columns;
+    view.querySelectorAll<HTMLElement>('.column-title').forEach((el, i) => { el.textContent = columns[i].title; });
+    const cards = columns.flatMap(col => col.cards);
+    view.querySelectorAll<HTMLElement>('.card-title').forEach((el, i) => { el.textContent = cards[i].title; });
+
     if (scrollLeft) view.querySelector<HTMLElement>('.board-columns')!.scrollLeft = scrollLeft;
 
     addBoardEventListeners();
     initIcons();
 }
 
+function formatInterval(days: number): string {
+    if (days === 0) return 'Same day';
+    return days % 7 === 0 ? `${days / 7}w` : `${days}d`;
+}
+
+/** Due date relative to today, or '' for a card that isn't scheduled */
+function formatDue(card: KanbanCard): string {
+    const days = getDaysUntilDue(card);
+    if (days === null) return '';
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    if (days > 1) return `Due in ${days} days`;
+    return days === -1 ? 'Overdue by 1 day' : `Overdue by ${-days} days`;
+}
+
 function renderCard(card: KanbanCard) {
-    return `<div class="card group relative bg-panel border border-border rounded-lg p-4 mb-2 cursor-grab select-none touch-none transition-transform duration-200 hover:border-purple active:cursor-grabbing active:border-pink" data-card-id="${card.id}">
-                <h3 class="m-0 mb-1 text-base font-medium">${card.title}</h3>
+    const status = getDueStatus(card);
+    const dueClass = status === 'overdue' ? 'text-red font-medium' : status === 'due' ? 'text-blue font-medium' : 'text-secondary';
+    return `<div class="card group relative bg-panel border ${status === 'overdue' ? 'border-red' : 'border-border'} rounded-lg p-4 mb-2 cursor-grab select-none touch-none transition-transform duration-200 hover:border-purple active:cursor-grabbing active:border-pink" data-card-id="${card.id}">
+                <h3 class="card-title m-0 mb-1 text-base font-medium"></h3>
+                ${status !== 'unscheduled' ? `<span class="flex items-center gap-1 text-xs ${dueClass}"><i data-lucide="${status === 'overdue' ? 'alarm-clock' : 'calendar'}" class="w-3.5 h-3.5"></i>${formatDue(card)}</span>` : ''}
                 <div class="hidden absolute top-2 right-2 bg-panel border border-border rounded-md overflow-hidden group-hover:flex items-center">
+                    <div class="review-pass action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-primary" title="Recalled: Move to Next Column"><i data-lucide="check" class="w-4 h-4"></i></div>
+                    <div class="review-fail action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-primary" title="Forgot: Move Back a Column"><i data-lucide="rotate-ccw" class="w-4 h-4"></i></div>
                     <div class="open-canvas action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-primary" title="Open in Canvas"><i data-lucide="arrow-up-right" class="w-4 h-4"></i></div>
+                    <div class="export-card action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-primary" title="Export Card"><i data-lucide="download" class="w-4 h-4"></i></div>
                     <div class="rename-card action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-primary" title="Rename Card"><i data-lucide="edit-2" class="w-4 h-4"></i></div>
                     <div class="delete-card action-btn text-secondary p-1 flex items-center justify-center cursor-pointer hover:bg-white/10 hover:text-red" title="Delete Card"><i data-lucide="x" class="w-4 h-4"></i></div>
                 </div>
             </div>`;
 }
 
+// --- Board actions, shared by the board's buttons and the command palette ---
+
+export async function addColumn() {
+    const title = await Modal.prompt('Enter new column name:');
+    if (title?.trim()) {
+        getAppData().revisions.columns.push({ id: getUniqueId(), title: title.trim(), intervalDays: null, cards: [] });
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+export async function deleteColumn(colId: number) {
+    const appData = getAppData();
+    const column = appData.revisions.columns.find(c => c.id === colId);
+    if (column && await Modal.confirm('Delete Column?', `Are you sure you want to delete "${column.title}" and all its cards?`)) {
+        appData.revisions.columns = appData.revisions.columns.filter(c => c.id !== colId);
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+export async function renameColumn(colId: number) {
+    const column = getAppData().revisions.columns.find(c => c.id === colId);
+    const newTitle = column ? await Modal.prompt('Enter new column name:', column.title) : null;
+    if (column && newTitle?.trim()) {
+        column.title = newTitle.trim();
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+/** Asks for the days until a card placed in the column is due; empty means no reviews */
+export async function setColumnReviewInterval(colId: number) {
+    const column = getAppData().revisions.columns.find(c => c.id === colId);
+    if (!column) return;
+    const input = await Modal.prompt('Review interval in days (empty for none):', column.intervalDays === null ? '' : String(column.intervalDays));
+    if (input === null) return;
+    const intervalDays = input.trim() === '' ? null : Number(input.trim());
+    if (!isValidInterval(intervalDays)) {
+        Modal.confirm('Invalid Interval', 'Enter a whole number of days, or leave it empty for a column without reviews.').then(() => { });
+        return;
+    }
+    setColumnInterval(column, intervalDays);
+    column.cards.forEach(card => markCardChanged(card.id));
+    saveData(); renderRevisionsBoard();
+}
+
+export async function addCard(colId: number) {
+    const title = await Modal.prompt('Enter card name:');
+    if (title?.trim()) {
+        const column = getAppData().revisions.columns.find(c => c.id === colId);
+        if (column) {
+            const newCard = { id: getUniqueId(), title: title.trim(), canvasState: createDefaultCanvasState(), review: createCardReview() };
+            scheduleCard(newCard, column);
+            column.cards.push(newCard);
+            getSessionHistory()[newCard.id] = { history: [], historyIndex: -1 };
+            saveData(); renderRevisionsBoard();
+        }
+    }
+}
+
+export async function deleteCard(cardId: number) {
+    if (await Modal.confirm('Delete Card?', 'This action cannot be undone.')) {
+        getAppData().revisions.columns.forEach(c => { c.cards = c.cards.filter(crd => crd.id !== cardId) });
+        delete getSessionHistory()[cardId];
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+export async function renameCard(cardId: number) {
+    const { card } = findCardById(cardId);
+    if (!card) return;
+    const newTitle = await Modal.prompt('Enter new card name:', card.title);
+    if (newTitle?.trim()) {
+        card.title = newTitle.trim();
+        markCardChanged(cardId);
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+/** Records a review outside a session: 'good' moves the card to the next column, 'again' back a column */
+export function reviewCard(cardId: number, grade: ReviewGrade) {
+    if (recordReview(getAppData().revisions.columns, cardId, grade)) {
+        markCardChanged(cardId);
+        saveData(); renderRevisionsBoard();
+    }
+}
+
+export function openCard(cardId: number) {
+    setCurrentOpenCardId(cardId);
+    switchView('canvas');
+}
+
+export function exportCard(cardId: number) {
+    const { card } = findCardById(cardId);
+    if (card) {
+        downloadBlob(new Blob([serializeCard(card)], { type: 'application/json' }), `${toFileName(card.title, 'card')}.dalim.json`);
+    }
+}
+
+export function exportBoard() {
+    downloadBlob(new Blob([serializeBoard()], { type: 'application/json' }), `${toFileName(getAppData().revisions.title, 'board')}.dalim.json`);
+}
+
+/** Imports a card or board file; cards go into `colId`, or the first column */
+export async function importFile(colId?: number) {
+    const file = await pickFile('.json,application/json');
+    if (!file) return;
+    try {
+        applyImport(parsePortableFile(await file.text()), colId);
+        renderRevisionsBoard();
+    } catch (err) {
+        console.error("Failed to import file:", err);
+        Modal.confirm('Import Failed', err instanceof Error ? err.message : 'The file could not be imported.').then(() => { });
+    }
+}
+
+/** Adds the board commands to the registry; call once at start-up */
+export function registerBoardCommands() {
+    registerCommands([
+        { id: 'board-add-column', label: 'New Column', group: 'Board', view: 'revisions', icon: 'plus', run: addColumn },
+        { id: 'board-export', label: 'Export Board', group: 'Board', view: 'revisions', icon: 'download', run: exportBoard },
+        { id: 'board-import', label: 'Import Card or Board', group: 'Board', view: 'revisions', icon: 'upload', run: () => importFile() },
+    ]);
+
+    // Per-column and per-card entries
+    registerCommandProvider(() => getAppData().revisions.columns.flatMap((col): Command[] => [
+        { id: `column-add-card:${col.id}`, label: `New Card in ${col.title}`, group: 'Columns', view: 'revisions', icon: 'plus', run: () => addCard(col.id) },
+        { id: `column-interval:${col.id}`, label: `Set Review Interval: ${col.title}`, group: 'Columns', view: 'revisions', icon: 'calendar-clock', run: () => setColumnReviewInterval(col.id) },
+        { id: `column-rename:${col.id}`, label: `Rename Column: ${col.title}`, group: 'Columns', view: 'revisions', icon: 'edit-2', run: () => renameColumn(col.id) },
+        { id: `column-delete:${col.id}`, label: `Delete Column: ${col.title}`, group: 'Columns', view: 'revisions', icon: 'trash', run: () => deleteColumn(col.id) },
+        ...col.cards.flatMap((card): Command[] => [
+            { id: `card-open:${card.id}`, label: `Open Card: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'arrow-up-right', run: () => openCard(card.id) },
+            { id: `card-review-pass:${card.id}`, label: `Mark Recalled: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'check', run: () => reviewCard(card.id, 'good') },
+            { id: `card-review-fail:${card.id}`, label: `Mark Forgotten: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'rotate-ccw', run: () => reviewCard(card.id, 'again') },
+            { id: `card-rename:${card.id}`, label: `Rename Card: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'edit-2', run: () => renameCard(card.id) },
+            { id: `card-export:${card.id}`, label: `Export Card: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'download', run: () => exportCard(card.id) },
+            { id: `card-delete:${card.id}`, label: `Delete Card: ${card.title}`, group: 'Cards', view: 'revisions', icon: 'x', run: () => deleteCard(card.id) },
+        ]),
+    ]));
+}
+
 function getDragAfterElement(container: HTMLElement, coordinate: number, selector: string): Element | null {
     const isHorizontal = container.classList.contains('board-columns');
     const draggableElements = [...container.querySelectorAll(selector)];
@@ -81,9 +263,8 @@ function addBoardEventListeners() {
     }
     let dragState: DragState = {};
     const appData = getAppData();
-    const sessionHistory = getSessionHistory();
 
-    view.addEventListener('click', async (e: Event) => {
+    view.addEventListener('click', (e: Event) => {
         const target = e.target as HTMLElement;
         const menuBtn = target.closest<HTMLElement>('.column-menu-btn');
         if (menuBtn) {
@@ -118,69 +299,38 @@ function addBoardEventListeners() {
         }
 
         const addColumnBtn = target.closest<HTMLElement>('.add-column-btn');
+        const startReviewBtn = target.closest<HTMLElement>('.start-review-btn');
         const deleteColumnBtn = target.closest<HTMLElement>('.delete-column-btn');
         const renameColumnBtn = target.closest<HTMLElement>('.rename-column-btn');
+        const intervalColumnBtn = target.closest<HTMLElement>('.column-interval-btn');
         const columnFooter = target.closest<HTMLElement>('.column-footer');
         const deleteCardBtn = target.closest<HTMLElement>('.delete-card');
         const renameCardBtn = target.closest<HTMLElement>('.rename-card');
         const openCanvasBtn = target.closest<HTMLElement>('.open-canvas');
+        const reviewPassBtn = target.closest<HTMLElement>('.review-pass');
+        const reviewFailBtn = target.closest<HTMLElement>('.review-fail');
+        const exportCardBtn = target.closest<HTMLElement>('.export-card');
+        const exportBoardBtn = target.closest<HTMLElement>('.export-board-btn');
+        const importBtn = target.closest<HTMLElement>('.import-btn');
+        const importCardBtn = target.closest<HTMLElement>('.import-card-btn');
 
-        if (addColumnBtn) {
-            const title = await Modal.prompt('Enter new column name:');
-            if (title?.trim()) {
-                appData.revisions.columns.push({ id: getUniqueId(), title: title.trim(), cards: [] });
-                saveData(); renderRevisionsBoard();
-            }
-        } else if (deleteColumnBtn) {
-            const colId = parseFloat(deleteColumnBtn.closest<HTMLElement>('.board-column')!.dataset.colId!);
-            const column = appData.revisions.columns.find(c => c.id === colId);
-            if (column && await Modal.confirm('Delete Column?', `Are you sure you want to delete "${column.title}" and all its cards?`)) {
-                appData.revisions.columns = appData.revisions.columns.filter(c => c.id !== colId);
-                saveData(); renderRevisionsBoard();
-            }
-        } else if (renameColumnBtn) {
-            const colId = parseFloat(renameColumnBtn.closest<HTMLElement>('.board-column')!.dataset.colId!);
-            const column = appData.revisions.columns.find(c => c.id === colId);
-            const newTitle = column ? await Modal.prompt('Enter new column name:', column.title) : null;
-            if (column && newTitle?.trim()) {
-                column.title = newTitle.trim();
-                saveData(); renderRevisionsBoard();
-            }
-        } else if (columnFooter) {
-            const title = await Modal.prompt('Enter card name:');
-            if (title?.trim()) {
-                const colId = parseFloat(columnFooter.dataset.colId!);
-                const column = appData.revisions.columns.find(c => c.id === colId);
-                if (column) {
-                    const newCard = { id: getUniqueId(), title: title.trim(), canvasState: createDefaultCanvasState() };
-                    column.cards.push(newCard);
-                    sessionHistory[newCard.id] = { history: [], historyIndex: -1 };
-                    saveData(); renderRevisionsBoard();
-                }
-            }
-        } else if (deleteCardBtn) {
-            if (await Modal.confirm('Delete Card?', 'This action cannot be undone.')) {
-                const cardId = parseFloat(deleteCardBtn.closest<HTMLElement>('.card')!.dataset.cardId!);
-                appData.revisions.columns.forEach(c => { c.cards = c.cards.filter(crd => crd.id !== cardId) });
-                delete sessionHistory[cardId];
-                saveData(); renderRevisionsBoard();
-            }
-        } else if (renameCardBtn) {
-            const cardId = parseFloat(renameCardBtn.closest<HTMLElement>('.card')!.dataset.cardId!);
-            let cardRef: KanbanCard | null = null;
-            appData.revisions.columns.forEach(c => c.cards.forEach(crd => { if (crd.id === cardId) cardRef = crd; }));
-
-            if (cardRef) {
-                const newTitle = await Modal.prompt('Enter new card name:', (cardRef as KanbanCard).title);
-                if (newTitle?.trim()) {
-                    (cardRef as KanbanCard).title = newTitle.trim();
-                    saveData(); renderRevisionsBoard();
-                }
-            }
-        } else if (openCanvasBtn) {
-            setCurrentOpenCardId(parseFloat(openCanvasBtn.closest<HTMLElement>('.card')!.dataset.cardId!));
-            switchView('canvas');
-        }
+        const colIdOf = (el: HTMLElement) => parseFloat(el.closest<HTMLElement>('.board-column')!.dataset.colId!);
+        const cardIdOf = (el: HTMLElement) => parseFloat(el.closest<HTMLElement>('.card')!.dataset.cardId!);
+
+        if (addColumnBtn) addColumn();
+        else if (startReviewBtn) startReview();
+        else if (deleteColumnBtn) deleteColumn(colIdOf(deleteColumnBtn));
+        else if (renameColumnBtn) renameColumn(colIdOf(renameColumnBtn));
+        else if (intervalColumnBtn) setColumnReviewInterval(colIdOf(intervalColumnBtn));
+        else if (columnFooter) addCard(parseFloat(columnFooter.dataset.colId!));
+        else if (deleteCardBtn) deleteCard(cardIdOf(deleteCardBtn));
+        else if (renameCardBtn) renameCard(cardIdOf(renameCardBtn));
+        else if (openCanvasBtn) openCard(cardIdOf(openCanvasBtn));
+        else if (reviewPassBtn) reviewCard(cardIdOf(reviewPassBtn), 'good');
+        else if (reviewFailBtn) reviewCard(cardIdOf(reviewFailBtn), 'again');
+        else if (exportCardBtn) exportCard(cardIdOf(exportCardBtn));
+        else if (exportBoardBtn) exportBoard();
+        else if (importBtn || importCardBtn) importFile(importCardBtn ? colIdOf(importCardBtn) : undefined);
     });
 
     const moveDrag = (e: MouseEvent | TouchEvent) => {
@@ -248,6 +398,11 @@ function addBoardEventListeners() {
                 fromColumn.cards = fromColumn.cards.filter(c => c.id !== cardId);
                 const newIndex = Array.from(placeholder.parentElement.children).indexOf(placeholder);
                 targetCol.cards.splice(newIndex, 0, cardData);
+                // Placing a card in another column by hand starts its schedule there
+                if (targetCol !== fromColumn) {
+                    scheduleCard(cardData, targetCol);
+                    markCardChanged(cardId);
+                }
             }
         }
 
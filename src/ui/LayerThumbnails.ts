@@ -0,0 +1,55 @@
+import { Layer } from '../core/types';
+import { ZoomFloor } from '../canvas/zoom';
+import { getStrokesBounds } from '../canvas/animation';
+import { queryStrokes } from '../canvas/spatialIndex';
+import { Canvas2DRenderer } from '../renderer/Canvas2DRenderer';
+import { getViewRect } from '../renderer/tessellation';
+
+/** Thumbnail size in CSS pixels, matching the w-9 h-6 of its element */
+const THUMBNAIL_WIDTH = 36;
+const THUMBNAIL_HEIGHT = 24;
+/** Margin around a layer's strokes, in CSS pixels */
+const THUMBNAIL_PADDING = 2;
+
+// Only its stroke drawing is used; it keeps each stroke's path between refreshes
+let strokeRenderer: Canvas2DRenderer | null = null;
+
+/**
+ * Draws a layer's strokes on `floor` into a thumbnail canvas, fitted to their
+ * bounds. Visibility, opacity and blend mode are left out: the thumbnail
+ * shows what is on the layer, not how it is composited. A blank thumbnail is
+ * only cleared, for a layer whose content is hidden.
+ */
+export function drawLayerThumbnail(canvas: HTMLCanvasElement, layer: Layer, floor: ZoomFloor, isBlank = false) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(THUMBNAIL_WIDTH * dpr);
+    const height = Math.round(THUMBNAIL_HEIGHT * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (isBlank) return;
+
+    const bounds = getStrokesBounds(layer.strokes, floor);
+    if (!bounds) return;
+    const contentWidth = Math.max(bounds.maxX - bounds.minX, 1);
+    const contentHeight = Math.max(bounds.maxY - bounds.minY, 1);
+    const scale = Math.min(
+        (THUMBNAIL_WIDTH - THUMBNAIL_PADDING * 2) / contentWidth,
+        (THUMBNAIL_HEIGHT - THUMBNAIL_PADDING * 2) / contentHeight
+    );
+    const panOffset = {
+        x: THUMBNAIL_WIDTH / 2 - (bounds.minX + bounds.maxX) / 2 * scale,
+        y: THUMBNAIL_HEIGHT / 2 - (bounds.minY + bounds.maxY) / 2 * scale,
+    };
+    const viewRect = getViewRect(panOffset, scale, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+
+    if (!strokeRenderer) strokeRenderer = new Canvas2DRenderer(document.createElement('canvas'));
+    const renderer = strokeRenderer;
+    ctx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * panOffset.x, dpr * panOffset.y);
+    queryStrokes(layer, floor, viewRect).forEach(stroke => renderer.drawStroke(ctx, stroke, floor, scale, viewRect));
+}
@@ -1,98 +1,454 @@
 import { $ } from '../utils/dom';
 import { getUniqueId } from '../utils/math';
-import { getActiveCardCanvasState, canvasState, requestRedraw, saveData } from '../core/store';
+import { getActiveCardCanvasState, canvasState, createLayer, getActiveLayer, isLayerMasked, isReviewMaskingOn, persistenceReplacer, requestRedraw, saveData, viewState } from '../core/store';
 import { hideSelectionToolbar } from './Toolbar';
 import { initIcons } from '../utils/dom';
 import { Modal } from './Modal';
-import { Stroke } from '../core/types';
+import { drawLayerThumbnail } from './LayerThumbnails';
+import { Layer, LayerBlendMode, Stroke } from '../core/types';
+import { LAYER_BLEND_MODES } from '../core/constants';
+import { addHistoryAction } from '../canvas/history';
+import { updateCursor } from '../canvas/tools';
+
+// Name of the layer being edited in place, recorded as one rename when editing ends
+let nameBeforeEdit: string | null = null;
+// Row being dragged by its handle; it moves through the list as the pointer does
+let draggedLayerItem: HTMLElement | null = null;
+// Layer the actions menu was opened for
+let menuLayerId: number | null = null;
+let thumbnailTimer: number | null = null;
+
+/** Wait after an edit before redrawing thumbnails, so a burst of edits redraws them once */
+const THUMBNAIL_DELAY = 200;
+
+/** Copy of a layer for the history, without GPU buffers */
+const snapshotLayer = (layer: Layer): Layer => JSON.parse(JSON.stringify(layer, persistenceReplacer));
+const snapshotStrokes = (strokes: Stroke[]): Stroke[] => JSON.parse(JSON.stringify(strokes, persistenceReplacer));
+
+const isLayersPanelOpen = () => !!$('#layers-panel')?.classList.contains('flex');
+
+/** Redraws each row's thumbnail from its layer's strokes on the current floor; layers hidden for a review stay blank */
+function drawLayerThumbnails() {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData) return;
+    document.querySelectorAll<HTMLCanvasElement>('#layers-list .layer-thumbnail').forEach(canvas => {
+        const layerId = parseFloat(canvas.closest<HTMLElement>('.layer-item')?.dataset.layerId || '0');
+        const layer = canvasData.layers.find(l => l.id === layerId);
+        if (layer) drawLayerThumbnail(canvas, layer, viewState.currentFloor, isLayerMasked(layer));
+    });
+}
+
+/** Redraws the thumbnails shortly, if the panel is open; opening it draws them anyway */
+export function scheduleLayerThumbnails() {
+    if (thumbnailTimer !== null) return;
+    thumbnailTimer = window.setTimeout(() => {
+        thumbnailTimer = null;
+        if (isLayersPanelOpen()) drawLayerThumbnails();
+    }, THUMBNAIL_DELAY);
+}
 
 export function renderLayersPanel() {
     const canvasData = getActiveCardCanvasState();
     const listEl = $('#layers-list');
     if (!canvasData || !listEl) return;
 
+    // Soloing hides the other rows' layers on screen, so their rows are dimmed too
+    const soloLayer = canvasData.layers.find(l => l.id === canvasData.soloLayerId);
     listEl.innerHTML = canvasData.layers.map(layer => `
-        <li class="layer-item flex items-center gap-2 p-2 rounded-md bg-column cursor-pointer border-2 transition-all duration-200 border-transparent hover:bg-white/5 ${layer.id === canvasData.activeLayerId ? 'bg-blue/15 border-blue active' : ''} ${!layer.isVisible ? 'opacity-50 hidden-layer' : ''}" data-layer-id="${layer.id}">
+        <li class="layer-item flex items-center gap-2 p-2 rounded-md bg-column cursor-pointer border-2 transition-all duration-200 border-transparent hover:bg-white/5 ${layer.id === canvasData.activeLayerId ? 'bg-blue/15 border-blue active' : ''} ${!layer.isVisible ? 'opacity-50 hidden-layer' : soloLayer && soloLayer !== layer ? 'opacity-50' : ''}" data-layer-id="${layer.id}">
+            <span class="layer-drag-handle p-0.5 cursor-grab touch-none text-secondary hover:text-primary" title="Drag to Reorder"><i data-lucide="grip-vertical" class="w-4 h-4"></i></span>
             <button class="bg-none border-none p-1 cursor-pointer layer-visibility" title="Toggle Visibility"><i data-lucide="${layer.isVisible ? 'eye' : 'eye-off'}" class="w-4 h-4 text-secondary hover:text-primary ${!layer.isVisible ? 'text-red hover:text-red' : ''}"></i></button>
-            <span class="grow text-sm outline-none layer-name" contenteditable="true" spellcheck="false">${layer.name}</span>
+            <canvas class="layer-thumbnail w-9 h-6 shrink-0 rounded bg-black border border-border"></canvas>
+            <span class="grow min-w-0 text-sm outline-none layer-name" contenteditable="true" spellcheck="false"></span>
+            ${soloLayer === layer ? `<button class="bg-none border-none p-1 cursor-pointer layer-solo" title="Stop Soloing"><i data-lucide="focus" class="w-4 h-4 text-blue"></i></button>` : ''}
+            ${layer.isHiddenInReview ? `<button class="bg-none border-none p-1 cursor-pointer layer-review-hidden disabled:cursor-default" title="Hidden During Review" ${isReviewMaskingOn() ? 'disabled' : ''}><i data-lucide="graduation-cap" class="w-4 h-4 text-purple"></i></button>` : ''}
+            <button class="bg-none border-none p-1 cursor-pointer layer-lock" title="${layer.isLocked ? 'Unlock Layer' : 'Lock Layer'}"><i data-lucide="${layer.isLocked ? 'lock' : 'unlock'}" class="w-4 h-4 ${layer.isLocked ? 'text-primary' : 'text-secondary'} hover:text-primary"></i></button>
+            <button class="bg-none border-none p-1 cursor-pointer layer-menu-btn" title="Layer Actions"><i data-lucide="ellipsis-vertical" class="w-4 h-4 text-secondary hover:text-primary"></i></button>
             <button class="bg-none border-none p-1 cursor-pointer delete-layer-btn" title="Delete Layer"><i data-lucide="trash" class="w-4 h-4 text-secondary hover:text-red"></i></button>
         </li>
     `).join('');
+    // Names can come from imported files, so they go in as text
+    listEl.querySelectorAll<HTMLElement>('.layer-name').forEach((el, i) => { el.textContent = canvasData.layers[i].name; });
+    // The rows it pointed at are gone
+    hideLayerActionsMenu();
+    if (isLayersPanelOpen()) drawLayerThumbnails();
+
+    // Opacity and blend mode controls follow the active layer
+    const activeLayer = canvasData.layers.find(l => l.id === canvasData.activeLayerId);
+    if (activeLayer) {
+        const opacity = Math.round(activeLayer.opacity * 100);
+        $<HTMLInputElement>('#layer-opacity-slider').value = String(opacity);
+        $('#layer-opacity-value').textContent = String(opacity);
+        $<HTMLSelectElement>('#layer-blend-select').value = activeLayer.blendMode;
+    }
     
     initIcons();
 }
 
-export function addLayersEventListeners() {
-    const panel = $('#layers-panel');
-    if (!panel) return;
+export function addLayer() {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData) return;
+    
+    const newLayer = createLayer(`Layer ${canvasData.layers.length + 1}`);
+    addHistoryAction({
+        type: 'ADD_LAYER', layerId: newLayer.id, layer: snapshotLayer(newLayer),
+        index: canvasData.layers.length, previousActiveLayerId: canvasData.activeLayerId,
+    });
+    canvasData.layers.push(newLayer);
+    canvasData.activeLayerId = newLayer.id;
+    
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Deletes a layer and its strokes after asking; the last layer can't go */
+export async function deleteLayer(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData) return;
 
-    $('#add-layer-btn')?.addEventListener('click', () => {
-        const canvasData = getActiveCardCanvasState();
-        if (!canvasData) return;
+    if (canvasData.layers.length <= 1) {
+        Modal.confirm("Cannot Delete", "You must have at least one layer.").then(() => { });
+        return;
+    }
+    if (await Modal.confirm("Delete Layer?", "Are you sure you want to delete this layer and all its content?")) {
+        const layerToDelete = canvasData.layers.find(l => l.id === layerId);
+        if (!layerToDelete) return;
+        addHistoryAction({
+            type: 'DELETE_LAYER', layerId, layer: snapshotLayer(layerToDelete),
+            index: canvasData.layers.indexOf(layerToDelete), previousActiveLayerId: canvasData.activeLayerId,
+        });
+        layerToDelete.strokes.forEach((s: Stroke) => { 
+            if (s.gpuData) { 
+                s.gpuData.vertexBuffer.destroy(); 
+                s.gpuData.indexBuffer.destroy(); 
+            } 
+        });
         
-        const newLayer = { id: getUniqueId(), name: `Layer ${canvasData.layers.length + 1}`, isVisible: true, strokes: [] };
-        canvasData.layers.push(newLayer);
-        canvasData.activeLayerId = newLayer.id;
+        canvasData.layers = canvasData.layers.filter(l => l.id !== layerId);
+        if (canvasData.activeLayerId === layerId) {
+            canvasData.activeLayerId = canvasData.layers[canvasData.layers.length - 1].id;
+        }
         
         saveData();
         renderLayersPanel();
         requestRedraw();
+    }
+}
+
+export function toggleLayerVisibility(layerId: number) {
+    const layer = getActiveCardCanvasState()?.layers.find(l => l.id === layerId);
+    if (!layer) return;
+    layer.isVisible = !layer.isVisible;
+    addHistoryAction({ type: 'LAYER_VISIBILITY', layerId, isVisible: layer.isVisible });
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Copies a layer, its strokes under fresh ids, into the slot after it and makes the copy active */
+export function duplicateLayer(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    const layer = canvasData?.layers.find(l => l.id === layerId);
+    if (!canvasData || !layer) return;
+
+    const copy: Layer = { ...snapshotLayer(layer), id: getUniqueId(), name: `${layer.name} copy` };
+    copy.strokes = copy.strokes.map(stroke => ({ ...stroke, id: getUniqueId() }));
+    const index = canvasData.layers.indexOf(layer) + 1;
+    addHistoryAction({
+        type: 'ADD_LAYER', layerId: copy.id, layer: snapshotLayer(copy),
+        index, previousActiveLayerId: canvasData.activeLayerId,
+    });
+    canvasData.layers.splice(index, 0, copy);
+    canvasData.activeLayerId = copy.id;
+
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/**
+ * Merges a layer into the next one down the list. The merged layer keeps that
+ * layer's name, opacity and blend mode; the strokes keep their order on screen.
+ */
+export function mergeLayerDown(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    const layer = canvasData?.layers.find(l => l.id === layerId);
+    if (!canvasData || !layer) return;
+    const index = canvasData.layers.indexOf(layer);
+    const target = canvasData.layers[index + 1];
+    if (!target) return;
+    if (layer.isLocked || target.isLocked) {
+        Modal.confirm("Cannot Merge", "Unlock both layers to merge them.").then(() => { });
+        return;
+    }
+    if (isLayerMasked(layer) || isLayerMasked(target)) {
+        Modal.confirm("Cannot Merge", "Reveal the layers hidden for this review to merge them.").then(() => { });
+        return;
+    }
+
+    // This layer was drawn first, so its strokes go underneath
+    const mergedStrokes = [...layer.strokes, ...target.strokes];
+    addHistoryAction({
+        type: 'COMPOSITE', layerId: canvasData.activeLayerId, actions: [
+            { type: 'DELETE_LAYER', layerId, layer: snapshotLayer(layer), index, previousActiveLayerId: canvasData.activeLayerId },
+            { type: 'MODIFY', layerId: target.id, before: snapshotStrokes(target.strokes), after: snapshotStrokes(mergedStrokes) },
+        ],
     });
 
-    panel.addEventListener('click', async (e) => {
+    // The stroke objects move as they are, GPU buffers included
+    target.strokes = mergedStrokes;
+    canvasData.layers.splice(index, 1);
+    if (canvasData.activeLayerId === layerId) canvasData.activeLayerId = target.id;
+    canvasState.selectedStrokes.clear();
+    canvasState.selectionBox = null;
+
+    hideSelectionToolbar();
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Shows only this layer on screen, or every layer again if it is already soloed */
+export function toggleLayerSolo(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData || !canvasData.layers.some(l => l.id === layerId)) return;
+    const fromSoloLayerId = canvasData.soloLayerId ?? null;
+    const toSoloLayerId = fromSoloLayerId === layerId ? null : layerId;
+    canvasData.soloLayerId = toSoloLayerId;
+    addHistoryAction({ type: 'SOLO_LAYER', layerId, fromSoloLayerId, toSoloLayerId });
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/**
+ * Hidden-in-review layers stay off screen during a review until revealed, so
+ * they can hold the answer. Fixed while they are hidden, so the answer only
+ * shows through the session's reveal.
+ */
+export function toggleLayerReviewHiding(layerId: number) {
+    const layer = getActiveCardCanvasState()?.layers.find(l => l.id === layerId);
+    if (!layer || isReviewMaskingOn()) return;
+    layer.isHiddenInReview = !layer.isHiddenInReview;
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Locks or unlocks a layer against drawing, erasing and selecting */
+export function toggleLayerLock(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    const layer = canvasData?.layers.find(l => l.id === layerId);
+    if (!canvasData || !layer) return;
+    layer.isLocked = !layer.isLocked;
+    if (layer.isLocked && layerId === canvasData.activeLayerId) {
+        canvasState.selectedStrokes.clear();
+        canvasState.selectionBox = null;
+        hideSelectionToolbar();
+    }
+    updateCursor();
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Sets how a layer is blended onto the layers below it */
+export function setLayerBlendMode(layerId: number, blendMode: LayerBlendMode) {
+    const layer = getActiveCardCanvasState()?.layers.find(l => l.id === layerId);
+    if (!layer) return;
+    layer.blendMode = blendMode;
+    saveData();
+    requestRedraw();
+}
+
+/** Makes a layer the one drawn on, dropping the selection from the previous one */
+export function setActiveLayer(layerId: number) {
+    const canvasData = getActiveCardCanvasState();
+    if (!canvasData) return;
+    canvasData.activeLayerId = layerId;
+    canvasState.selectedStrokes.clear();
+    canvasState.selectionBox = null;
+    
+    hideSelectionToolbar();
+    updateCursor();
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+/** Renames a layer through a prompt; the panel itself edits names in place */
+export async function renameLayer(layerId: number) {
+    const layer = getActiveCardCanvasState()?.layers.find(l => l.id === layerId);
+    if (!layer) return;
+    const name = await Modal.prompt('Rename layer', layer.name);
+    if (name === null) return;
+    const fromName = layer.name;
+    layer.name = name.trim() || layer.name;
+    if (layer.name !== fromName) addHistoryAction({ type: 'RENAME_LAYER', layerId, fromName, toName: layer.name });
+    saveData();
+    renderLayersPanel();
+}
+
+/** Moves a layer by `offset` places in the stack, e.g. -1 for one up the list */
+export function moveLayer(layerId: number, offset: number) {
+    const index = getActiveCardCanvasState()?.layers.findIndex(l => l.id === layerId) ?? -1;
+    if (index >= 0) moveLayerTo(layerId, index + offset);
+}
+
+/** Moves a layer to a position in the stack, which is also the order layers are drawn in */
+export function moveLayerTo(layerId: number, index: number) {
+    const canvasData = getActiveCardCanvasState();
+    const layer = canvasData?.layers.find(l => l.id === layerId);
+    if (!canvasData || !layer) return;
+    const fromIndex = canvasData.layers.indexOf(layer);
+    const toIndex = Math.min(Math.max(0, index), canvasData.layers.length - 1);
+    if (toIndex === fromIndex) return;
+
+    canvasData.layers.splice(fromIndex, 1);
+    canvasData.layers.splice(toIndex, 0, layer);
+    addHistoryAction({ type: 'REORDER_LAYER', layerId, fromIndex, toIndex });
+    saveData();
+    renderLayersPanel();
+    requestRedraw();
+}
+
+function hideLayerActionsMenu() {
+    menuLayerId = null;
+    const menu = $('#layer-actions-menu');
+    menu?.classList.remove('flex');
+    menu?.classList.add('hidden');
+}
+
+/** Opens the duplicate / merge down / solo / review hiding menu just under a layer's row */
+function showLayerActionsMenu(layerItem: HTMLElement) {
+    const menu = $('#layer-actions-menu');
+    const canvasData = getActiveCardCanvasState();
+    if (!menu || !canvasData) return;
+    menuLayerId = parseFloat(layerItem.dataset.layerId || '0');
+
+    const index = canvasData.layers.findIndex(l => l.id === menuLayerId);
+    const mergeButton = menu.querySelector<HTMLButtonElement>('[data-layer-action="merge-down"]');
+    if (mergeButton) mergeButton.disabled = index < 0 || index >= canvasData.layers.length - 1;
+    $('#layer-solo-label').textContent = canvasData.soloLayerId === menuLayerId ? 'Stop Soloing' : 'Solo Layer';
+    $('#layer-review-label').textContent = canvasData.layers[index]?.isHiddenInReview ? 'Show During Review' : 'Hide During Review';
+    const reviewButton = menu.querySelector<HTMLButtonElement>('[data-layer-action="review-hide"]');
+    if (reviewButton) reviewButton.disabled = isReviewMaskingOn();
+
+    menu.style.top = `${layerItem.getBoundingClientRect().bottom - $('#layers-panel').getBoundingClientRect().top}px`;
+    menu.classList.remove('hidden');
+    menu.classList.add('flex');
+}
+
+export function addLayersEventListeners() {
+    const panel = $('#layers-panel');
+    if (!panel) return;
+
+    $('#add-layer-btn')?.addEventListener('click', addLayer);
+
+    const blendSelect = $<HTMLSelectElement>('#layer-blend-select');
+    blendSelect.innerHTML = LAYER_BLEND_MODES.map(mode => `<option value="${mode.id}">${mode.label}</option>`).join('');
+    blendSelect.addEventListener('change', () => {
+        const layerId = getActiveCardCanvasState()?.activeLayerId;
+        if (layerId !== undefined) setLayerBlendMode(layerId, blendSelect.value as LayerBlendMode);
+    });
+
+    // Opacity previews while dragging and is saved once released
+    const opacitySlider = $<HTMLInputElement>('#layer-opacity-slider');
+    opacitySlider.addEventListener('input', () => {
+        const layer = getActiveLayer();
+        if (!layer) return;
+        layer.opacity = +opacitySlider.value / 100;
+        $('#layer-opacity-value').textContent = opacitySlider.value;
+        requestRedraw();
+    });
+    opacitySlider.addEventListener('change', () => saveData());
+
+    panel.addEventListener('click', (e) => {
         const target = e.target as HTMLElement;
+        const action = target.closest<HTMLElement>('.layer-action');
+        if (action) {
+            const layerId = menuLayerId;
+            hideLayerActionsMenu();
+            if (layerId === null) return;
+            if (action.dataset.layerAction === 'duplicate') duplicateLayer(layerId);
+            else if (action.dataset.layerAction === 'merge-down') mergeLayerDown(layerId);
+            else if (action.dataset.layerAction === 'solo') toggleLayerSolo(layerId);
+            else if (action.dataset.layerAction === 'review-hide') toggleLayerReviewHiding(layerId);
+            return;
+        }
+
         const layerItem = target.closest<HTMLElement>('.layer-item');
         if (!layerItem) return;
 
         const layerId = parseFloat(layerItem.dataset.layerId || '0');
-        const canvasData = getActiveCardCanvasState();
-        if (!canvasData) return;
-
-        if (target.closest('.delete-layer-btn')) {
-            if (canvasData.layers.length <= 1) {
-                Modal.confirm("Cannot Delete", "You must have at least one layer.").then(() => { });
-                return;
-            }
-            if (await Modal.confirm("Delete Layer?", "Are you sure you want to delete this layer and all its content? This cannot be undone.")) {
-                const layerToDelete = canvasData.layers.find(l => l.id === layerId);
-                if (layerToDelete) {
-                    layerToDelete.strokes.forEach((s: Stroke) => { 
-                        if (s.gpuData) { 
-                            s.gpuData.vertexBuffer.destroy(); 
-                            s.gpuData.indexBuffer.destroy(); 
-                        } 
-                    });
-                }
-                
-                canvasData.layers = canvasData.layers.filter(l => l.id !== layerId);
-                if (canvasData.activeLayerId === layerId) {
-                    canvasData.activeLayerId = canvasData.layers[canvasData.layers.length - 1].id;
-                }
-                
-                saveData();
-                renderLayersPanel();
-                requestRedraw();
-            }
+        if (target.closest('.layer-drag-handle')) {
+            return;
+        } else if (target.closest('.layer-menu-btn')) {
+            if (menuLayerId === layerId) hideLayerActionsMenu();
+            else showLayerActionsMenu(layerItem);
+        } else if (target.closest('.layer-solo')) {
+            toggleLayerSolo(layerId);
+        } else if (target.closest('.layer-review-hidden')) {
+            toggleLayerReviewHiding(layerId);
+        } else if (target.closest('.delete-layer-btn')) {
+            deleteLayer(layerId);
         } else if (target.closest('.layer-visibility')) {
-            const layer = canvasData.layers.find(l => l.id === layerId);
-            if (layer) {
-                layer.isVisible = !layer.isVisible;
-                saveData();
-                renderLayersPanel();
-                requestRedraw();
-            }
+            toggleLayerVisibility(layerId);
+        } else if (target.closest('.layer-lock')) {
+            toggleLayerLock(layerId);
         } else if (!target.matches('.layer-name')) {
-            canvasData.activeLayerId = layerId;
-            canvasState.selectedStrokes.clear();
-            canvasState.selectionBox = null;
-            
-            hideSelectionToolbar();
-            saveData();
-            renderLayersPanel();
-            requestRedraw();
+            setActiveLayer(layerId);
+        }
+    });
+
+    // Right-clicking a row opens its actions menu too
+    panel.addEventListener('contextmenu', (e: MouseEvent) => {
+        const layerItem = (e.target as HTMLElement).closest<HTMLElement>('.layer-item');
+        if (!layerItem) return;
+        e.preventDefault();
+        showLayerActionsMenu(layerItem);
+    });
+
+    document.addEventListener('click', (e: Event) => {
+        const target = e.target as HTMLElement;
+        if (menuLayerId !== null && !target.closest('#layer-actions-menu') && !target.closest('.layer-menu-btn')) {
+            hideLayerActionsMenu();
         }
     });
 
+    panel.addEventListener('pointerdown', (e: PointerEvent) => {
+        const handle = (e.target as HTMLElement).closest<HTMLElement>('.layer-drag-handle');
+        if (!handle) return;
+        e.preventDefault();
+        draggedLayerItem = handle.closest<HTMLElement>('.layer-item');
+        draggedLayerItem?.classList.add('opacity-60');
+        handle.setPointerCapture(e.pointerId);
+    });
+
+    panel.addEventListener('pointermove', (e: PointerEvent) => {
+        const listEl = $('#layers-list');
+        if (!draggedLayerItem || !listEl) return;
+        const overItem = document.elementFromPoint(e.clientX, e.clientY)?.closest<HTMLElement>('.layer-item');
+        if (!overItem || overItem === draggedLayerItem || !listEl.contains(overItem)) return;
+        const rect = overItem.getBoundingClientRect();
+        listEl.insertBefore(draggedLayerItem, e.clientY < rect.top + rect.height / 2 ? overItem : overItem.nextSibling);
+    });
+
+    const endLayerDrag = (e: PointerEvent) => {
+        if (!draggedLayerItem) return;
+        const item = draggedLayerItem;
+        draggedLayerItem = null;
+        if (e.type === 'pointerup') {
+            const toIndex = Array.from($('#layers-list')?.children || []).indexOf(item);
+            moveLayerTo(parseFloat(item.dataset.layerId || '0'), toIndex);
+        }
+        // Redraws the rows in stack order either way
+        renderLayersPanel();
+    };
+    panel.addEventListener('pointerup', endLayerDrag);
+    panel.addEventListener('pointercancel', endLayerDrag);
+
     panel.addEventListener('input', e => {
         const target = e.target as HTMLElement;
         const nameSpan = target.closest<HTMLElement>('.layer-name');
@@ -109,4 +465,20 @@ export function addLayersEventListeners() {
             }
         }
     });
+
+    // Typing renames as you go; the history gets one step for the whole edit
+    panel.addEventListener('focusin', e => {
+        if ((e.target as HTMLElement).matches('.layer-name')) nameBeforeEdit = (e.target as HTMLElement).textContent || '';
+    });
+    panel.addEventListener('focusout', e => {
+        const nameSpan = e.target as HTMLElement;
+        if (!nameSpan.matches('.layer-name') || nameBeforeEdit === null) return;
+        const layerId = parseFloat(nameSpan.closest<HTMLElement>('.layer-item')?.dataset.layerId || '0');
+        const toName = nameSpan.textContent || '';
+        if (toName !== nameBeforeEdit) {
+            addHistoryAction({ type: 'RENAME_LAYER', layerId, fromName: nameBeforeEdit, toName });
+            saveData();
+        }
+        nameBeforeEdit = null;
+    });
 }
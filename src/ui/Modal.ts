@@ -11,7 +11,10 @@ export const Modal = {
       return new Promise(resolve => {
           this._resolve = resolve as (value: unknown) => void;
           this.titleEl.textContent = title;
-          this.bodyEl.innerHTML = `<p>${message}</p>`;
+          // Messages can quote card and column names, so they go in as text
+          const messageEl = document.createElement('p');
+          messageEl.textContent = message;
+          this.bodyEl.replaceChildren(messageEl);
           this.actionsEl.innerHTML = `
               <button class="modal-btn modal-btn-secondary" data-value="false">Cancel</button>
               <button class="modal-btn modal-btn-danger" data-value="true">Confirm</button>
@@ -24,7 +27,8 @@ export const Modal = {
       return new Promise(resolve => {
           this._resolve = resolve as (value: unknown) => void;
           this.titleEl.textContent = title;
-          this.bodyEl.innerHTML = `<input type="text" id="modal-input" class="modal-input" value="${defaultValue}">`;
+          this.bodyEl.innerHTML = `<input type="text" id="modal-input" class="modal-input">`;
+          $<HTMLInputElement>('#modal-input').value = defaultValue;
           this.actionsEl.innerHTML = `
               <button class="modal-btn modal-btn-secondary" data-value="null">Cancel</button>
               <button class="modal-btn modal-btn-primary" data-value="submit">OK</button>
@@ -1,37 +1,97 @@
 import { $ } from '../utils/dom';
 import { polarToCartesian, createWedgePath } from '../utils/math';
-import { undo, redo } from '../canvas/history';
-import { centerCanvasContent } from '../canvas/animation';
+import { getCommand, runCommand } from '../core/commands';
 import { canvasState, brushSettings } from '../core/store';
 import { setActiveTool } from '../canvas/tools';
+import { SHAPE_TOOLS } from '../core/constants';
+import { ShapeFillMode } from '../core/types';
+
+// Shape the Shapes wedge switches back to
+let lastShapeTool = 'rectangle';
+
+function getCurrentShapeTool(): string {
+    return SHAPE_TOOLS.includes(canvasState.activeTool) ? canvasState.activeTool : lastShapeTool;
+}
+
+function hideShapesPopup() {
+    $('#shapes-popup')?.classList.remove('flex');
+    $('#shapes-popup')?.classList.add('hidden');
+}
+
+/** Highlights the current shape and its paint mode in the shapes popup */
+function updateShapesPopup() {
+    const shapeTool = getCurrentShapeTool();
+    const fillMode = brushSettings[shapeTool]?.fillMode || 'fill';
+    document.querySelectorAll<HTMLElement>('.shape-tool-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tool === shapeTool));
+    document.querySelectorAll<HTMLElement>('.fill-mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.fillMode === fillMode));
+}
+
+function hideSettingsPopup() {
+    $('#settings-popup')?.classList.remove('flex');
+    $('#settings-popup')?.classList.add('hidden');
+}
+
+/** Opens or closes the shapes popup, switching to the last used shape when another tool is active */
+export function toggleShapesPopup() {
+    const shapesPopup = $('#shapes-popup');
+    const isOpen = shapesPopup.classList.contains('flex');
+    if (!SHAPE_TOOLS.includes(canvasState.activeTool)) setActiveTool(lastShapeTool);
+    hideSettingsPopup();
+    shapesPopup.classList.toggle('hidden', isOpen);
+    shapesPopup.classList.toggle('flex', !isOpen);
+    updateShapesPopup();
+}
+
+/** Opens or closes the brush settings popup from one of the inner wedges */
+export function toggleSettingWedge(wedgeId: string) {
+    hideShapesPopup();
+    updateSettingsUI();
+
+    const settings = brushSettings[canvasState.activeTool];
+    const hasSettings = settings?.hasOwnProperty('lineWidth') || settings?.hasOwnProperty('opacity') || settings?.hasOwnProperty('smoothness');
+
+    if (hasSettings && canvasState.activeSettingWedge !== wedgeId) {
+        $('#settings-popup').classList.remove('hidden'); 
+        $('#settings-popup').classList.add('flex');
+        canvasState.activeSettingWedge = wedgeId;
+    } else {
+        hideSettingsPopup();
+        canvasState.activeSettingWedge = null;
+    }
+    window.updateActiveWedge?.();
+}
 
 export function initRadialToolbar() {
     const radialToolbar = $('#radial-toolbar');
     if (!radialToolbar) return;
 
+    // Wedges run commands; their id is what the active-tool highlight matches
     const tools = [
-        { id: 'pen', icon: 'edit-3', name: 'Pen' }, 
-        { id: 'highlighter', icon: 'edit', name: 'Highlighter' },
-        { id: 'eraser', icon: 'trash', name: 'Eraser' }, 
-        { id: 'lasso', icon: 'crop', name: 'Lasso' },
-        { id: 'center-content', icon: 'compass', name: 'Find Content' }, 
-        { id: 'undo', icon: 'corner-up-left', name: 'Undo' },
-        { id: 'redo', icon: 'corner-up-right', name: 'Redo' }, 
-        { id: 'laser', icon: 'radio', name: 'Laser Pointer' },
+        { id: 'pen', command: 'tool-pen' },
+        { id: 'highlighter', command: 'tool-highlighter' },
+        { id: 'shapes', command: 'tool-shapes' },
+        { id: 'eraser', command: 'tool-eraser' },
+        { id: 'lasso', command: 'tool-lasso' },
+        { id: 'center-content', command: 'find-content' },
+        { id: 'undo', command: 'undo' },
+        { id: 'redo', command: 'redo' },
+        { id: 'laser', command: 'tool-laser' },
     ];
     const settingsTools = [
-        { id: 'size-setting', icon: 'git-commit', name: 'Size' },
-        { id: 'opacity-setting', icon: 'droplet', name: 'Opacity' },
-        { id: 'smoothness-setting', icon: 'wind', name: 'Smoothness' },
+        { id: 'size-setting', command: 'brush-size' },
+        { id: 'opacity-setting', command: 'brush-opacity' },
+        { id: 'smoothness-setting', command: 'brush-smoothness' },
     ];
 
     radialToolbar.querySelector('svg')?.remove();
     const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
     svg.setAttribute('viewBox', '0 0 200 200');
 
-    const createRing = (toolsArray: { id: string, icon: string, name: string }[], innerR: number, outerR: number) => {
+    const createRing = (toolsArray: { id: string, command: string }[], innerR: number, outerR: number) => {
         const anglePerWedge = (2 * Math.PI) / toolsArray.length;
-        toolsArray.forEach((tool, i) => {
+        toolsArray.forEach((wedge, i) => {
+            const command = getCommand(wedge.command);
+            const tool = { id: wedge.id, name: command?.label ?? '', icon: command?.icon ?? 'circle' };
             const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
             g.classList.add('tool-group'); 
             g.dataset.toolId = tool.id;
@@ -83,7 +143,9 @@ export function initRadialToolbar() {
     window.updateActiveWedge = () => {
         svg.querySelectorAll('.tool-wedge').forEach(p => p.classList.remove('active'));
 
-        const activeToolWedge = svg.querySelector(`.tool-group[data-tool-id="${canvasState.activeTool}"] .tool-wedge`);
+        if (SHAPE_TOOLS.includes(canvasState.activeTool)) lastShapeTool = canvasState.activeTool;
+        const activeToolId = SHAPE_TOOLS.includes(canvasState.activeTool) ? 'shapes' : canvasState.activeTool;
+        const activeToolWedge = svg.querySelector(`.tool-group[data-tool-id="${activeToolId}"] .tool-wedge`);
         if (activeToolWedge) activeToolWedge.classList.add('active');
 
         if (canvasState.activeSettingWedge) {
@@ -93,45 +155,24 @@ export function initRadialToolbar() {
     }
 
     svg.addEventListener('click', (e) => {
-        const toolId = (e.target as HTMLElement)?.closest<HTMLElement>('.tool-group')?.dataset.toolId;
-        if (!toolId) return;
-
-        const settingsPopup = $('#settings-popup');
+        const wedgeId = (e.target as HTMLElement)?.closest<HTMLElement>('.tool-group')?.dataset.toolId;
+        const wedge = [...tools, ...settingsTools].find(w => w.id === wedgeId);
+        if (!wedge) return;
+        if (wedge.id !== 'shapes') hideShapesPopup();
+        runCommand(wedge.command);
+    });
 
-        if (toolId === 'undo') { undo(); return; }
-        if (toolId === 'redo') { redo(); return; }
-        if (toolId === 'center-content') { centerCanvasContent(); return; }
-
-        if (toolId === 'size-setting' || toolId === 'opacity-setting' || toolId === 'smoothness-setting') {
-            updateSettingsUI();
-
-            const activeToolWedge = canvasState.activeTool;
-            const settings = brushSettings[activeToolWedge];
-            const hasSettings = settings?.hasOwnProperty('lineWidth') || settings?.hasOwnProperty('opacity') || settings?.hasOwnProperty('smoothness');
-
-            if (hasSettings) {
-                if (canvasState.activeSettingWedge === toolId) {
-                    settingsPopup.classList.remove('flex'); 
-                    settingsPopup.classList.add('hidden');
-                    canvasState.activeSettingWedge = null;
-                } else {
-                    settingsPopup.classList.remove('hidden'); 
-                    settingsPopup.classList.add('flex');
-                    canvasState.activeSettingWedge = toolId;
-                }
-            } else {
-                settingsPopup.classList.remove('flex'); 
-                settingsPopup.classList.add('hidden');
-                canvasState.activeSettingWedge = null;
-            }
-            window.updateActiveWedge?.();
-            return;
+    $('#shapes-popup')?.addEventListener('click', (e) => {
+        const target = e.target as HTMLElement;
+        const shapeBtn = target.closest<HTMLElement>('.shape-tool-btn');
+        const fillModeBtn = target.closest<HTMLElement>('.fill-mode-btn');
+        if (shapeBtn?.dataset.tool) {
+            lastShapeTool = shapeBtn.dataset.tool;
+            setActiveTool(lastShapeTool);
+        } else if (fillModeBtn?.dataset.fillMode) {
+            brushSettings[getCurrentShapeTool()].fillMode = fillModeBtn.dataset.fillMode as ShapeFillMode;
         }
-
-        settingsPopup.classList.remove('flex'); 
-        settingsPopup.classList.add('hidden');
-        canvasState.activeSettingWedge = null;
-        setActiveTool(toolId);
+        updateShapesPopup();
     });
 
     window.updateActiveWedge?.(); 
@@ -154,7 +195,8 @@ export function initRadialToolbar() {
 
         const isRadialClick = target.closest('#radial-toolbar') ||
             target.closest('#simple-color-picker') ||
-            target.closest('#settings-popup');
+            target.closest('#settings-popup') ||
+            target.closest('#shapes-popup');
 
         if (settingsPopup && settingsPopup.classList.contains('flex') && !isRadialClick) {
             settingsPopup.classList.remove('flex'); 
@@ -163,6 +205,8 @@ export function initRadialToolbar() {
             if(window.updateActiveWedge) window.updateActiveWedge(); 
         }
 
+        if (!isRadialClick) hideShapesPopup();
+
         if (layersPanel && layersPanel.classList.contains('flex') && !layersPanel.contains(target) && !target.closest('#layers-btn')) {
             layersPanel.classList.remove('flex'); 
             layersPanel.classList.add('hidden');
@@ -191,6 +235,8 @@ export function updateSettingsUI() {
     show($('#pen-size-setting'), settings?.hasOwnProperty('lineWidth'));
     show($('#opacity-setting'), settings?.hasOwnProperty('opacity'));
     show($('#smoothness-setting'), settings?.hasOwnProperty('smoothness'));
+    show($('#pressure-setting'), settings?.hasOwnProperty('pressureCurve'));
+    show($('#eraser-mode-setting'), settings?.hasOwnProperty('eraserMode'));
 
     if (!settings) return;
 
@@ -212,6 +258,17 @@ export function updateSettingsUI() {
         const valEl = $('#smoothness-value');
         if(valEl) valEl.textContent = String(settings.smoothness ?? '');
     }
+    if (settings.hasOwnProperty('pressureCurve')) {
+        const el = $('#pressure-curve-slider') as HTMLInputElement;
+        if(el) el.value = String(settings.pressureCurve ?? 1);
+        const valEl = $('#pressure-curve-value');
+        if(valEl) valEl.textContent = (settings.pressureCurve ?? 1).toFixed(2);
+    }
+    if (settings.hasOwnProperty('eraserMode')) {
+        document.querySelectorAll<HTMLElement>('.eraser-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.eraserMode === settings.eraserMode);
+        });
+    }
     if (settings.hasOwnProperty('color')) {
         const el = $('#color-display');
         if(el) el.style.backgroundColor = settings.color || '#FFFFFF';
@@ -0,0 +1,131 @@
+import { $ } from '../utils/dom';
+import { KanbanCard, ReviewGrade } from '../core/types';
+import { findCardById, getAppData, getCurrentOpenCardId, getActiveCardCanvasState, isReviewMaskingOn, markCardChanged, saveData, setReviewMasking } from '../core/store';
+import { REVIEW_GRADES, isCardDue, recordReview } from '../core/scheduling';
+import { Command, registerCommands } from '../core/commands';
+import { Modal } from './Modal';
+import { openCard } from './Kanban';
+import { renderLayersPanel } from './LayersPanel';
+import { updateCursor } from '../canvas/tools';
+import { switchView } from './View';
+
+interface ReviewSession {
+    /** Cards queued when the session started, in review order */
+    cardIds: number[];
+    /** Position of the card on screen */
+    index: number;
+    reviewed: number;
+}
+
+let session: ReviewSession | null = null;
+
+export const isReviewing = () => session !== null;
+
+/** Cards due today or earlier, the longest overdue first; board order breaks ties */
+export function getDueCards(now: number = Date.now()): KanbanCard[] {
+    return getAppData().revisions.columns
+        .flatMap(col => col.cards)
+        .filter(card => isCardDue(card, now))
+        .sort((a, b) => a.review.dueAt! - b.review.dueAt!);
+}
+
+/** Hides or shows the card's hidden-in-review layers, with the layer thumbnails and cursor that depend on it */
+function setMasking(isMasking: boolean) {
+    setReviewMasking(isMasking);
+    renderLayersPanel();
+    updateCursor();
+}
+
+function renderReviewBar() {
+    const bar = $('#review-bar');
+    if (!bar) return;
+    if (!session) {
+        bar.classList.remove('flex');
+        bar.classList.add('hidden');
+        return;
+    }
+    $('#review-progress').textContent = `Card ${session.index + 1} of ${session.cardIds.length}`;
+    // Only offered while the card has layers left to reveal
+    const hasHiddenLayers = isReviewMaskingOn() && !!getActiveCardCanvasState()?.layers.some(l => l.isHiddenInReview);
+    $('#review-reveal-btn').classList.toggle('hidden', !hasHiddenLayers);
+    bar.classList.remove('hidden');
+    bar.classList.add('flex');
+}
+
+/** Opens the next queued card still on the board, or finishes once none are left */
+function showNextCard() {
+    if (!session) return;
+    while (session.index < session.cardIds.length && !findCardById(session.cardIds[session.index]).card) session.index++;
+    if (session.index >= session.cardIds.length) {
+        finishReview();
+        return;
+    }
+    setMasking(true);
+    openCard(session.cardIds[session.index]);
+    renderReviewBar();
+}
+
+/** Queues every card due today and opens the first in the canvas */
+export function startReview() {
+    const cards = getDueCards();
+    if (cards.length === 0) {
+        Modal.confirm('Nothing to Review', 'No cards are due today.').then(() => { });
+        return;
+    }
+    session = { cardIds: cards.map(card => card.id), index: 0, reviewed: 0 };
+    showNextCard();
+}
+
+/** Shows the layers hidden for this review, to check the answer */
+export function revealHiddenLayers() {
+    if (!session) return;
+    setMasking(false);
+    renderReviewBar();
+}
+
+/** Feeds the grade into the open card's schedule, which may move it to another column, then moves on */
+export function gradeCurrentCard(grade: ReviewGrade) {
+    const cardId = getCurrentOpenCardId();
+    if (!session || cardId !== session.cardIds[session.index]) return;
+    if (recordReview(getAppData().revisions.columns, cardId, grade)) {
+        markCardChanged(cardId);
+        session.reviewed++;
+    }
+    saveData();
+    session.index++;
+    showNextCard();
+}
+
+/** Drops the session without leaving the canvas; leaving the canvas view calls this */
+export function endReview() {
+    if (!session) return;
+    session = null;
+    setMasking(false);
+    renderReviewBar();
+}
+
+function finishReview() {
+    const reviewed = session?.reviewed ?? 0;
+    endReview();
+    switchView('revisions');
+    Modal.confirm('Review Complete', `You reviewed ${reviewed} ${reviewed === 1 ? 'card' : 'cards'}.`).then(() => { });
+}
+
+export function initReviewSession() {
+    registerCommands([
+        { id: 'review-start', label: 'Start Review', group: 'Review', view: 'revisions', icon: 'graduation-cap', run: startReview },
+        { id: 'review-reveal', label: 'Reveal Hidden Layers', group: 'Review', view: 'canvas', icon: 'eye', run: revealHiddenLayers, isEnabled: () => isReviewing() && isReviewMaskingOn() },
+        ...REVIEW_GRADES.map((grade): Command => ({
+            id: `review-grade-${grade.id}`, label: `Grade Recall: ${grade.label}`, group: 'Review', view: 'canvas', icon: 'graduation-cap',
+            run: () => gradeCurrentCard(grade.id), isEnabled: isReviewing,
+        })),
+        { id: 'review-end', label: 'End Review', group: 'Review', view: 'canvas', icon: 'x', run: () => switchView('revisions'), isEnabled: isReviewing },
+    ]);
+
+    $('#review-reveal-btn')?.addEventListener('click', revealHiddenLayers);
+    $('#review-end-btn')?.addEventListener('click', () => switchView('revisions'));
+    $('#review-bar')?.addEventListener('click', (e: MouseEvent) => {
+        const grade = (e.target as HTMLElement).closest<HTMLElement>('[data-grade]')?.dataset.grade;
+        if (grade) gradeCurrentCard(grade as ReviewGrade);
+    });
+}
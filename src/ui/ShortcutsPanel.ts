@@ -0,0 +1,101 @@
+import { $, initIcons } from '../utils/dom';
+import { getCommands } from '../core/commands';
+import { eventToCombo, formatCombo, getShortcutKeys, isShortcutCustomized, resetShortcuts, setShortcutKeys } from '../canvas/shortcuts';
+
+// Command whose keys are being recorded, if any
+let recordingCommandId: string | null = null;
+
+function hideShortcutsPanel() {
+    stopRecording();
+    const panel = $('#shortcuts-panel');
+    panel?.classList.remove('flex');
+    panel?.classList.add('hidden');
+}
+
+function renderShortcuts() {
+    const listEl = $('#shortcuts-list');
+    if (!listEl) return;
+    let lastGroup = '';
+    listEl.innerHTML = getCommands().map(command => {
+        const keys = getShortcutKeys(command.id);
+        const isRecording = command.id === recordingCommandId;
+        const keysLabel = isRecording ? 'Press keys…' : keys.length > 0 ? keys.map(formatCombo).join(', ') : 'None';
+        const heading = command.group !== lastGroup ? `<li class="text-xs font-semibold text-secondary uppercase tracking-wide px-2 pt-2">${command.group}</li>` : '';
+        lastGroup = command.group;
+        return `${heading}
+            <li class="flex items-center gap-2 px-2 py-1 rounded-md bg-column" data-command-id="${command.id}">
+                <span class="grow text-sm truncate">${command.label}</span>
+                <button class="shortcut-keys-btn bg-none border border-border rounded-md px-2 py-0.5 text-xs cursor-pointer hover:bg-white/10 ${isRecording ? 'text-blue border-blue' : 'text-primary'}" title="Change Shortcut">${keysLabel}</button>
+                <button class="bg-none border-none p-1 cursor-pointer reset-shortcut-btn ${isShortcutCustomized(command.id) ? '' : 'invisible'}" title="Restore Default"><i data-lucide="rotate-ccw" class="w-3.5 h-3.5 text-secondary hover:text-primary"></i></button>
+            </li>
+        `;
+    }).join('');
+    initIcons();
+}
+
+// Runs before the shortcut handler (capture phase on window) so the recorded keys don't also run their old command
+function handleRecordKey(e: KeyboardEvent) {
+    if (!recordingCommandId) return;
+    const combo = eventToCombo(e);
+    if (!combo) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (combo !== 'Escape') setShortcutKeys(recordingCommandId, [combo]);
+    stopRecording();
+}
+
+function startRecording(commandId: string) {
+    recordingCommandId = commandId;
+    window.addEventListener('keydown', handleRecordKey, true);
+    renderShortcuts();
+}
+
+function stopRecording() {
+    if (!recordingCommandId) return;
+    recordingCommandId = null;
+    window.removeEventListener('keydown', handleRecordKey, true);
+    renderShortcuts();
+}
+
+export function initShortcutsPanel() {
+    const panel = $('#shortcuts-panel');
+    if (!panel) return;
+
+    $('#shortcuts-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (panel.classList.contains('flex')) {
+            hideShortcutsPanel();
+            return;
+        }
+        renderShortcuts();
+        panel.classList.remove('hidden');
+        panel.classList.add('flex');
+    });
+
+    $('#reset-shortcuts-btn')?.addEventListener('click', () => {
+        stopRecording();
+        resetShortcuts();
+        renderShortcuts();
+    });
+
+    $('#shortcuts-list')?.addEventListener('click', (e) => {
+        const target = e.target as HTMLElement;
+        const commandId = target.closest<HTMLElement>('[data-command-id]')?.dataset.commandId;
+        if (!commandId) return;
+        if (target.closest('.reset-shortcut-btn')) {
+            stopRecording();
+            resetShortcuts(commandId);
+            renderShortcuts();
+        } else if (target.closest('.shortcut-keys-btn')) {
+            if (commandId === recordingCommandId) stopRecording();
+            else startRecording(commandId);
+        }
+    });
+
+    document.addEventListener('click', (e: Event) => {
+        const target = e.target as HTMLElement;
+        if (panel.classList.contains('flex') && !panel.contains(target) && !target.closest('#shortcuts-btn')) {
+            hideShortcutsPanel();
+        }
+    });
+}
@@ -1,5 +1,6 @@
-import { $ } from '../utils/dom';
-import { canvasState, getActiveLayer, findStrokeAndLayer } from '../core/store';
+import { $, initIcons } from '../utils/dom';
+import { canvasState, getActiveLayer, findStrokeAndLayer, getActiveCardCanvasState } from '../core/store';
+import { moveSelectionToLayer } from '../canvas/selection';
 
 export function showSelectionToolbar() {
     const selectionToolbar = $('#selection-toolbar');
@@ -32,4 +33,60 @@ export function hideSelectionToolbar() {
         colorPicker.classList.remove('grid');
         colorPicker.classList.add('hidden');
     }
+    hideSelectionLayerPicker();
+}
+
+function hideSelectionLayerPicker() {
+    const layerPicker = $('#selection-layer-picker');
+    layerPicker?.classList.remove('flex');
+    layerPicker?.classList.add('hidden');
+}
+
+/** Lists the layers the selection can move to */
+function showSelectionLayerPicker() {
+    const layerPicker = $('#selection-layer-picker');
+    const canvasData = getActiveCardCanvasState();
+    if (!layerPicker || !canvasData) return;
+
+    const targets = canvasData.layers.filter(l => l.id !== canvasData.activeLayerId);
+    layerPicker.innerHTML = targets.length === 0
+        ? `<span class="px-2 py-1.5 text-sm text-secondary">No other layers.</span>`
+        : targets.map(layer => `
+            <button class="selection-layer-option flex items-center gap-2 bg-none border-none text-left text-primary px-2 py-1.5 rounded-md cursor-pointer hover:bg-white/10" data-layer-id="${layer.id}">
+                <i data-lucide="${layer.isVisible ? 'layers' : 'eye-off'}" class="w-4 h-4 text-secondary shrink-0"></i>
+                <span class="text-sm truncate"></span>
+            </button>`).join('');
+    // Layer names are user text
+    layerPicker.querySelectorAll<HTMLElement>('.selection-layer-option span').forEach((el, i) => { el.textContent = targets[i].name; });
+    initIcons();
+
+    $('#selection-color-picker')?.classList.remove('grid');
+    $('#selection-color-picker')?.classList.add('hidden');
+    layerPicker.classList.remove('hidden');
+    layerPicker.classList.add('flex');
+}
+
+export function initSelectionLayerPicker() {
+    const layerPicker = $('#selection-layer-picker');
+    if (!layerPicker) return;
+
+    $('#selection-move-layer-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (layerPicker.classList.contains('flex')) hideSelectionLayerPicker();
+        else showSelectionLayerPicker();
+    });
+
+    layerPicker.addEventListener('click', (e) => {
+        const option = (e.target as HTMLElement).closest<HTMLElement>('.selection-layer-option');
+        if (!option) return;
+        hideSelectionLayerPicker();
+        moveSelectionToLayer(parseFloat(option.dataset.layerId || '0'));
+    });
+
+    document.addEventListener('click', (e: Event) => {
+        const target = e.target as HTMLElement;
+        if (layerPicker.classList.contains('flex') && !layerPicker.contains(target) && !target.closest('#selection-move-layer-btn')) {
+            hideSelectionLayerPicker();
+        }
+    });
 }
@@ -2,6 +2,13 @@ import { $, $$ } from '../utils/dom';
 import { setCurrentOpenCardId } from '../core/store';
 import { renderRevisionsBoard } from './Kanban';
 import { initCanvas } from '../canvas/canvas';
+import { CommandView } from '../core/commands';
+import { endReview } from './ReviewSession';
+
+/** The view on screen */
+export function getCurrentView(): CommandView {
+    return $('#canvas-view')?.classList.contains('hidden') ? 'revisions' : 'canvas';
+}
 
 export function switchView(viewName: string) {
     $$('.view').forEach(view => view.classList.add('hidden'));
@@ -11,6 +18,8 @@ export function switchView(viewName: string) {
     if (viewName === 'canvas') {
         initCanvas();
     } else { 
+        // Leaving the canvas ends a review session part way
+        endReview();
         setCurrentOpenCardId(null); 
         renderRevisionsBoard(); 
     }
@@ -12,3 +12,33 @@ export const $$ = <T extends HTMLElement = HTMLElement>(selector: string): NodeL
 export function initIcons() {
   createIcons({ icons: lucideIcons, nameAttr: 'data-lucide' });
 }
+
+/** Saves a blob to disk through a temporary download link */
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Opens the browser file picker; resolves to null if the user cancels */
+export function pickFile(accept: string): Promise<File | null> {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files?.[0] ?? null));
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
+
+/** Turns a user-entered title into a safe file name stem */
+export function toFileName(title: string, fallback: string = 'untitled'): string {
+  const stem = title.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-').slice(0, 80);
+  return stem || fallback;
+}
@@ -1,4 +1,5 @@
-import { Point, Stroke, Box } from '../core/types';
+import { Point, Stroke, StrokePoint, Box } from '../core/types';
+import { ROTATE_HANDLE_OFFSET } from '../core/constants';
 
 /** Linear interpolation function */
 export const lerp = (a: number, b: number, t: number): number => a + (b - a) * t;
@@ -43,6 +44,94 @@ export function isPointInBox(point: Point, box: Box): boolean {
          point.y >= box.y && point.y <= box.y + box.height;
 }
 
+/** Shortest distance from a point to the segment a–b */
+export function distanceToSegment(point: Point, a: Point, b: Point): number {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+}
+
+/** Point at `t` along a–b; pressure is interpolated when both ends carry it */
+function pointAlong(a: StrokePoint, b: StrokePoint, t: number): StrokePoint {
+  const p: StrokePoint = { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) };
+  if (a.pressure !== undefined && b.pressure !== undefined) p.pressure = lerp(a.pressure, b.pressure, t);
+  return p;
+}
+
+/**
+ * Cuts a polyline with a circle and returns the runs left outside it, with
+ * new end points exactly on the circle. `radiusFor` gives the radius used
+ * against each segment. Null when no segment reaches into the circle.
+ */
+export function cutPolylineByCircle(points: StrokePoint[], center: Point, radiusFor: (a: StrokePoint, b: StrokePoint) => number): StrokePoint[][] | null {
+  if (points.length === 1) {
+    const r = radiusFor(points[0], points[0]);
+    return Math.hypot(points[0].x - center.x, points[0].y - center.y) < r ? [] : null;
+  }
+
+  const runs: StrokePoint[][] = [];
+  let current: StrokePoint[] = [points[0]];
+  let touched = false;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], b = points[i];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const fx = a.x - center.x, fy = a.y - center.y;
+    const r = radiusFor(a, b);
+
+    // |a + t(b - a) - center|² = r², solved for the part of t in [0, 1] inside the circle
+    const qa = dx * dx + dy * dy;
+    const qb = 2 * (fx * dx + fy * dy);
+    const qc = fx * fx + fy * fy - r * r;
+    let tIn = 1, tOut = 0;
+    if (qa === 0) {
+      if (qc < 0) { tIn = 0; tOut = 1; }
+    } else {
+      const disc = qb * qb - 4 * qa * qc;
+      if (disc > 0) {
+        const root = Math.sqrt(disc);
+        tIn = Math.max(0, (-qb - root) / (2 * qa));
+        tOut = Math.min(1, (-qb + root) / (2 * qa));
+      }
+    }
+
+    if (tIn >= tOut) {
+      current.push(b);
+      continue;
+    }
+    touched = true;
+    if (tIn > 0) current.push(pointAlong(a, b, tIn));
+    if (current.length >= 2) runs.push(current);
+    current = tOut < 1 ? [pointAlong(a, b, tOut), b] : [];
+  }
+  if (current.length >= 2) runs.push(current);
+
+  return touched ? runs : null;
+}
+
+/** Turns a point about `center` by `angle` radians (clockwise on the y-down canvas) */
+export function rotatePoint(point: Point, center: Point, angle: number): Point {
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  const dx = point.x - center.x, dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+/** Corners of a shape's box with its rotation applied, clockwise from the top-left */
+export function getShapeCorners(stroke: Stroke): Point[] {
+  const sx = stroke.x || 0, sy = stroke.y || 0, sw = stroke.width || 0, sh = stroke.height || 0;
+  const corners = [{ x: sx, y: sy }, { x: sx + sw, y: sy }, { x: sx + sw, y: sy + sh }, { x: sx, y: sy + sh }];
+  if (!stroke.rotation) return corners;
+  const center = { x: sx + sw / 2, y: sy + sh / 2 };
+  return corners.map(p => rotatePoint(p, center, stroke.rotation!));
+}
+
+/** Selection rotation handle: centred above the box, the same screen distance away at any zoom */
+export const getRotateHandlePosition = (box: Box, scale: number): Point => ({
+  x: box.x + box.width / 2,
+  y: box.y - ROTATE_HANDLE_OFFSET / scale
+});
+
 /** Parses raw rendering shapes into normalized spatial bounding-boxes */
 export function getStrokeBounds(stroke: Stroke): Box & { minX: number; minY: number; maxX: number; maxY: number } {
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -55,14 +144,15 @@ export function getStrokeBounds(stroke: Stroke): Box & { minX: number; minY: num
       maxY = Math.max(maxY, p.y); 
     });
   } else {
-    const sx = stroke.x || 0, sy = stroke.y || 0, sw = stroke.width || 0, sh = stroke.height || 0;
-    minX = Math.min(sx, sx + sw); 
-    minY = Math.min(sy, sy + sh);
-    maxX = Math.max(sx, sx + sw); 
-    maxY = Math.max(sy, sy + sh);
+    getShapeCorners(stroke).forEach(p => {
+      minX = Math.min(minX, p.x); 
+      minY = Math.min(minY, p.y); 
+      maxX = Math.max(maxX, p.x); 
+      maxY = Math.max(maxY, p.y); 
+    });
   }
   
-  const padding = (stroke.lineWidth || 0) / 2;
+  const padding = (stroke.worldWidth ?? stroke.lineWidth ?? 0) / 2;
   return { 
     minX: minX - padding, 
     minY: minY - padding, 